@@ -5,9 +5,17 @@ import AdminConsole from './components/AdminConsole';
 import DeveloperAPI from './components/DeveloperAPI';
 import Navigation from './components/Navigation';
 import Login from './components/Login';
+import GuestMigrationDialog from './components/GuestMigrationDialog';
 import { SessionManager } from './services/SessionManager';
 import { APIService } from './services/APIService';
+import { ModelManager } from './services/ModelManager';
+import { ContextManager } from './services/ContextManager';
 import AuthService from './services/AuthService';
+import { createGuestStorage, createAccountStorage } from './services/storage';
+import { TabSync, SYNC_EVENTS } from './services/TabSync';
+import { createHeadersInterceptor, createTraceInterceptor } from './services/interceptors';
+import { installMockBackend, MockAuthService } from './services/mock';
+import { backendConfig } from './config/backend';
 
 function App() {
   const [currentView, setCurrentView] = useState('chat'); // 'chat', 'admin', 'api'
@@ -16,11 +24,29 @@ function App() {
   const [loading, setLoading] = useState(true);
   const [isGuest, setIsGuest] = useState(true); // Default to guest mode
   const [showLoginModal, setShowLoginModal] = useState(false);
+  const [guestMigration, setGuestMigration] = useState(null); // { guestSessions, conflicts }
+  const [chatKey, setChatKey] = useState(0); // Bumped to reload the chat after a migration
+  const [loginNotice, setLoginNotice] = useState(null); // Why the login modal was opened
   
   // Initialize services once
-  const [apiService] = useState(() => new APIService());
-  const [sessionManager] = useState(() => new SessionManager(apiService));
-  const [authService] = useState(() => new AuthService());
+  const [apiService] = useState(() => {
+    const service = new APIService();
+    if (backendConfig.mock) {
+      // Answer API calls in-memory when running without a backend
+      installMockBackend({ baseURL: service.baseURL, latencyMs: backendConfig.mockLatencyMs });
+    }
+    return service;
+  });
+  const [tabSync] = useState(() => new TabSync());
+  const [sessionManager] = useState(() => new SessionManager(
+    apiService,
+    createGuestStorage(),
+    tabSync,
+    createAccountStorage(apiService)
+  ));
+  const [authService] = useState(() => (backendConfig.mock ? new MockAuthService() : new AuthService()));
+  const [modelManager] = useState(() => new ModelManager());
+  const [contextManager] = useState(() => new ContextManager(modelManager));
 
   const initializeGuestMode = useCallback(async () => {
     // Generate or retrieve guest user
@@ -100,6 +126,26 @@ function App() {
     initializeApp();
   }, [initializeApp]);
 
+  useEffect(() => {
+    // Follow sign-in / sign-out done in another tab
+    return tabSync.subscribe(async ({ type, payload }) => {
+      try {
+        if (type === SYNC_EVENTS.SIGNED_IN && isGuest) {
+          // The Firebase session is shared between tabs; pick it up
+          await initializeApp();
+        } else if (type === SYNC_EVENTS.SIGNED_OUT && payload.wasGuest === isGuest) {
+          // The other tab already signed out and cleared its data
+          apiService.clearAuth();
+          await initializeGuestMode();
+          setCurrentView('chat');
+          setChatKey(key => key + 1);
+        }
+      } catch (error) {
+        console.error('Failed to apply auth change from another tab:', error);
+      }
+    });
+  }, [tabSync, isGuest, apiService, initializeApp, initializeGuestMode]);
+
   const handleLoginSuccess = async (loginResult) => {
     try {
       setLoading(true);
@@ -119,12 +165,22 @@ function App() {
             photoURL: authUser.photoURL || null
           });
           
+          // Guest chats are read before switching modes, the account is loaded after
+          const guestSessions = await sessionManager.getPendingGuestSessions();
+
           // Initialize session manager with backend sessions
           await sessionManager.initialize(authUser.uid, false);
+
+          if (guestSessions.length > 0) {
+            const conflicts = await sessionManager.findMigrationConflicts(authUser.uid, guestSessions);
+            setGuestMigration({ guestSessions, conflicts });
+          }
           
           setIsGuest(false);
           setAuthenticated(true);
           setShowLoginModal(false); // Close the login modal
+          setLoginNotice(null);
+          tabSync.publish(SYNC_EVENTS.SIGNED_IN, { userId: authUser.uid });
         } catch (error) {
           console.error('Backend login failed:', error);
           alert('Failed to connect to backend. Please try again.');
@@ -139,17 +195,31 @@ function App() {
     }
   };
 
+  const handleMigrationClose = (result) => {
+    setGuestMigration(null);
+    if (result && result.migrated.length > 0) {
+      // Show the uploaded chats in the sidebar
+      setChatKey(key => key + 1);
+    }
+  };
+
   const handleShowLogin = () => {
     setShowLoginModal(true);
   };
 
   const handleCloseLogin = () => {
     setShowLoginModal(false);
+    setLoginNotice(null);
   };
 
   const handleLogout = async () => {
     try {
       setLoading(true);
+
+      // Clear session manager cache (before guest mode reloads any guest
+      // chats that were not migrated to the account). For guests this also
+      // deletes their chats on this device.
+      await sessionManager.clearCache();
       
       if (!isGuest) {
         // Sign out from Firebase and backend for authenticated users
@@ -161,13 +231,10 @@ function App() {
       } else {
         // Already in guest mode, just clear and reinitialize
         localStorage.removeItem('guestUser');
-        localStorage.removeItem('guestSessions');
         await initializeGuestMode();
       }
       
-      // Clear session manager cache
-      sessionManager.clearCache();
-      
+      tabSync.publish(SYNC_EVENTS.SIGNED_OUT, { wasGuest: isGuest });
       setCurrentView('chat');
     } catch (error) {
       console.error('Logout error:', error);
@@ -176,24 +243,49 @@ function App() {
     }
   };
 
-  // Auto-refresh ID token periodically for authenticated users
+  // Identify this client on every API request; add app-wide interceptors here
   useEffect(() => {
-    if (!authenticated || isGuest) return;
-    
-    // Refresh token every 50 minutes (tokens expire after 1 hour)
-    const refreshInterval = setInterval(async () => {
+    const unregister = [
+      apiService.use(createTraceInterceptor()),
+      apiService.use(createHeadersInterceptor({
+        'X-App-Version': process.env.REACT_APP_VERSION,
+        'X-Tenant-Id': process.env.REACT_APP_TENANT_ID
+      }))
+    ];
+    return () => unregister.forEach(fn => fn());
+  }, [apiService]);
+
+  // Start the local response cache with the server's TTL and size limit
+  useEffect(() => {
+    // APIService logs a failure; the local cache then keeps its own settings
+    apiService.loadCacheConfig().catch(() => {});
+  }, [apiService]);
+
+  // Renew the ID token when the backend rejects it (expired after sleep,
+  // revoked...). APIService refreshes once and replays the request.
+  useEffect(() => {
+    apiService.setTokenRefresher(() => authService.refreshIdToken());
+  }, [apiService, authService]);
+
+  useEffect(() => {
+    if (!authenticated || isGuest) return undefined;
+
+    // The token could not be renewed: log out here and in other tabs
+    return apiService.onAuthExpired(async () => {
       try {
-        const newToken = await authService.refreshIdToken();
-        if (newToken) {
-          apiService.setIdToken(newToken);
-        }
+        await sessionManager.clearCache();
+        await authService.signOut().catch(error => console.error('Sign out error:', error));
+        await initializeGuestMode();
+        tabSync.publish(SYNC_EVENTS.SIGNED_OUT, { wasGuest: false });
+        setCurrentView('chat');
+        setChatKey(key => key + 1);
+        setLoginNotice('Your sign-in has expired. Sign in again to get back to your chats.');
+        setShowLoginModal(true);
       } catch (error) {
-        console.error('Token refresh failed:', error);
+        console.error('Failed to sign out after the session expired:', error);
       }
-    }, 50 * 60 * 1000);
-    
-    return () => clearInterval(refreshInterval);
-  }, [authenticated, isGuest, authService, apiService]);
+    });
+  }, [authenticated, isGuest, apiService, authService, sessionManager, tabSync, initializeGuestMode]);
 
   if (loading) {
     return (
@@ -236,9 +328,12 @@ function App() {
       <main className="main-content">
         {currentView === 'chat' && (
           <ChatInterface 
+            key={chatKey}
             user={user}
             sessionManager={sessionManager}
             apiService={apiService}
+            modelManager={modelManager}
+            contextManager={contextManager}
             isGuest={isGuest}
             onShowLogin={handleShowLogin}
           />
@@ -262,6 +357,17 @@ function App() {
         )}
       </main>
 
+      {/* Guest chats found after signing in */}
+      {guestMigration && (
+        <GuestMigrationDialog
+          sessionManager={sessionManager}
+          userId={user.userId}
+          guestSessions={guestMigration.guestSessions}
+          conflicts={guestMigration.conflicts}
+          onClose={handleMigrationClose}
+        />
+      )}
+
       {/* Login Modal */}
       {showLoginModal && (
         <div style={{
@@ -297,6 +403,7 @@ function App() {
               authService={authService}
               onLoginSuccess={handleLoginSuccess}
               isModal={true}
+              notice={loginNotice}
             />
           </div>
         </div>
@@ -1,8 +1,22 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// setupTests.js points the app at the in-memory mock backend
+
+test('starts in guest mode without a backend', async () => {
+  render(<App />);
+  expect(await screen.findByPlaceholderText(/type your message/i)).toBeInTheDocument();
+  expect(screen.getByText(/PocketLLM Portal/i)).toBeInTheDocument();
+});
+
+test('answers a message with the mock model', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const input = await screen.findByPlaceholderText(/type your message/i);
+  await waitFor(() => expect(input).toBeEnabled());
+
+  fireEvent.change(input, { target: { value: 'What is PocketLLM?' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+  const replies = await screen.findAllByText(/mock (backend|answer|reply)/i, {}, { timeout: 3000 });
+  expect(replies.length).toBeGreaterThan(0);
 });
@@ -1,4 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import ErrorNotice from './ErrorNotice';
+import { NetworkError } from '../services/APIErrors';
 
 function AdminConsole({ apiService, sessionManager, user, isGuest, onShowLogin }) {
   const [metrics, setMetrics] = useState({
@@ -21,12 +23,21 @@ function AdminConsole({ apiService, sessionManager, user, isGuest, onShowLogin }
     expirations: 0
   });
 
+  // The response cache of this browser (APIService's CacheManager)
+  const [deviceCache, setDeviceCache] = useState(() => ({
+    stats: apiService.getCacheStats(),
+    entries: apiService.getCacheEntries()
+  }));
+
   const [cacheTTL, setCacheTTL] = useState(3600);
   const [cacheMaxSize, setCacheMaxSize] = useState(1000);
   const [modelName, setModelName] = useState('deepseek-r1:1.5b');
   const [logs, setLogs] = useState([]);
   const [autoRefresh, setAutoRefresh] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [failure, setFailure] = useState(null); // { action, error, retry } of the last failed request
+  const ttlInputRef = useRef(null);
+  const modelSelectRef = useRef(null);
 
   useEffect(() => {
     updateMetrics();
@@ -57,28 +68,37 @@ function AdminConsole({ apiService, sessionManager, user, isGuest, onShowLogin }
     });
   };
 
+  /**
+   * Show a failed request with its recovery action; `retry` repeats it
+   */
+  const reportFailure = (action, error, retry) => {
+    setFailure({ action, error: NetworkError.from(error), retry });
+  };
+
+  const clearFailure = (action) => {
+    setFailure(prev => (prev?.action === action ? null : prev));
+  };
+
   const loadCacheStats = async () => {
+    setDeviceCache({ stats: apiService.getCacheStats(), entries: apiService.getCacheEntries() });
     try {
-      const response = await fetch(`${process.env.REACT_APP_API_URL}/cache/stats`);
-      if (response.ok) {
-        const stats = await response.json();
-        setCacheStats(stats);
-      }
+      setCacheStats(await apiService.getServerCacheStats());
+      clearFailure('loadCacheStats');
     } catch (error) {
       console.error('Failed to load cache stats:', error);
+      reportFailure('loadCacheStats', error, loadCacheStats);
     }
   };
 
   const loadCacheConfig = async () => {
     try {
-      const response = await fetch(`${process.env.REACT_APP_API_URL}/cache/config`);
-      if (response.ok) {
-        const config = await response.json();
-        setCacheTTL(config.default_ttl);
-        setCacheMaxSize(config.max_size);
-      }
+      const config = await apiService.loadCacheConfig();
+      setCacheTTL(config.ttl);
+      setCacheMaxSize(config.maxSize);
+      clearFailure('loadCacheConfig');
     } catch (error) {
       console.error('Failed to load cache config:', error);
+      reportFailure('loadCacheConfig', error, loadCacheConfig);
     }
   };
 
@@ -105,30 +125,16 @@ function AdminConsole({ apiService, sessionManager, user, isGuest, onShowLogin }
     setSaving(true);
     
     try {
-      const response = await fetch(`${process.env.REACT_APP_API_URL}/cache/config`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          ttl: cacheTTL,
-          maxSize: cacheMaxSize
-        })
-      });
-      
-      if (response.ok) {
-        const result = await response.json();
-        addLog('INFO', `✓ ${result.message}`);
-        addLog('INFO', `Cache TTL: ${cacheTTL}s, Max Size: ${cacheMaxSize} entries`);
-        
-        // Reload config to confirm
-        await loadCacheConfig();
-      } else {
-        const error = await response.json();
-        addLog('ERROR', `Failed to update cache config: ${error.message || error.error}`);
-      }
+      const result = await apiService.updateCacheConfig({ ttl: cacheTTL, maxSize: cacheMaxSize });
+      addLog('INFO', `✓ ${result.message}`);
+      addLog('INFO', `Cache TTL: ${cacheTTL}s, Max Size: ${cacheMaxSize} entries`);
+      clearFailure('saveCacheConfig');
+
+      // Reload config to confirm
+      await loadCacheConfig();
     } catch (error) {
-      addLog('ERROR', `Cache config update error: ${error.message}`);
+      addLog('ERROR', `Failed to update cache config: ${error.message}`);
+      reportFailure('saveCacheConfig', error, handleSaveCacheConfig);
     } finally {
       setSaving(false);
     }
@@ -136,21 +142,13 @@ function AdminConsole({ apiService, sessionManager, user, isGuest, onShowLogin }
 
   const handleClearCache = async () => {
     try {
-      const response = await fetch(`${process.env.REACT_APP_API_URL}/cache/clear`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (response.ok) {
-        addLog('INFO', '✓ Cache cleared successfully');
-        await loadCacheStats();
-      } else {
-        addLog('ERROR', 'Failed to clear cache');
-      }
+      await apiService.clearCache();
+      addLog('INFO', '✓ Cache cleared successfully');
+      clearFailure('clearCache');
+      await loadCacheStats();
     } catch (error) {
       addLog('ERROR', `Cache clear error: ${error.message}`);
+      reportFailure('clearCache', error, handleClearCache);
     }
   };
 
@@ -209,6 +207,21 @@ function AdminConsole({ apiService, sessionManager, user, isGuest, onShowLogin }
         </button>
       </div>
 
+      {failure && (
+        <ErrorNotice
+          key={`${failure.action}-${failure.error.requestId}`}
+          error={failure.error}
+          onSignIn={onShowLogin}
+          onRetry={() => {
+            setFailure(null);
+            failure.retry();
+          }}
+          onSwitchModel={() => modelSelectRef.current?.focus()}
+          onEdit={() => ttlInputRef.current?.focus()}
+          onDismiss={() => setFailure(null)}
+        />
+      )}
+
       {/* Cache Statistics */}
       <div className="admin-section">
         <h2 className="section-title">💾 Cache Statistics</h2>
@@ -236,6 +249,61 @@ function AdminConsole({ apiService, sessionManager, user, isGuest, onShowLogin }
         </div>
       </div>
 
+      {/* This Device's Cache */}
+      <div className="admin-section">
+        <h2 className="section-title">📱 This Device's Cache</h2>
+        <div className="metrics-grid">
+          <div className="metric-card">
+            <div className="metric-label">Cached Answers</div>
+            <div className="metric-value">
+              {deviceCache.stats.entries}<span className="metric-unit">/ {deviceCache.stats.maxEntries}</span>
+            </div>
+          </div>
+          <div className="metric-card">
+            <div className="metric-label">Hit Rate</div>
+            <div className="metric-value">{deviceCache.stats.hitRate}</div>
+          </div>
+          <div className="metric-card">
+            <div className="metric-label">Evictions</div>
+            <div className="metric-value">{deviceCache.stats.evictions}</div>
+          </div>
+          <div className="metric-card">
+            <div className="metric-label">Size</div>
+            <div className="metric-value">
+              {(deviceCache.stats.size / 1024).toFixed(1)}<span className="metric-unit">KB ({deviceCache.stats.utilizationPercent}%)</span>
+            </div>
+          </div>
+        </div>
+        {deviceCache.entries.length > 0 ? (
+          <div className="cache-entries">
+            <table>
+              <thead>
+                <tr>
+                  <th>Prompt</th>
+                  <th>Answer</th>
+                  <th>Hits</th>
+                  <th>Expires</th>
+                </tr>
+              </thead>
+              <tbody>
+                {deviceCache.entries.map(entry => (
+                  <tr key={entry.key}>
+                    <td className="cache-entry-prompt" title={entry.prompt}>{entry.prompt}</td>
+                    <td>{entry.responseLength} chars</td>
+                    <td>{entry.accessCount}</td>
+                    <td>{entry.expiresAt.toLocaleTimeString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="cache-entries-empty">
+            No cached answers yet. Turn on the answer cache in a chat's ⚙️ Generation Settings.
+          </p>
+        )}
+      </div>
+
       {/* Cache Configuration */}
       <div className="admin-section">
         <h2 className="section-title">⚙️ Cache Configuration</h2>
@@ -243,6 +311,7 @@ function AdminConsole({ apiService, sessionManager, user, isGuest, onShowLogin }
           <div className="form-group">
             <label>Cache TTL (Time-To-Live in seconds)</label>
             <input
+              ref={ttlInputRef}
               type="number"
               value={cacheTTL}
               onChange={(e) => setCacheTTL(parseInt(e.target.value))}
@@ -285,7 +354,7 @@ function AdminConsole({ apiService, sessionManager, user, isGuest, onShowLogin }
         <div className="config-form">
           <div className="form-group">
             <label>Current Model</label>
-            <select value={modelName} onChange={(e) => setModelName(e.target.value)}>
+            <select ref={modelSelectRef} value={modelName} onChange={(e) => setModelName(e.target.value)}>
               <option value="deepseek-r1:1.5b">DeepSeek R1 1.5B</option>
             </select>
           </div>
@@ -1,23 +1,144 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { AssistantContent } from './MarkdownRenderer';
+import GenerationSettings, { toInferenceParameters } from './GenerationSettings';
+import ContextMeter from './ContextMeter';
+import SessionSearch from './SessionSearch';
+import SessionListItem from './SessionListItem';
+import TrashView from './TrashView';
+import RetentionDialog from './RetentionDialog';
+import ErrorNotice from './ErrorNotice';
+import { DEFAULT_GENERATION_SETTINGS } from '../services/SessionManager';
+import { EXPORT_FORMATS } from '../services/ConversationSerializer';
+import { SYNC_EVENTS } from '../services/TabSync';
 
-function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin }) {
+/**
+ * Generate a unique message ID
+ * Needed because alternative versions of a message live side by side
+ */
+const createMessageId = () => `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// How long the "Undo" toast stays up after deleting or clearing
+const UNDO_TOAST_MS = 6000;
+
+function ChatInterface({ user, sessionManager, apiService, modelManager, contextManager, isGuest, onShowLogin }) {
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
   const [loading, setLoading] = useState(false);
   const [sessions, setSessions] = useState([]);
   const [currentSessionId, setCurrentSessionId] = useState(null);
+  const [streamingContent, setStreamingContent] = useState(null);
+  const [abortController, setAbortController] = useState(null);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editValue, setEditValue] = useState('');
+  const [settings, setSettings] = useState(DEFAULT_GENERATION_SETTINGS);
+  const [showSettings, setShowSettings] = useState(false);
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS.JSON);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [storageWarning, setStorageWarning] = useState(null);
+  const [remoteChange, setRemoteChange] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [undoToast, setUndoToast] = useState(null); // { message, trashId }
+  const [retention, setRetention] = useState(null); // { initialPreview } while the dialog is open
+  const [retryStatus, setRetryStatus] = useState(null); // { attempt, maxRetries, retryAt, reason }
+  const [now, setNow] = useState(Date.now());
   const messagesEndRef = useRef(null);
+  const importInputRef = useRef(null);
 
 
+  useEffect(() => {
+    // Tick once a second while a retry countdown is shown
+    if (!retryStatus) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [retryStatus]);
+
   useEffect(() => {
     // Load initial sessions
     loadSessions();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [sessionManager]);
 
+  useEffect(() => {
+    // Saved retention rules only remove sessions after the user confirms a dry run
+    let cancelled = false;
+    if (sessionManager.getRetentionPolicy().enabled) {
+      sessionManager.previewRetention()
+        .then(preview => {
+          if (!cancelled && preview.length > 0) {
+            setRetention({ initialPreview: preview });
+          }
+        })
+        .catch(error => console.error('Failed to check retention rules:', error));
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionManager]);
+
+  useEffect(() => {
+    // Guest chats are saved in the background; show when that stops working
+    return sessionManager.onStorageWarning(setStorageWarning);
+  }, [sessionManager]);
+
+  useEffect(() => {
+    // Sessions changed in another tab
+    return sessionManager.onSessionsChanged((change) => {
+      setSessions(sessionManager.getAllSessions());
+      setRemoteChange(change);
+    });
+  }, [sessionManager]);
+
+  useEffect(() => {
+    // Reload the open session if another tab changed it
+    if (!remoteChange || remoteChange.sessionId !== currentSessionId) return;
+
+    if (remoteChange.type === SYNC_EVENTS.SESSION_DELETED) {
+      const next = sessionManager.sortSessions(sessionManager.getAllSessions())
+        .find(session => !session.archived);
+      if (next) {
+        handleSwitchSession(next.sessionId);
+      } else {
+        setCurrentSessionId(null);
+        setMessages([]);
+      }
+    } else if (!loading && !editingMessageId) {
+      // Don't pull the rug out from under a running generation or an open edit
+      setSettings(sessionManager.getSessionSettings(currentSessionId));
+      loadSessionMessages(currentSessionId);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [remoteChange]);
+
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, streamingContent]);
+
+  useEffect(() => {
+    if (!undoToast) return undefined;
+
+    const timer = setTimeout(() => setUndoToast(null), UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [undoToast]);
+
+  useEffect(() => {
+    // Bring a message opened from search results into view
+    if (!highlightedMessageId) return undefined;
+
+    document.getElementById(`message-${highlightedMessageId}`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId, messages]);
+
+  useEffect(() => {
+    // Each session carries its own generation settings
+    if (currentSessionId) {
+      setSettings(sessionManager.getSessionSettings(currentSessionId));
+    }
+  }, [currentSessionId, sessionManager]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -27,7 +148,9 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
     const loadedSessions = sessionManager.getAllSessions();
     if (loadedSessions.length > 0 && !currentSessionId) {
       setSessions(loadedSessions);
-      const firstSession = loadedSessions[0];
+      // Open the session shown at the top of the sidebar
+      const firstSession = sessionManager.sortSessions(loadedSessions)
+        .find(session => !session.archived) || loadedSessions[0];
       setCurrentSessionId(firstSession.sessionId);
       loadSessionMessages(firstSession.sessionId);
     }else{
@@ -53,12 +176,22 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
   /**
    * Convert messages to API format (role/content)
    * Includes system message and all conversation history
+   * @param {number} upToIndex - Only include messages before this index
+   *   (used when regenerating or editing an earlier message)
    */
-  const buildConversationHistory = () => {
+  const buildConversationHistory = (upToIndex = messages.length) => {
     const conversationMessages = [];
 
-    // Add all previous messages in API format
-    messages.forEach((msg) => {
+    // The session's system prompt always comes first
+    if (settings.systemPrompt) {
+      conversationMessages.push({
+        role: 'system',
+        content: settings.systemPrompt
+      });
+    }
+
+    // Add all previous messages in API format, leaving out failed requests
+    messages.slice(0, upToIndex).filter(msg => !msg.isError).forEach((msg) => {
       conversationMessages.push({
         role: msg.type === 'USER' ? 'user' : 'assistant',
         content: msg.content
@@ -68,6 +201,122 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
     return conversationMessages;
   };
 
+  /**
+   * Trim the history to the model's context window using the session's strategy
+   */
+  const fitToContext = (conversationHistory) => contextManager.fitToContext(conversationHistory, {
+    modelId: settings.modelId,
+    maxTokens: settings.maxTokens,
+    strategy: settings.contextStrategy,
+    keepLastN: settings.keepLastN,
+    summary: sessionManager.getContextSummary(currentSessionId)
+  });
+
+  /**
+   * Fit the history to the context window, first asking the model for a
+   * summary of the dropped turns if the session has none that covers them
+   * Without a summary the dropped turns are left out.
+   */
+  const prepareHistory = async (conversationHistory) => {
+    const fitted = fitToContext(conversationHistory);
+    if (!fitted.usage.needsSummary) return fitted.messages;
+
+    const summary = await sessionManager.summarizeContext(currentSessionId, fitted.dropped, {
+      maxTokens: contextManager.getSummaryBudget(settings.modelId, settings.maxTokens)
+    });
+    return summary ? fitToContext(conversationHistory).messages : fitted.messages;
+  };
+
+  /**
+   * Run an inference request and hand the resulting assistant message to
+   * `onAssistantMessage`, which decides where it goes in the session
+   * (appended, or added as an alternative branch).
+   * @param {object} options
+   * @param {boolean} options.skipCacheLookup - Ask the model even if the
+   *   answer is cached (regenerating must produce a new answer)
+   * @returns {boolean} Whether an assistant message was produced
+   */
+  const generateResponse = async (conversationHistory, onAssistantMessage, { skipCacheLookup = false } = {}) => {
+    setLoading(true);
+
+    // Allow the user to stop the generation from the input area
+    const controller = new AbortController();
+    setAbortController(controller);
+    let partialContent = '';
+
+    try {
+      // Send the complete conversation history to the backend and
+      // render the answer token by token as it streams in
+      // Backend will automatically save to Firebase
+      const response = await apiService.sendInferenceRequest(
+        currentSessionId,
+        await prepareHistory(conversationHistory),
+        toInferenceParameters(settings),
+        {
+          provider: settings.provider,
+          model: settings.providerModel || settings.modelId,
+          useCache: settings.localCache,
+          cacheSampled: settings.cacheSampled,
+          skipCacheLookup,
+          signal: controller.signal,
+          onToken: (token, fullText) => {
+            partialContent = fullText;
+            setRetryStatus(null);
+            setStreamingContent(fullText);
+          },
+          onRetry: ({ attempt, maxRetries, delayMs, error }) => {
+            setRetryStatus({ attempt, maxRetries, retryAt: Date.now() + delayMs, reason: error.message });
+          }
+        }
+      );
+
+      // Create assistant message object for display
+      onAssistantMessage({
+        messageId: createMessageId(),
+        content: response.response,
+        type: 'ASSISTANT',
+        timestamp: new Date().toISOString(),
+        isCached: response.isCached || false,
+        ...(response.cachedLocally && { cachedLocally: true })
+      });
+      return true;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Keep whatever was generated before the user pressed Stop
+        const stoppedContent = error.partialResponse || partialContent;
+        if (stoppedContent) {
+          onAssistantMessage({
+            messageId: createMessageId(),
+            content: stoppedContent,
+            type: 'ASSISTANT',
+            timestamp: new Date().toISOString(),
+            isCached: false,
+            stopped: true
+          });
+        }
+        return Boolean(stoppedContent);
+      }
+
+      console.error('Error sending message:', error);
+      const errorMessage = {
+        messageId: createMessageId(),
+        content: `Error: ${error.message || 'Failed to get response from model'}`,
+        type: 'ASSISTANT',
+        timestamp: new Date(),
+        isCached: false,
+        isError: true,
+        error
+      };
+      setMessages(prev => [...prev, errorMessage]);
+      return false;
+    } finally {
+      setStreamingContent(null);
+      setRetryStatus(null);
+      setAbortController(null);
+      setLoading(false);
+    }
+  };
+
   const handleSendMessage = async (e) => {
     e.preventDefault();
     console.log("new input : ", messages);
@@ -75,13 +324,20 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
 
     // Create user message object for display
     const userMessage = {
-      messageId: `msg_${Math.trunc(Date.now()/1000)}`,
+      messageId: createMessageId(),
       content: inputValue,
       type: 'USER',
       timestamp: Date.now() / 1000,
       isCached: false
     };
 
+    // Build conversation history including this new message
+    const conversationHistory = buildConversationHistory();
+    conversationHistory.push({
+      role: 'user',
+      content: inputValue
+    });
+
     // Add user message to display immediately
     setMessages(prev => [...prev, userMessage]);
     
@@ -89,57 +345,151 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
     sessionManager.addMessageLocally(currentSessionId, userMessage);
     
     setInputValue('');
-    setLoading(true);
 
+    const generated = await generateResponse(conversationHistory, (assistantMessage) => {
+      // Add assistant message to display and update local cache
+      setMessages(prev => [...prev, assistantMessage]);
+      sessionManager.addMessageLocally(currentSessionId, assistantMessage);
+    });
+
+    if (generated) {
+      nameSession(currentSessionId);
+    }
+  };
+
+  /**
+   * Title an untitled session after its first exchange
+   * The heuristic title shows up at once; the model's one replaces it later
+   */
+  const nameSession = async (sessionId) => {
     try {
-      // Build conversation history including this new message
-      const conversationHistory = buildConversationHistory();
-      
-      // Add the current user message to the history for API call
-      conversationHistory.push({
-        role: 'user',
-        content: inputValue
-      });
+      const title = await sessionManager.generateTitle(sessionId);
+      if (!title) return;
+      setSessions(sessionManager.getAllSessions());
 
-      // Send the complete conversation history to the backend
-      // Backend will automatically save to Firebase
-      const response = await apiService.sendInferenceRequest(
-        currentSessionId,
-        conversationHistory,
-        { temperature: 0.7, maxTokens: 1024 }
-      );
+      if (settings.modelTitles && await sessionManager.refineTitleWithModel(sessionId)) {
+        setSessions(sessionManager.getAllSessions());
+      }
+    } catch (error) {
+      console.error('Failed to name session:', error);
+    }
+  };
 
-      // Create assistant message object for display
-      const assistantMessage = {
-        messageId: `msg_${Date.now() + 1}`,
-        content: response.response,
-        type: 'ASSISTANT',
-        timestamp: new Date().toISOString(),
-        isCached: response.isCached || false
-      };
+  /**
+   * Generate a new answer for an assistant message
+   * The previous answer is kept as a sibling branch
+   */
+  const handleRegenerate = async (index) => {
+    const original = messages[index];
+    if (index === 0) return;
+    const conversationHistory = buildConversationHistory(index);
 
-      // Add assistant message to display
+    // Hide the old answer (and everything after it) while regenerating
+    setMessages(messages.slice(0, index));
+
+    const generated = await generateResponse(conversationHistory, (assistantMessage) => {
+      setMessages(sessionManager.addBranch(currentSessionId, original.messageId, assistantMessage));
+    }, { skipCacheLookup: true });
+
+    if (!generated) {
+      // Nothing new to show - bring back the existing branch, keeping any error bubble
+      const current = await sessionManager.getMessages(user['userId'], currentSessionId);
+      setMessages(prev => [...current, ...prev.slice(index)]);
+    }
+  };
+
+  /**
+   * Send the request behind an error bubble again
+   */
+  const handleRetryFailed = async (index) => {
+    const conversationHistory = buildConversationHistory(index);
+    setMessages(prev => prev.filter((_, i) => i !== index));
+
+    const generated = await generateResponse(conversationHistory, (assistantMessage) => {
       setMessages(prev => [...prev, assistantMessage]);
+      sessionManager.addMessageLocally(currentSessionId, assistantMessage);
+    });
 
+    if (generated) {
+      nameSession(currentSessionId);
+    }
+  };
 
-      // Update local cache
+  /**
+   * Recovery actions for an error bubble; retry and edit need the user
+   * message that failed right before it
+   */
+  const errorActions = (index) => {
+    const failedMessage = messages[index - 1]?.type === 'USER' ? messages[index - 1] : null;
+    return {
+      onSignIn: onShowLogin,
+      onSwitchModel: () => setShowSettings(true),
+      onRetry: failedMessage && !loading ? () => handleRetryFailed(index) : undefined,
+      onEdit: failedMessage && !loading ? () => handleStartEdit(failedMessage) : undefined
+    };
+  };
+
+  const handleStartEdit = (msg) => {
+    setEditingMessageId(msg.messageId);
+    setEditValue(msg.content);
+  };
+
+  const handleCancelEdit = () => {
+    setEditingMessageId(null);
+    setEditValue('');
+  };
+
+  /**
+   * Resend an edited user message
+   * The original message and its answers are kept as a sibling branch
+   */
+  const handleSubmitEdit = async (index) => {
+    const original = messages[index];
+    const content = editValue.trim();
+    if (!content) return;
+
+    handleCancelEdit();
+    if (content === original.content) return;
+
+    const editedMessage = {
+      messageId: createMessageId(),
+      content,
+      type: 'USER',
+      timestamp: Date.now() / 1000,
+      isCached: false
+    };
+
+    const conversationHistory = buildConversationHistory(index);
+    conversationHistory.push({ role: 'user', content });
+
+    setMessages(sessionManager.addBranch(currentSessionId, original.messageId, editedMessage));
+
+    await generateResponse(conversationHistory, (assistantMessage) => {
+      setMessages(prev => [...prev, assistantMessage]);
       sessionManager.addMessageLocally(currentSessionId, assistantMessage);
-      
+    });
+  };
+
+  const handleSaveSettings = async (newSettings) => {
+    try {
+      const updated = await sessionManager.updateSessionSettings(currentSessionId, newSettings);
+      if (updated) {
+        setSettings(updated);
+      }
+      setShowSettings(false);
     } catch (error) {
-      console.error('Error sending message:', error);
-      const errorMessage = {
-        messageId: `msg_${Date.now() + 1}`,
-        content: `Error: ${error.message || 'Failed to get response from model'}`,
-        type: 'ASSISTANT',
-        timestamp: new Date(),
-        isCached: false
-      };
-      setMessages(prev => [...prev, errorMessage]);
-    } finally {
-      setLoading(false);
+      alert('Failed to save settings. Please try again.');
     }
   };
 
+  const handleSwitchBranch = (messageId, offset) => {
+    setMessages(sessionManager.switchBranch(currentSessionId, messageId, offset));
+  };
+
+  const handleStopGeneration = () => {
+    abortController?.abort();
+  };
+
   const handleNewSession = async () => {
     try {
       setLoading(true);
@@ -169,11 +519,15 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
     try {
       setLoading(true);
       
-      // Clear history via backend
-      await sessionManager.clearHistory(currentSessionId);
+      // Move the messages to the trash
+      const item = await sessionManager.trashHistory(currentSessionId);
       
       // Update display
       setMessages([]);
+      setSessions(sessionManager.getAllSessions());
+      if (item) {
+        setUndoToast({ message: 'History cleared.', trashId: item.trashId });
+      }
     } catch (error) {
       console.error('Failed to clear history:', error);
       alert('Failed to clear history. Please try again.');
@@ -182,11 +536,26 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
     }
   };
 
+  /**
+   * Apply a rename / pin / archive change and refresh the sidebar
+   */
+  const handleUpdateSession = async (update) => {
+    try {
+      await update();
+      setSessions(sessionManager.getAllSessions());
+    } catch (error) {
+      alert('Failed to update session. Please try again.');
+    }
+  };
+
   const handleDeleteSession = async (sessionId) => {
     try {
 
-      // Delete session via backend
-      await sessionManager.deleteSession(user["userId"], sessionId);
+      // Move the session to the trash
+      const item = await sessionManager.trashSession(sessionId);
+      if (item) {
+        setUndoToast({ message: `"${item.title}" moved to trash.`, trashId: item.trashId });
+      }
       
       // Update sessions list
       const updatedSessions = sessions.filter(s => s.sessionId !== sessionId);
@@ -208,11 +577,152 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
     }
   };
 
+  /**
+   * Restore a trash item and open the session holding it
+   */
+  const handleRestore = async (trashId) => {
+    try {
+      const sessionId = await sessionManager.restoreFromTrash(trashId);
+      setSessions(sessionManager.getAllSessions());
+      if (sessionId) {
+        await handleSwitchSession(sessionId);
+      }
+    } catch (error) {
+      alert('Failed to restore from trash. Please try again.');
+    }
+  };
+
+  const handleUndo = async () => {
+    const { trashId } = undoToast;
+    setUndoToast(null);
+    await handleRestore(trashId);
+  };
+
+  const handlePurge = async (item) => {
+    if (!window.confirm(`Permanently delete "${item.title}"? This cannot be undone.`)) return;
+
+    try {
+      await sessionManager.purgeFromTrash(item.trashId);
+      setSessions(sessionManager.getAllSessions());
+    } catch (error) {
+      alert('Failed to delete from trash. Please try again.');
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+
+    try {
+      setLoading(true);
+      await sessionManager.emptyTrash();
+    } catch (error) {
+      alert('Failed to empty the trash. Please try again.');
+    } finally {
+      setSessions(sessionManager.getAllSessions());
+      setLoading(false);
+    }
+  };
+
+  const handleRetentionClose = async (result) => {
+    setRetention(null);
+    if (!result || result.removed === 0) return;
+
+    const remaining = sessionManager.getAllSessions();
+    setSessions(remaining);
+    if (!remaining.some(session => session.sessionId === currentSessionId)) {
+      const next = sessionManager.sortSessions(remaining).find(session => !session.archived);
+      if (next) {
+        await handleSwitchSession(next.sessionId);
+      } else {
+        await handleNewSession();
+      }
+    }
+  };
+
   const handleSwitchSession = async (sessionId) => {
     setCurrentSessionId(sessionId);
     await loadSessionMessages(sessionId);
   };
 
+  const handleOpenSearchResult = async (result) => {
+    if (result.sessionId !== currentSessionId) {
+      await handleSwitchSession(result.sessionId);
+    }
+    setHighlightedMessageId(result.messageId);
+  };
+
+  /**
+   * Continue the conversation up to this message in a new session
+   */
+  const handleForkSession = async (messageId) => {
+    try {
+      setLoading(true);
+      const fork = await sessionManager.forkSession(currentSessionId, messageId);
+      setSessions(sessionManager.getAllSessions());
+      await handleSwitchSession(fork.sessionId);
+    } catch (error) {
+      console.error('Failed to fork session:', error);
+      alert('Failed to fork the conversation. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Export the current session (or all sessions) and download the file
+   */
+  const handleExport = async (allSessions) => {
+    try {
+      const sessionIds = allSessions ? null : [currentSessionId];
+      const { content, filename, mimeType } = await sessionManager.exportSessions(
+        user['userId'],
+        sessionIds,
+        exportFormat
+      );
+
+      const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export sessions:', error);
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    try {
+      setLoading(true);
+      const text = await file.text();
+      const { imported, duplicates, errors } = await sessionManager.importSessions(
+        user['userId'],
+        text,
+        file.name
+      );
+
+      setSessions(sessionManager.getAllSessions());
+      if (imported.length > 0) {
+        await handleSwitchSession(imported[0].sessionId);
+      }
+
+      const summary = [`Imported ${imported.length} session(s).`];
+      if (duplicates > 0) summary.push(`Skipped ${duplicates} duplicate(s).`);
+      if (errors.length > 0) summary.push(`${errors.length} problem(s):\n${errors.slice(0, 5).join('\n')}`);
+      alert(summary.join('\n'));
+    } catch (error) {
+      console.error('Failed to import sessions:', error);
+      alert(`Import failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleRefreshSessions = async () => {
     try {
       console.log("handleRefreshSessions is being called");
@@ -227,6 +737,34 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
     }
   };
 
+  // Context usage of the next request, including the message being typed
+  const draftHistory = buildConversationHistory();
+  if (inputValue.trim()) {
+    draftHistory.push({ role: 'user', content: inputValue });
+  }
+  const contextUsage = fitToContext(draftHistory).usage;
+
+  // Pinned sessions first, then most recently used; archived ones are folded away
+  const sortedSessions = sessionManager.sortSessions(sessions);
+  const archivedSessions = sortedSessions.filter(session => session.archived);
+  const trashItems = sessionManager.getTrash();
+
+  const renderSessionItem = (session) => (
+    <SessionListItem
+      key={session.sessionId}
+      session={session}
+      title={sessionManager.getSessionTitle(session.sessionId)}
+      lineage={sessionManager.getSessionLineage(session.sessionId)}
+      active={session.sessionId === currentSessionId}
+      onSelect={() => handleSwitchSession(session.sessionId)}
+      onOpenParent={(parentId) => handleSwitchSession(parentId)}
+      onRename={(title) => handleUpdateSession(() => sessionManager.renameSession(session.sessionId, title))}
+      onTogglePin={() => handleUpdateSession(() => sessionManager.setSessionPinned(session.sessionId, !session.pinned))}
+      onToggleArchive={() => handleUpdateSession(() => sessionManager.setSessionArchived(session.sessionId, !session.archived))}
+      onDelete={() => handleDeleteSession(session.sessionId)}
+    />
+  );
+
   return (
     <div className="chat-container">
       {/* Guest Mode Warning */}
@@ -264,6 +802,19 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
           </button>
         </div>
       )}
+      {storageWarning && (
+        <div className={`storage-warning ${storageWarning.type}`}>
+          <span>💾</span>
+          <span>{storageWarning.message}</span>
+          <button
+            className="storage-warning-close"
+            onClick={() => setStorageWarning(null)}
+            title="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      )}
       <div className="chat-layout">
         {/* Sidebar */}
         <div className="chat-sidebar">
@@ -282,35 +833,37 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
               🔄
             </button>
           </div>
+          <SessionSearch
+            sessionManager={sessionManager}
+            userId={user['userId']}
+            onSelect={handleOpenSearchResult}
+          />
           <div className="session-list">
-            {sessions.map((session) => (
-              <div
-                key={session.sessionId}
-                className={`session-item ${session.sessionId === currentSessionId ? 'active' : ''}`}
-                onClick={() => handleSwitchSession(session.sessionId)}
+            {sortedSessions.filter(session => !session.archived).map(renderSessionItem)}
+            {archivedSessions.length > 0 && (
+              <button
+                className="archived-toggle"
+                onClick={() => setShowArchived(!showArchived)}
               >
-                <div style={{ marginBottom: '0.3rem' }}>
-                  Session {session.sessionId.slice(-8)}
-                </div>
-                <div style={{ fontSize: '0.8rem', opacity: 0.7 }}>
-                  {session.messages?.length || 0} messages
-                </div>
-                <button
-                  className="btn-secondary"
-                  style={{ 
-                    marginTop: '0.3rem', 
-                    fontSize: '0.7rem',
-                    padding: '0.3rem 0.5rem'
-                  }}
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    handleDeleteSession(session.sessionId);
-                  }}
-                >
-                  Delete
-                </button>
-              </div>
-            ))}
+                {showArchived ? '▾' : '▸'} Archived ({archivedSessions.length})
+              </button>
+            )}
+            {showArchived && archivedSessions.map(renderSessionItem)}
+            <button
+              className="archived-toggle"
+              onClick={() => setShowTrash(!showTrash)}
+            >
+              {showTrash ? '▾' : '▸'} 🗑️ Trash ({trashItems.length})
+            </button>
+            {showTrash && (
+              <TrashView
+                items={trashItems}
+                onRestore={(item) => handleRestore(item.trashId)}
+                onPurge={handlePurge}
+                onEmpty={handleEmptyTrash}
+                disabled={loading}
+              />
+            )}
           </div>
           <button 
             className="btn-primary" 
@@ -320,10 +873,71 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
           >
             ➕ New Chat
           </button>
+          <div className="session-transfer">
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              title="Export format"
+            >
+              <option value={EXPORT_FORMATS.JSON}>JSON</option>
+              <option value={EXPORT_FORMATS.MARKDOWN}>Markdown</option>
+              <option value={EXPORT_FORMATS.JSONL}>JSONL (fine-tuning)</option>
+            </select>
+            <div className="session-transfer-buttons">
+              <button
+                className="btn-secondary"
+                onClick={() => handleExport(false)}
+                disabled={!currentSessionId}
+                title="Export the current chat"
+              >
+                ⬇ Chat
+              </button>
+              <button
+                className="btn-secondary"
+                onClick={() => handleExport(true)}
+                disabled={sessions.length === 0}
+                title="Export all chats"
+              >
+                ⬇ All
+              </button>
+              <button
+                className="btn-secondary"
+                onClick={() => importInputRef.current?.click()}
+                disabled={loading}
+                title="Import chats from JSON, Markdown or JSONL"
+              >
+                ⬆ Import
+              </button>
+              <button
+                className="btn-secondary"
+                onClick={() => setRetention({ initialPreview: null })}
+                title="Rules for removing old chats"
+              >
+                🧽 Clean up
+              </button>
+            </div>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,.jsonl,.md,.markdown"
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+          </div>
         </div>
 
         {/* Main Chat Area */}
         <div className="chat-main">
+          {showSettings && (
+            <GenerationSettings
+              settings={settings}
+              models={modelManager.getAvailableModels()}
+              onSave={handleSaveSettings}
+              onClose={() => setShowSettings(false)}
+              disabled={!currentSessionId}
+            />
+          )}
+
           {/* Messages */}
           <div className="messages-area">
             {messages.length === 0 ? (
@@ -331,20 +945,124 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
                 👋 Start a conversation by typing a message below...
               </div>
             ) : (
-              messages.map((msg) => (
-                <div key={msg.messageId} className={`message ${msg.type.toLowerCase()}`}>
-                  <div className="message-content">
-                    {msg.content}
+              messages.map((msg, index) => {
+                const branch = sessionManager.getBranchInfo(currentSessionId, msg.messageId);
+                const isEditing = editingMessageId === msg.messageId;
+
+                return (
+                  <div
+                    key={msg.messageId}
+                    id={`message-${msg.messageId}`}
+                    className={`message ${msg.type.toLowerCase()}${msg.messageId === highlightedMessageId ? ' search-hit' : ''}`}
+                  >
+                    <div className="message-content">
+                      {isEditing ? (
+                        <div className="message-edit">
+                          <textarea
+                            value={editValue}
+                            onChange={(e) => setEditValue(e.target.value)}
+                            rows={3}
+                            autoFocus
+                          />
+                          <div className="message-actions">
+                            <button type="button" onClick={() => handleSubmitEdit(index)} disabled={!editValue.trim()}>
+                              Save & Send
+                            </button>
+                            <button type="button" onClick={handleCancelEdit}>
+                              Cancel
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <>
+                          {msg.error ? (
+                            <ErrorNotice error={msg.error} compact {...errorActions(index)} />
+                          ) : msg.type === 'ASSISTANT' ? (
+                            <AssistantContent content={msg.content} />
+                          ) : (
+                            msg.content
+                          )}
+                          {msg.stopped && (
+                            <span className="message-badge" title="Generation was stopped before it finished">
+                              ⏹ stopped
+                            </span>
+                          )}
+                          {msg.cachedLocally && (
+                            <span className="message-badge" title="Answered from this device's cache for an identical request">
+                              ⚡ cached
+                            </span>
+                          )}
+                        </>
+                      )}
+                      {!isEditing && !msg.isError && (
+                        <div className="message-actions">
+                          {branch.total > 1 && (
+                            <span className="branch-switcher">
+                              <button
+                                type="button"
+                                onClick={() => handleSwitchBranch(msg.messageId, -1)}
+                                disabled={loading || branch.index === 0}
+                                title="Previous version"
+                              >
+                                ‹
+                              </button>
+                              {branch.index + 1}/{branch.total}
+                              <button
+                                type="button"
+                                onClick={() => handleSwitchBranch(msg.messageId, 1)}
+                                disabled={loading || branch.index === branch.total - 1}
+                                title="Next version"
+                              >
+                                ›
+                              </button>
+                            </span>
+                          )}
+                          {msg.type === 'ASSISTANT' ? (
+                            <button type="button" onClick={() => handleRegenerate(index)} disabled={loading}>
+                              🔄 Regenerate
+                            </button>
+                          ) : (
+                            <button type="button" onClick={() => handleStartEdit(msg)} disabled={loading}>
+                              ✏️ Edit
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => handleForkSession(msg.messageId)}
+                            disabled={loading}
+                            title="Start a new session from this message"
+                          >
+                            🍴 Fork from here
+                          </button>
+                        </div>
+                      )}
+                    </div>
                   </div>
+                );
+              })
+            )}
+            {loading && streamingContent !== null && (
+              <div className="message assistant">
+                <div className="message-content">
+                  <AssistantContent content={streamingContent} isStreaming />
+                  <span className="streaming-cursor">▍</span>
                 </div>
-              ))
+              </div>
             )}
-            {loading && (
+            {loading && streamingContent === null && (
               <div className="message assistant">
                 <div className="message-content">
                   <div className="loading">
                     <div className="spinner"></div>
-                    AI is thinking...
+                    {retryStatus ? (
+                      <span className="retry-countdown" title={retryStatus.reason}>
+                        The server is busy. {retryStatus.retryAt > now
+                          ? `Retrying in ${Math.ceil((retryStatus.retryAt - now) / 1000)}s`
+                          : 'Retrying now'} (attempt {retryStatus.attempt} of {retryStatus.maxRetries})...
+                      </span>
+                    ) : (
+                      'AI is thinking...'
+                    )}
                   </div>
                 </div>
               </div>
@@ -365,19 +1083,64 @@ function ChatInterface({ user, sessionManager, apiService, isGuest, onShowLogin
                   style={{ flex: 1 }}
                 />
                 <div className="input-controls">
-                  <button 
-                    type="submit" 
-                    className="btn-primary"
-                    disabled={loading || !inputValue.trim() || !currentSessionId}
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => setShowSettings(!showSettings)}
+                    title="Generation settings for this session"
+                  >
+                    ⚙️
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={handleClearHistory}
+                    disabled={loading || messages.length === 0}
+                    title="Clear this chat's history (kept in the trash)"
                   >
-                    Send
+                    🧹
                   </button>
+                  {abortController ? (
+                    <button
+                      type="button"
+                      className="btn-danger"
+                      onClick={handleStopGeneration}
+                    >
+                      ⏹ Stop
+                    </button>
+                  ) : (
+                    <button 
+                      type="submit" 
+                      className="btn-primary"
+                      disabled={loading || !inputValue.trim() || !currentSessionId}
+                    >
+                      Send
+                    </button>
+                  )}
                 </div>
               </form>
+              <ContextMeter usage={contextUsage} />
             </div>
           </div>
         </div>
       </div>
+      {retention && (
+        <RetentionDialog
+          sessionManager={sessionManager}
+          isGuest={isGuest}
+          initialPreview={retention.initialPreview}
+          onClose={handleRetentionClose}
+        />
+      )}
+      {undoToast && (
+        <div className="undo-toast" role="status">
+          <span>{undoToast.message}</span>
+          <button onClick={handleUndo}>Undo</button>
+          <button className="undo-toast-close" onClick={() => setUndoToast(null)} title="Dismiss">
+            ×
+          </button>
+        </div>
+      )}
     </div>
   );
 }
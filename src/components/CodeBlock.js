@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * CodeBlock - Fenced code block with syntax highlighting and a copy button
+ * Highlighting produces React elements only, so model output is never
+ * injected as HTML.
+ */
+
+const KEYWORDS = {
+  javascript: 'async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while with yield',
+  typescript: 'abstract any as async await boolean break case catch class const constructor continue declare default delete do else enum export extends false finally for from function if implements import in instanceof interface keyof let module namespace never new null number of private protected public readonly return static string super switch this throw true try type typeof undefined unknown var void while yield',
+  python: 'False None True and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return self try while with yield',
+  java: 'abstract boolean break byte case catch char class const continue default do double else enum extends false final finally float for if implements import instanceof int interface long native new null package private protected public return short static super switch synchronized this throw throws true try void volatile while',
+  c: 'auto bool break case char class const constexpr continue default delete do double else enum explicit extern false float for friend goto if inline int long namespace new nullptr private protected public register return short signed sizeof static struct switch template this throw true try typedef typename union unsigned using virtual void volatile while',
+  go: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var',
+  rust: 'as async await break const continue crate else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while',
+  bash: 'case do done echo elif else esac export fi for function if in local read return set then until while',
+  sql: 'ADD ALL ALTER AND AS ASC BETWEEN BY CASE CREATE DELETE DESC DISTINCT DROP ELSE END EXISTS FROM GROUP HAVING IN INDEX INNER INSERT INTO IS JOIN LEFT LIKE LIMIT NOT NULL ON OR ORDER OUTER PRIMARY KEY RIGHT SELECT SET TABLE THEN UNION UPDATE VALUES WHERE WITH',
+  json: 'true false null'
+};
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', node: 'javascript',
+  ts: 'typescript', tsx: 'typescript',
+  py: 'python', python3: 'python',
+  cpp: 'c', 'c++': 'c', h: 'c', hpp: 'c', cs: 'c', csharp: 'c',
+  kotlin: 'java', kt: 'java', scala: 'java',
+  golang: 'go',
+  rs: 'rust',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+  postgres: 'sql', mysql: 'sql', sqlite: 'sql'
+};
+
+// Languages that use `#` for line comments
+const HASH_COMMENTS = ['python', 'bash', 'ruby', 'yaml', 'toml', 'r'];
+
+const resolveLanguage = (language) => {
+  const lang = (language || '').toLowerCase();
+  return LANGUAGE_ALIASES[lang] || lang;
+};
+
+/**
+ * Build a tokenizer regex for a language
+ * Groups: 1 comment, 2 string, 3 number, 4 word
+ */
+const buildTokenizer = (language) => {
+  const comments = [];
+  if (HASH_COMMENTS.includes(language)) {
+    comments.push('#[^\\n]*');
+  }
+  if (language === 'sql') {
+    comments.push('--[^\\n]*');
+  }
+  if (!['python', 'bash', 'yaml', 'toml', 'json'].includes(language)) {
+    comments.push('\\/\\/[^\\n]*', '\\/\\*[\\s\\S]*?\\*\\/');
+  }
+  if (language === 'python') {
+    comments.unshift('"""[\\s\\S]*?"""', "'''[\\s\\S]*?'''");
+  }
+
+  const commentPattern = comments.length > 0 ? comments.join('|') : '(?!)';
+  const stringPattern = '"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`';
+  const numberPattern = '\\b(?:0x[\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:e[+-]?\\d+)?)\\b';
+  const wordPattern = '[A-Za-z_$][\\w$]*';
+
+  return new RegExp(`(${commentPattern})|(${stringPattern})|(${numberPattern})|(${wordPattern})`, 'g');
+};
+
+/**
+ * Split code into highlighted React spans
+ */
+export const highlightCode = (code, language) => {
+  const lang = resolveLanguage(language);
+  const keywordList = KEYWORDS[lang];
+
+  if (!keywordList && !HASH_COMMENTS.includes(lang)) {
+    // Unknown language - no highlighting
+    return [code];
+  }
+
+  const keywords = new Set(keywordList ? keywordList.split(' ') : []);
+  const caseInsensitive = lang === 'sql';
+  const tokenizer = buildTokenizer(lang);
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tokenizer.exec(code)) !== null) {
+    const [text, comment, string, number, word] = match;
+    let className = null;
+
+    if (comment) className = 'token-comment';
+    else if (string) className = lang === 'json' && /^\s*:/.test(code.slice(tokenizer.lastIndex)) ? 'token-property' : 'token-string';
+    else if (number) className = 'token-number';
+    else if (word && keywords.has(caseInsensitive ? word.toUpperCase() : word)) className = 'token-keyword';
+    else if (word && /^\s*\(/.test(code.slice(tokenizer.lastIndex))) className = 'token-function';
+
+    if (!className) continue;
+
+    if (match.index > lastIndex) {
+      parts.push(code.slice(lastIndex, match.index));
+    }
+    parts.push(<span key={match.index} className={className}>{text}</span>);
+    lastIndex = match.index + text.length;
+  }
+
+  if (lastIndex < code.length) {
+    parts.push(code.slice(lastIndex));
+  }
+
+  return parts;
+};
+
+function CodeBlock({ code, language }) {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+    } catch (error) {
+      console.error('Failed to copy code:', error);
+    }
+  };
+
+  return (
+    <div className="code-block-wrapper">
+      <div className="code-block-header">
+        <span>{language || 'text'}</span>
+        <button type="button" onClick={handleCopy}>
+          {copied ? '✓ Copied' : '📋 Copy'}
+        </button>
+      </div>
+      <pre className="code-block-body">
+        <code>{highlightCode(code, language)}</code>
+      </pre>
+    </div>
+  );
+}
+
+export default CodeBlock;
@@ -0,0 +1,53 @@
+import { render, screen } from '@testing-library/react';
+import { highlightCode } from './CodeBlock';
+
+const renderCode = (code, language) => render(<code data-testid="code">{highlightCode(code, language)}</code>);
+
+describe('highlightCode', () => {
+  test('marks keywords, strings, numbers, functions and comments', () => {
+    renderCode('const total = sum("a", 42); // done', 'js');
+
+    expect(screen.getByText('const')).toHaveClass('token-keyword');
+    expect(screen.getByText('sum')).toHaveClass('token-function');
+    expect(screen.getByText('"a"')).toHaveClass('token-string');
+    expect(screen.getByText('42')).toHaveClass('token-number');
+    expect(screen.getByText('// done')).toHaveClass('token-comment');
+  });
+
+  test('uses the comment syntax of the language', () => {
+    renderCode('x = 7 // 2  # floor', 'python');
+
+    expect(screen.getByText('# floor')).toHaveClass('token-comment');
+    expect(screen.getByText('7')).toHaveClass('token-number');
+    expect(screen.getByText('2')).toHaveClass('token-number');
+  });
+
+  test('matches SQL keywords case-insensitively', () => {
+    renderCode('select name from users -- all', 'postgres');
+
+    expect(screen.getByText('select')).toHaveClass('token-keyword');
+    expect(screen.getByText('from')).toHaveClass('token-keyword');
+    expect(screen.getByText('-- all')).toHaveClass('token-comment');
+  });
+
+  test('tells JSON properties from string values', () => {
+    renderCode('{"name": "pocket", "ok": true}', 'json');
+
+    expect(screen.getByText('"name"')).toHaveClass('token-property');
+    expect(screen.getByText('"pocket"')).toHaveClass('token-string');
+    expect(screen.getByText('true')).toHaveClass('token-keyword');
+  });
+
+  test('keeps the code text unchanged', () => {
+    const code = 'fn main() {\n    let s = "<script>alert(1)</script>";\n}';
+    renderCode(code, 'rust');
+
+    expect(screen.getByTestId('code')).toHaveTextContent(code, { normalizeWhitespace: false });
+    expect(screen.getByText('"<script>alert(1)</script>"')).toHaveClass('token-string');
+  });
+
+  test('leaves unknown languages unhighlighted', () => {
+    expect(highlightCode('let x = 1', 'brainfuck')).toEqual(['let x = 1']);
+    expect(highlightCode('let x = 1', '')).toEqual(['let x = 1']);
+  });
+});
@@ -0,0 +1,39 @@
+import React from 'react';
+
+/**
+ * ContextMeter - Shows how much of the model's context window the next
+ * request will use, and whether older messages will be trimmed
+ */
+function ContextMeter({ usage }) {
+  if (!usage) return null;
+
+  const percent = Math.min(100, Math.round((usage.originalTokens / usage.budget) * 100));
+  const overBudget = usage.originalTokens > usage.budget;
+
+  let color = '#4caf50';
+  if (overBudget) color = '#f44336';
+  else if (percent > 80) color = '#ff9800';
+
+  const summarized = usage.summarized || usage.needsSummary;
+
+  let title = `~${usage.originalTokens} of ${usage.budget} prompt tokens (${usage.limit} token context window)`;
+  if (usage.droppedMessages > 0) {
+    title += summarized
+      ? `\n${usage.droppedMessages} older messages will be replaced by a summary`
+      : `\n${usage.droppedMessages} older messages will be dropped`;
+  }
+
+  return (
+    <div className="context-meter" title={title}>
+      <div className="context-meter-bar">
+        <div className="context-meter-fill" style={{ width: `${percent}%`, backgroundColor: color }} />
+      </div>
+      <span style={{ color: overBudget ? color : undefined }}>
+        {usage.originalTokens.toLocaleString()} / {usage.budget.toLocaleString()}
+        {usage.droppedMessages > 0 && (summarized ? ' · summarizing' : ' · trimming')}
+      </span>
+    </div>
+  );
+}
+
+export default ContextMeter;
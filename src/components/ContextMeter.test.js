@@ -0,0 +1,42 @@
+import { render, screen } from '@testing-library/react';
+import ContextMeter from './ContextMeter';
+
+const usage = (overrides) => ({
+  used: 0,
+  budget: 1000,
+  limit: 2048,
+  originalTokens: 0,
+  droppedMessages: 0,
+  summarized: false,
+  needsSummary: false,
+  ...overrides
+});
+
+describe('ContextMeter', () => {
+  test('shows the estimated prompt size against the budget', () => {
+    render(<ContextMeter usage={usage({ originalTokens: 250 })} />);
+
+    expect(screen.getByText('250 / 1,000')).toBeInTheDocument();
+    expect(screen.getByTitle('~250 of 1000 prompt tokens (2048 token context window)')).toBeInTheDocument();
+  });
+
+  test('says whether older messages are dropped or summarized', () => {
+    const { rerender } = render(<ContextMeter usage={usage({ originalTokens: 1500, droppedMessages: 4 })} />);
+    expect(screen.getByText(/· trimming/)).toBeInTheDocument();
+    expect(screen.getByTitle(/4 older messages will be dropped/)).toBeInTheDocument();
+
+    rerender(<ContextMeter usage={usage({ originalTokens: 1500, droppedMessages: 4, summarized: true })} />);
+    expect(screen.getByText(/· summarizing/)).toBeInTheDocument();
+    expect(screen.getByTitle(/4 older messages will be replaced by a summary/)).toBeInTheDocument();
+
+    // Before the summary has been written
+    rerender(<ContextMeter usage={usage({ originalTokens: 1500, droppedMessages: 4, needsSummary: true })} />);
+    expect(screen.getByText(/· summarizing/)).toBeInTheDocument();
+  });
+
+  test('renders nothing before the usage is known', () => {
+    render(<ContextMeter usage={null} />);
+
+    expect(screen.queryByText(/\//)).not.toBeInTheDocument();
+  });
+});
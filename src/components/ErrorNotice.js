@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+import {
+  AuthError,
+  RateLimitError,
+  ModelUnavailableError,
+  ValidationError,
+  NetworkError
+} from '../services/APIErrors';
+
+/**
+ * Describe an API error for people, with the action that gets them unstuck
+ * `action` is one of 'signIn' | 'retry' | 'switchModel' | 'edit'.
+ */
+export const describeError = (error) => {
+  if (error instanceof AuthError) {
+    return {
+      title: error.status === 403 ? 'Not allowed' : 'Signed out',
+      message: error.status === 403
+        ? 'Your account is not allowed to do this.'
+        : 'Your sign-in has expired. Sign in again to continue.',
+      action: error.status === 403 ? null : 'signIn',
+      actionLabel: '🔐 Sign in again'
+    };
+  }
+  if (error instanceof RateLimitError) {
+    return {
+      title: 'Too many requests',
+      message: 'You have hit the rate limit. Wait a moment, then try again.',
+      action: 'retry',
+      actionLabel: '🔄 Try again',
+      retryAfterMs: error.retryAfterMs
+    };
+  }
+  if (error instanceof ModelUnavailableError) {
+    return {
+      title: 'Model unavailable',
+      message: error.retryable
+        ? 'The model is not available right now. Try again shortly or pick another model.'
+        : 'This model is not installed on the server. Pick another model.',
+      action: 'switchModel',
+      actionLabel: '🤖 Choose another model'
+    };
+  }
+  if (error instanceof ValidationError) {
+    return {
+      title: 'Request rejected',
+      message: `The server could not accept the request: ${error.message}`,
+      action: 'edit',
+      actionLabel: '✏️ Edit and resend'
+    };
+  }
+  if (error instanceof NetworkError) {
+    return {
+      title: 'Connection problem',
+      message: `${error.message}. Check your connection and try again.`,
+      action: 'retry',
+      actionLabel: '🔄 Try again'
+    };
+  }
+  return {
+    title: 'Something went wrong',
+    message: error?.message || 'The request failed.',
+    action: error?.retryable === false ? null : 'retry',
+    actionLabel: '🔄 Try again'
+  };
+};
+
+/**
+ * ErrorNotice - An API error with its message and recovery button
+ * Pass a handler for each action the current view can offer (`onSignIn`,
+ * `onRetry`, `onSwitchModel`, `onEdit`); without one, only the message shows.
+ * Rate-limit retries stay disabled until the server's Retry-After has passed.
+ */
+function ErrorNotice({ error, onSignIn, onRetry, onSwitchModel, onEdit, onDismiss, compact = false }) {
+  const description = describeError(error);
+  const [waitUntil] = useState(() => (
+    description.retryAfterMs ? Date.now() + description.retryAfterMs : 0
+  ));
+  const [secondsLeft, setSecondsLeft] = useState(() => Math.ceil((waitUntil - Date.now()) / 1000));
+
+  useEffect(() => {
+    if (secondsLeft <= 0) return undefined;
+    const timer = setTimeout(() => setSecondsLeft(Math.ceil((waitUntil - Date.now()) / 1000)), 1000);
+    return () => clearTimeout(timer);
+  }, [secondsLeft, waitUntil]);
+
+  const handlers = { signIn: onSignIn, retry: onRetry, switchModel: onSwitchModel, edit: onEdit };
+  const handleAction = handlers[description.action];
+  // A model that is only loading may also come back on its own
+  const showRetry = description.action === 'switchModel' && error.retryable && onRetry;
+
+  return (
+    <div className={`error-notice${compact ? ' compact' : ''}`} role="alert">
+      <div className="error-notice-title">⚠️ {description.title}</div>
+      <div className="error-notice-message">{description.message}</div>
+      {error?.requestId && (
+        <div className="error-notice-request">Request ID: <code>{error.requestId}</code></div>
+      )}
+      <div className="error-notice-actions">
+        {handleAction && (
+          <button type="button" className="btn-primary" onClick={handleAction} disabled={secondsLeft > 0}>
+            {description.actionLabel}{secondsLeft > 0 ? ` (${secondsLeft}s)` : ''}
+          </button>
+        )}
+        {showRetry && (
+          <button type="button" className="btn-secondary" onClick={onRetry}>
+            🔄 Try again
+          </button>
+        )}
+        {onDismiss && (
+          <button type="button" className="btn-secondary" onClick={onDismiss}>
+            Dismiss
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ErrorNotice;
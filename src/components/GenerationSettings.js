@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import { CONTEXT_STRATEGIES } from '../services/ContextManager';
+import { PROVIDERS, PROVIDER_OPTIONS } from '../services/providers';
+
+// Allowed range of each numeric setting, as [min, max]
+const LIMITS = {
+  temperature: [0, 2],
+  topP: [0, 1],
+  maxTokens: [1, 32768],
+  keepLastN: [1, 200]
+};
+
+/**
+ * GenerationSettings - Drawer for per-session generation parameters
+ * Edits a local copy and hands the result to `onSave`
+ */
+function GenerationSettings({ settings, models, onSave, onClose, disabled }) {
+  const [form, setForm] = useState(() => toForm(settings));
+
+  useEffect(() => {
+    setForm(toForm(settings));
+  }, [settings]);
+
+  const updateField = (field) => (e) => {
+    setForm(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(fromForm(form, settings));
+  };
+
+  return (
+    <div className="settings-drawer">
+      <div className="settings-drawer-header">
+        <strong>⚙️ Generation Settings</strong>
+        <button type="button" className="settings-close" onClick={onClose} title="Close settings">
+          ×
+        </button>
+      </div>
+      <form onSubmit={handleSubmit} className="settings-form">
+        <div className="form-group">
+          <label>System Prompt</label>
+          <textarea
+            value={form.systemPrompt}
+            onChange={updateField('systemPrompt')}
+            rows={4}
+            placeholder="You are a helpful assistant..."
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label>Provider</label>
+          <select value={form.provider} onChange={updateField('provider')} disabled={disabled}>
+            {PROVIDER_OPTIONS.map(provider => (
+              <option key={provider.id} value={provider.id}>{provider.name}</option>
+            ))}
+          </select>
+        </div>
+        {form.provider !== PROVIDERS.POCKETLLM && (
+          <div className="form-group">
+            <label>Model name on the server</label>
+            <input
+              type="text"
+              value={form.providerModel}
+              onChange={updateField('providerModel')}
+              placeholder={form.modelId}
+              disabled={disabled}
+            />
+          </div>
+        )}
+        <div className="form-group">
+          <label>{form.provider === PROVIDERS.POCKETLLM ? 'Model' : 'Context window of'}</label>
+          <select value={form.modelId} onChange={updateField('modelId')} disabled={disabled}>
+            {models.map(model => (
+              <option key={model.id} value={model.id}>
+                {model.name} ({model.contextLength} ctx)
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Temperature: {form.temperature}</label>
+          <input
+            type="range"
+            min={LIMITS.temperature[0]}
+            max={LIMITS.temperature[1]}
+            step="0.05"
+            value={form.temperature}
+            onChange={updateField('temperature')}
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label>Top P: {form.topP}</label>
+          <input
+            type="range"
+            min={LIMITS.topP[0]}
+            max={LIMITS.topP[1]}
+            step="0.05"
+            value={form.topP}
+            onChange={updateField('topP')}
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label>Max Tokens</label>
+          <input
+            type="number"
+            min={LIMITS.maxTokens[0]}
+            max={LIMITS.maxTokens[1]}
+            value={form.maxTokens}
+            onChange={updateField('maxTokens')}
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label>Stop Sequences</label>
+          <textarea
+            value={form.stopSequences}
+            onChange={updateField('stopSequences')}
+            rows={2}
+            placeholder="One per line"
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label>Seed</label>
+          <input
+            type="number"
+            value={form.seed}
+            onChange={updateField('seed')}
+            placeholder="Random"
+            disabled={disabled}
+          />
+        </div>
+        <div className="form-group">
+          <label>When the context window is full</label>
+          <select value={form.contextStrategy} onChange={updateField('contextStrategy')} disabled={disabled}>
+            <option value={CONTEXT_STRATEGIES.DROP_OLDEST}>Drop oldest messages</option>
+            <option value={CONTEXT_STRATEGIES.KEEP_LAST_N}>Keep system prompt + last N messages</option>
+            <option value={CONTEXT_STRATEGIES.SUMMARIZE}>Summarize older messages</option>
+          </select>
+        </div>
+        {form.contextStrategy === CONTEXT_STRATEGIES.KEEP_LAST_N && (
+          <div className="form-group">
+            <label>Messages to keep (N)</label>
+            <input
+              type="number"
+              min={LIMITS.keepLastN[0]}
+              max={LIMITS.keepLastN[1]}
+              value={form.keepLastN}
+              onChange={updateField('keepLastN')}
+              disabled={disabled}
+            />
+          </div>
+        )}
+        <div className="form-group">
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={form.localCache}
+              onChange={(e) => setForm(prev => ({ ...prev, localCache: e.target.checked }))}
+              disabled={disabled}
+            />
+            Reuse cached answers for identical requests (temperature 0)
+          </label>
+          {form.localCache && (
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={form.cacheSampled}
+                onChange={(e) => setForm(prev => ({ ...prev, cacheSampled: e.target.checked }))}
+                disabled={disabled}
+              />
+              Also when temperature is above 0 (answers stop varying)
+            </label>
+          )}
+        </div>
+        <div className="form-group">
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={form.modelTitles}
+              onChange={(e) => setForm(prev => ({ ...prev, modelTitles: e.target.checked }))}
+              disabled={disabled}
+            />
+            Ask the model for a better session title
+          </label>
+        </div>
+        <button type="submit" className="btn-primary" disabled={disabled}>
+          💾 Save Settings
+        </button>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * Read a number from a form field and keep it within its limits
+ * Input that is not a number keeps the previous value.
+ */
+const readNumber = (value, [min, max], previous, { integer = false } = {}) => {
+  const number = integer ? parseInt(value, 10) : parseFloat(value);
+  if (Number.isNaN(number)) return previous;
+  return Math.min(max, Math.max(min, number));
+};
+
+/**
+ * Convert session settings to form field values
+ */
+export const toForm = (settings) => ({
+  systemPrompt: settings.systemPrompt || '',
+  temperature: settings.temperature,
+  topP: settings.topP,
+  maxTokens: settings.maxTokens,
+  stopSequences: (settings.stopSequences || []).join('\n'),
+  seed: settings.seed ?? '',
+  modelId: settings.modelId,
+  provider: settings.provider,
+  providerModel: settings.providerModel || '',
+  contextStrategy: settings.contextStrategy,
+  keepLastN: settings.keepLastN,
+  localCache: Boolean(settings.localCache),
+  cacheSampled: Boolean(settings.cacheSampled),
+  modelTitles: Boolean(settings.modelTitles)
+});
+
+/**
+ * Convert form field values back to session settings
+ * Numbers are clamped to their limits; unreadable ones keep the value from
+ * `previous`, the settings the form was opened with.
+ */
+export const fromForm = (form, previous) => {
+  const seed = parseInt(form.seed, 10);
+
+  return {
+    systemPrompt: form.systemPrompt.trim(),
+    temperature: readNumber(form.temperature, LIMITS.temperature, previous.temperature),
+    topP: readNumber(form.topP, LIMITS.topP, previous.topP),
+    maxTokens: readNumber(form.maxTokens, LIMITS.maxTokens, previous.maxTokens, { integer: true }),
+    stopSequences: form.stopSequences.split('\n').filter(stop => stop.length > 0),
+    seed: Number.isNaN(seed) ? null : seed,
+    modelId: form.modelId,
+    provider: form.provider,
+    // The PocketLLM backend is sent the selected model itself
+    providerModel: form.provider === PROVIDERS.POCKETLLM ? '' : form.providerModel.trim(),
+    contextStrategy: form.contextStrategy,
+    keepLastN: readNumber(form.keepLastN, LIMITS.keepLastN, previous.keepLastN, { integer: true }),
+    localCache: form.localCache,
+    cacheSampled: form.cacheSampled,
+    modelTitles: form.modelTitles
+  };
+};
+
+/**
+ * Model parameters for an inference request; seed and stop sequences are
+ * only sent when the session sets them
+ */
+export const toInferenceParameters = (settings) => {
+  const parameters = {
+    temperature: settings.temperature,
+    topP: settings.topP,
+    maxTokens: settings.maxTokens
+  };
+
+  if (settings.stopSequences.length > 0) {
+    parameters.stopSequences = settings.stopSequences;
+  }
+  if (settings.seed !== null) {
+    parameters.seed = settings.seed;
+  }
+
+  return parameters;
+};
+
+export default GenerationSettings;
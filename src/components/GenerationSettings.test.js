@@ -0,0 +1,66 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import GenerationSettings, { toForm, fromForm, toInferenceParameters } from './GenerationSettings';
+import { DEFAULT_GENERATION_SETTINGS } from '../services/SessionManager';
+
+const settings = { ...DEFAULT_GENERATION_SETTINGS, temperature: 0.3, maxTokens: 512, keepLastN: 6 };
+
+// Settings saved from the form with some fields changed
+const saveForm = (changes) => fromForm({ ...toForm(settings), ...changes }, settings);
+
+describe('GenerationSettings', () => {
+  test('saves the settings it was opened with unchanged', () => {
+    expect(fromForm(toForm(settings), settings)).toEqual(settings);
+  });
+
+  test('clamps numbers to their limits', () => {
+    expect(saveForm({ temperature: '3.5', topP: '-1', maxTokens: '99999', keepLastN: '0' })).toMatchObject({
+      temperature: 2,
+      topP: 0,
+      maxTokens: 32768,
+      keepLastN: 1
+    });
+    expect(saveForm({ maxTokens: '-20', keepLastN: '500' })).toMatchObject({ maxTokens: 1, keepLastN: 200 });
+    expect(saveForm({ maxTokens: '100.7' }).maxTokens).toBe(100);
+  });
+
+  test('keeps the previous value of a field that is not a number', () => {
+    expect(saveForm({ temperature: '', topP: 'high', maxTokens: '', keepLastN: '' })).toMatchObject({
+      temperature: 0.3,
+      topP: 1,
+      maxTokens: 512,
+      keepLastN: 6
+    });
+  });
+
+  test('reads the seed, stop sequences and system prompt', () => {
+    expect(saveForm({ seed: '42', stopSequences: 'User:\n\n###\n', systemPrompt: '  Be brief.  ' })).toMatchObject({
+      seed: 42,
+      stopSequences: ['User:', '###'],
+      systemPrompt: 'Be brief.'
+    });
+    expect(saveForm({ seed: '' }).seed).toBeNull();
+    expect(saveForm({ seed: 'e' }).seed).toBeNull();
+  });
+
+  test('sends seed and stop sequences only when the session sets them', () => {
+    expect(toInferenceParameters(settings)).toEqual({ temperature: 0.3, topP: 1, maxTokens: 512 });
+    expect(toInferenceParameters({ ...settings, stopSequences: ['###'], seed: 7 })).toEqual({
+      temperature: 0.3,
+      topP: 1,
+      maxTokens: 512,
+      stopSequences: ['###'],
+      seed: 7
+    });
+  });
+
+  test('saves the clamped settings from the drawer', () => {
+    const onSave = jest.fn();
+    render(<GenerationSettings settings={settings} models={[]} onSave={onSave} onClose={() => {}} />);
+
+    fireEvent.change(screen.getByDisplayValue('512'), { target: { value: '50000' } });
+    fireEvent.change(screen.getByPlaceholderText('Random'), { target: { value: '9' } });
+    fireEvent.click(screen.getByRole('button', { name: /save settings/i }));
+
+    expect(onSave).toHaveBeenCalledWith({ ...settings, maxTokens: 32768, seed: 9 });
+  });
+});
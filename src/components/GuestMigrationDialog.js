@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+
+/**
+ * GuestMigrationDialog - Offers to move guest chats into the account after sign-in
+ * Shows conflicts (chats already in the account), upload progress and failures.
+ * Guest data stays on the device until every chat has been uploaded or skipped.
+ */
+function GuestMigrationDialog({ sessionManager, userId, guestSessions, conflicts, onClose }) {
+  const [phase, setPhase] = useState('review'); // 'review', 'migrating', 'done'
+  const [keepBoth, setKeepBoth] = useState(() => new Set());
+  const [pending, setPending] = useState(guestSessions);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [result, setResult] = useState(null);
+
+  const conflictIds = new Set(conflicts.map(conflict => conflict.guestSession.sessionId));
+
+  const toggleKeepBoth = (sessionId) => {
+    setKeepBoth(prev => {
+      const next = new Set(prev);
+      if (next.has(sessionId)) {
+        next.delete(sessionId);
+      } else {
+        next.add(sessionId);
+      }
+      return next;
+    });
+  };
+
+  const handleMigrate = async () => {
+    setPhase('migrating');
+
+    // Conflicting chats are skipped unless the user asked to keep both copies
+    const skip = new Set(Array.from(conflictIds).filter(id => !keepBoth.has(id)));
+
+    try {
+      const migration = await sessionManager.migrateGuestSessions(userId, pending, {
+        skip,
+        onProgress: setProgress
+      });
+      setResult(migration);
+      setPending(migration.failed.map(failure => failure.session));
+    } catch (error) {
+      setResult({ migrated: [], skipped: 0, failed: pending.map(session => ({ session, error })) });
+    }
+    setPhase('done');
+  };
+
+  const describe = (session) => (
+    `${sessionManager.serializer.getTitle(session)} · ${session.messages.length} messages`
+  );
+
+  return (
+    <div className="modal-overlay">
+      <div className="migration-dialog">
+        <h2>📦 Keep your guest chats?</h2>
+
+        {phase === 'review' && (
+          <>
+            <p>
+              You have {guestSessions.length} chat(s) from guest mode on this device.
+              Upload them to your account to keep them.
+            </p>
+            <ul className="migration-list">
+              {pending.map(session => (
+                <li key={session.sessionId}>
+                  {describe(session)}
+                  {conflictIds.has(session.sessionId) && (
+                    <label className="migration-conflict">
+                      <input
+                        type="checkbox"
+                        checked={keepBoth.has(session.sessionId)}
+                        onChange={() => toggleKeepBoth(session.sessionId)}
+                      />
+                      Already in your account - upload a second copy
+                    </label>
+                  )}
+                </li>
+              ))}
+            </ul>
+            <div className="migration-actions">
+              <button className="btn-secondary" onClick={() => onClose(null)}>
+                Not now
+              </button>
+              <button className="btn-primary" onClick={handleMigrate}>
+                Upload {pending.length} chat(s)
+              </button>
+            </div>
+          </>
+        )}
+
+        {phase === 'migrating' && (
+          <>
+            <p>Uploading chat {Math.min(progress.done + 1, progress.total)} of {progress.total}...</p>
+            <div className="migration-progress">
+              <div
+                className="migration-progress-fill"
+                style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+              />
+            </div>
+          </>
+        )}
+
+        {phase === 'done' && result && (
+          <>
+            <p>
+              Uploaded {result.migrated.length} chat(s)
+              {result.skipped > 0 && `, skipped ${result.skipped} already in your account`}.
+            </p>
+            {result.failed.length > 0 && (
+              <div className="migration-errors">
+                <p>
+                  {result.failed.length} chat(s) could not be uploaded. They are still
+                  saved on this device.
+                </p>
+                <ul className="migration-list">
+                  {result.failed.map(({ session, error }) => (
+                    <li key={session.sessionId}>
+                      {describe(session)} - {error.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <div className="migration-actions">
+              {result.failed.length > 0 && (
+                <button className="btn-primary" onClick={handleMigrate}>
+                  Retry
+                </button>
+              )}
+              <button className="btn-secondary" onClick={() => onClose(result)}>
+                Close
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default GuestMigrationDialog;
@@ -5,7 +5,7 @@ import '../App.css';
  * Login Component
  * Handles user authentication with Google OAuth or Guest mode
  */
-function Login({ authService, onLoginSuccess, isModal = false }) {
+function Login({ authService, onLoginSuccess, isModal = false, notice = null }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [rememberMe, setRememberMe] = useState(true);
@@ -54,6 +54,19 @@ function Login({ authService, onLoginSuccess, isModal = false }) {
           </p>
         </div>
 
+        {notice && !error && (
+          <div className="login-notice" style={{
+            padding: '1rem',
+            marginBottom: '1.5rem',
+            backgroundColor: '#fff8e1',
+            border: '1px solid #ffe082',
+            borderRadius: '8px',
+            color: '#8a6d00'
+          }}>
+            🔐 {notice}
+          </div>
+        )}
+
         {error && (
           <div className="error-message" style={{
             padding: '1rem',
@@ -0,0 +1,589 @@
+import React from 'react';
+import CodeBlock from './CodeBlock';
+
+/**
+ * MarkdownRenderer - Safe Markdown rendering for assistant messages
+ * Parses Markdown into React elements (no dangerouslySetInnerHTML), so any
+ * raw HTML in the model output is shown as text instead of being injected.
+ *
+ * Supports headings, paragraphs, emphasis, links, lists, blockquotes,
+ * tables, fenced code blocks, horizontal rules and inline/display math.
+ */
+
+// ============================================
+// BLOCK PARSING
+// ============================================
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)?.*$/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const BLOCKQUOTE = /^ {0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const MATH_BLOCK = /^\s*\$\$(.*)$/;
+
+const splitTableRow = (line) => {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  // Split on unescaped pipes
+  const cells = [];
+  let cell = '';
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+const isBlockStart = (line, nextLine) => (
+  FENCE.test(line) ||
+  HEADING.test(line) ||
+  RULE.test(line) ||
+  BLOCKQUOTE.test(line) ||
+  LIST_ITEM.test(line) ||
+  MATH_BLOCK.test(line) ||
+  (line.includes('|') && nextLine !== undefined && TABLE_DIVIDER.test(nextLine) && nextLine.includes('-'))
+);
+
+/**
+ * Parse Markdown text into a list of block nodes
+ */
+export const parseBlocks = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block - an unterminated fence runs to the end (streaming)
+    const fence = line.match(FENCE);
+    if (fence) {
+      const marker = fence[1];
+      const codeLines = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+        codeLines.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push({ type: 'code', language: fence[2] || '', content: codeLines.join('\n') });
+      continue;
+    }
+
+    // Display math: $$ ... $$ on one or several lines
+    const math = line.match(MATH_BLOCK);
+    if (math) {
+      let content = math[1];
+      if (content.trim().endsWith('$$') && content.trim().length > 2) {
+        content = content.trim().slice(0, -2);
+        i++;
+      } else {
+        const mathLines = [content];
+        i++;
+        while (i < lines.length && !lines[i].includes('$$')) {
+          mathLines.push(lines[i]);
+          i++;
+        }
+        if (i < lines.length) {
+          mathLines.push(lines[i].slice(0, lines[i].indexOf('$$')));
+        }
+        i++;
+        content = mathLines.join('\n');
+      }
+      blocks.push({ type: 'math', content: content.trim() });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, content: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      const quoteLines = [];
+      while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+        quoteLines.push(lines[i].match(BLOCKQUOTE)[1]);
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(quoteLines.join('\n')) });
+      continue;
+    }
+
+    // Table: header row followed by a divider row
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const header = splitTableRow(line);
+      const align = splitTableRow(lines[i + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+      });
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      blocks.push({ type: 'table', header, align, rows });
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      const baseIndent = listItem[1].length;
+      const ordered = /\d/.test(listItem[2]);
+      const items = [];
+      let current = null;
+
+      while (i < lines.length) {
+        const itemLine = lines[i];
+        const itemMatch = itemLine.match(LIST_ITEM);
+
+        if (itemMatch && itemMatch[1].length <= baseIndent && /\d/.test(itemMatch[2]) === ordered) {
+          current = { lines: [itemMatch[3]] };
+          if (items.length === 0 && ordered) {
+            items.start = parseInt(itemMatch[2], 10);
+          }
+          items.push(current);
+          i++;
+        } else if (!itemLine.trim()) {
+          // Blank line: continue the list only if the next line is indented or another item
+          const next = lines[i + 1];
+          if (next !== undefined && (/^\s{2,}/.test(next) || (LIST_ITEM.test(next) && next.match(LIST_ITEM)[1].length <= baseIndent))) {
+            current.lines.push('');
+            i++;
+          } else {
+            break;
+          }
+        } else if (/^\s+/.test(itemLine) || !isBlockStart(itemLine, lines[i + 1])) {
+          // Indented content or lazy continuation belongs to the current item
+          current.lines.push(itemLine.replace(new RegExp(`^\\s{0,${baseIndent + 4}}`), ''));
+          i++;
+        } else {
+          break;
+        }
+      }
+
+      blocks.push({
+        type: 'list',
+        ordered,
+        start: items.start || 1,
+        items: items.map(item => parseBlocks(item.lines.join('\n')))
+      });
+      continue;
+    }
+
+    // Paragraph: consecutive lines until a blank line or another block
+    const paragraphLines = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i], lines[i + 1])) {
+      paragraphLines.push(lines[i]);
+      i++;
+    }
+    blocks.push({ type: 'paragraph', content: paragraphLines.join('\n') });
+  }
+
+  return blocks;
+};
+
+// ============================================
+// INLINE PARSING
+// ============================================
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+const INLINE_PATTERNS = [
+  { type: 'escape', regex: /^\\([\\`*_{}[\]()#+\-.!|~$<>])/ },
+  { type: 'code', regex: /^(`+)([\s\S]*?[^`])\1(?!`)/ },
+  { type: 'math', regex: /^\$(?!\s)((?:\\\$|[^$\n])*?[^\s$\\])\$(?!\d)/ },
+  { type: 'math', regex: /^\\\(([\s\S]+?)\\\)/ },
+  { type: 'image', regex: /^!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/ },
+  { type: 'link', regex: /^\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/ },
+  { type: 'autolink', regex: /^<?(https?:\/\/[^\s<>]+[^\s<>.,;:!?)])>?/ },
+  { type: 'strong', regex: /^(\*\*|__)(?=\S)([\s\S]*?\S)\1/ },
+  { type: 'strike', regex: /^~~(?=\S)([\s\S]*?\S)~~/ },
+  { type: 'em', regex: /^(\*|_)(?=\S)([\s\S]*?\S)\1(?!\1)/ },
+  { type: 'break', regex: /^( {2,}|\\)\n/ }
+];
+
+// Characters that may start an inline token
+const INLINE_START = /[\\`$*_~[!<h\n ]/;
+
+/**
+ * Render inline Markdown to React nodes
+ */
+export const renderInline = (text, keyPrefix = 'i') => {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push(buffer);
+      buffer = '';
+    }
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (!INLINE_START.test(char)) {
+      buffer += char;
+      i++;
+      continue;
+    }
+
+    // Emphasis markers inside words (snake_case) are left alone
+    const rest = text.slice(i);
+    let matched = null;
+    for (const pattern of INLINE_PATTERNS) {
+      if (pattern.type === 'em' && char === '_' && /\w/.test(text[i - 1] || '')) continue;
+      if (pattern.type === 'autolink' && char === 'h' && /\w/.test(text[i - 1] || '')) continue;
+      const match = rest.match(pattern.regex);
+      if (match) {
+        matched = { type: pattern.type, match };
+        break;
+      }
+    }
+
+    if (!matched) {
+      buffer += char;
+      i++;
+      continue;
+    }
+
+    flush();
+    const { type, match } = matched;
+    const key = `${keyPrefix}-${i}`;
+
+    switch (type) {
+      case 'escape':
+        buffer += match[1];
+        break;
+      case 'code':
+        nodes.push(<code key={key} className="inline-code">{match[2].trim()}</code>);
+        break;
+      case 'math':
+        nodes.push(<MathExpression key={key} tex={match[1]} />);
+        break;
+      case 'image':
+      case 'link': {
+        const href = match[2];
+        const label = type === 'image' ? (match[1] || href) : renderInline(match[1], key);
+        nodes.push(SAFE_URL.test(href)
+          ? <a key={key} href={href} target="_blank" rel="noopener noreferrer">{label}</a>
+          : <span key={key}>{label}</span>);
+        break;
+      }
+      case 'autolink':
+        nodes.push(<a key={key} href={match[1]} target="_blank" rel="noopener noreferrer">{match[1]}</a>);
+        break;
+      case 'strong':
+        nodes.push(<strong key={key}>{renderInline(match[2], key)}</strong>);
+        break;
+      case 'strike':
+        nodes.push(<del key={key}>{renderInline(match[1], key)}</del>);
+        break;
+      case 'em':
+        nodes.push(<em key={key}>{renderInline(match[2], key)}</em>);
+        break;
+      case 'break':
+        nodes.push(<br key={key} />);
+        break;
+      default:
+        buffer += match[0];
+    }
+
+    i += match[0].length;
+  }
+
+  flush();
+  return nodes;
+};
+
+// ============================================
+// MATH
+// ============================================
+
+const TEX_SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ',
+  eta: 'η', theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ',
+  pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', varphi: 'φ', chi: 'χ',
+  psi: 'ψ', omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+  Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  times: '×', cdot: '·', div: '÷', pm: '±', mp: '∓', leq: '≤', le: '≤', geq: '≥', ge: '≥',
+  neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼', propto: '∝', infty: '∞',
+  sum: '∑', prod: '∏', int: '∫', oint: '∮', partial: '∂', nabla: '∇', forall: '∀',
+  exists: '∃', in: '∈', notin: '∉', subset: '⊂', subseteq: '⊆', supset: '⊃', cup: '∪',
+  cap: '∩', emptyset: '∅', to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒',
+  Leftarrow: '⇐', leftrightarrow: '↔', iff: '⇔', implies: '⇒', ldots: '…', cdots: '⋯',
+  dots: '…', circ: '∘', degree: '°', angle: '∠', perp: '⊥', parallel: '∥', neg: '¬',
+  land: '∧', lor: '∨', quad: ' ', qquad: '  ', ',': ' ', ';': ' ',
+  '{': '{', '}': '}', '%': '%', '$': '$', '\\': '\n'
+};
+
+/**
+ * Read a TeX argument: either a {group} or a single character/command
+ */
+const readTexArgument = (tex, index) => {
+  let i = index;
+  while (tex[i] === ' ') i++;
+  if (tex[i] === '{') {
+    let depth = 1;
+    let j = i + 1;
+    while (j < tex.length && depth > 0) {
+      if (tex[j] === '{') depth++;
+      else if (tex[j] === '}') depth--;
+      j++;
+    }
+    return { value: tex.slice(i + 1, j - 1), end: j };
+  }
+  if (tex[i] === '\\') {
+    const command = tex.slice(i).match(/^\\([A-Za-z]+|.)/);
+    return { value: command[0], end: i + command[0].length };
+  }
+  return { value: tex[i] || '', end: i + 1 };
+};
+
+/**
+ * Convert a TeX expression into React nodes using Unicode symbols
+ * Covers the common notation models produce; unknown commands are kept as text.
+ */
+export const renderTex = (tex, keyPrefix = 'm') => {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push(buffer);
+      buffer = '';
+    }
+  };
+
+  while (i < tex.length) {
+    const char = tex[i];
+    const key = `${keyPrefix}-${i}`;
+
+    if (char === '^' || char === '_') {
+      const arg = readTexArgument(tex, i + 1);
+      flush();
+      const Tag = char === '^' ? 'sup' : 'sub';
+      nodes.push(<Tag key={key}>{renderTex(arg.value, key)}</Tag>);
+      i = arg.end;
+    } else if (char === '{' || char === '}') {
+      i++;
+    } else if (char === '\\') {
+      const command = tex.slice(i).match(/^\\([A-Za-z]+|.)/);
+      const name = command ? command[1] : '';
+      i += command ? command[0].length : 1;
+
+      if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+        const numerator = readTexArgument(tex, i);
+        const denominator = readTexArgument(tex, numerator.end);
+        flush();
+        nodes.push(
+          <span key={key} className="math-frac">
+            <span className="math-frac-num">{renderTex(numerator.value, `${key}n`)}</span>
+            <span className="math-frac-den">{renderTex(denominator.value, `${key}d`)}</span>
+          </span>
+        );
+        i = denominator.end;
+      } else if (name === 'sqrt') {
+        const arg = readTexArgument(tex, i);
+        flush();
+        nodes.push(<span key={key}>√<span className="math-sqrt">{renderTex(arg.value, key)}</span></span>);
+        i = arg.end;
+      } else if (['text', 'mathrm', 'mathbf', 'mathit', 'operatorname', 'textbf'].includes(name)) {
+        const arg = readTexArgument(tex, i);
+        flush();
+        nodes.push(name.includes('bf')
+          ? <strong key={key}>{arg.value}</strong>
+          : <span key={key} className="math-text">{arg.value}</span>);
+        i = arg.end;
+      } else if (['left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'displaystyle'].includes(name)) {
+        // Sizing commands have no effect in plain text
+      } else if (TEX_SYMBOLS[name] !== undefined) {
+        buffer += TEX_SYMBOLS[name];
+      } else if (/^(sin|cos|tan|log|ln|exp|lim|max|min|det|mod)$/.test(name)) {
+        buffer += name;
+      } else {
+        buffer += `\\${name}`;
+      }
+    } else {
+      buffer += char;
+      i++;
+    }
+  }
+
+  flush();
+  return nodes;
+};
+
+function MathExpression({ tex, display = false }) {
+  return (
+    <span className={display ? 'math-display' : 'math-inline'} title={tex}>
+      {renderTex(tex)}
+    </span>
+  );
+}
+
+// ============================================
+// REASONING (<think>) SECTIONS
+// ============================================
+
+/**
+ * Split `<think>...</think>` reasoning (e.g. deepseek-r1) from the answer
+ * An unterminated `<think>` means the model is still reasoning.
+ * @returns {object} { reasoning, answer, isReasoningComplete }
+ */
+export const splitReasoning = (content = '') => {
+  const start = content.indexOf('<think>');
+  if (start === -1) {
+    return { reasoning: null, answer: content, isReasoningComplete: true };
+  }
+
+  const end = content.indexOf('</think>', start);
+  if (end === -1) {
+    return {
+      reasoning: content.slice(start + 7).trim(),
+      answer: content.slice(0, start).trim(),
+      isReasoningComplete: false
+    };
+  }
+
+  return {
+    reasoning: content.slice(start + 7, end).trim(),
+    answer: (content.slice(0, start) + content.slice(end + 8)).trim(),
+    isReasoningComplete: true
+  };
+};
+
+// ============================================
+// RENDERING
+// ============================================
+
+const renderBlocks = (blocks, keyPrefix = 'b') => blocks.map((block, index) => {
+  const key = `${keyPrefix}-${index}`;
+
+  switch (block.type) {
+    case 'code':
+      return <CodeBlock key={key} code={block.content} language={block.language} />;
+    case 'math':
+      return (
+        <div key={key} className="math-block">
+          <MathExpression tex={block.content} display />
+        </div>
+      );
+    case 'heading': {
+      const Tag = `h${block.level}`;
+      return <Tag key={key}>{renderInline(block.content, key)}</Tag>;
+    }
+    case 'rule':
+      return <hr key={key} />;
+    case 'blockquote':
+      return <blockquote key={key}>{renderBlocks(block.children, key)}</blockquote>;
+    case 'list': {
+      const items = block.items.map((itemBlocks, itemIndex) => {
+        const itemKey = `${key}-${itemIndex}`;
+        // Tight list items render their paragraph inline
+        const content = itemBlocks.length === 1 && itemBlocks[0].type === 'paragraph'
+          ? renderInline(itemBlocks[0].content, itemKey)
+          : renderBlocks(itemBlocks, itemKey);
+        return <li key={itemKey}>{content}</li>;
+      });
+      return block.ordered
+        ? <ol key={key} start={block.start !== 1 ? block.start : undefined}>{items}</ol>
+        : <ul key={key}>{items}</ul>;
+    }
+    case 'table':
+      return (
+        <div key={key} className="markdown-table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                {block.header.map((cell, cellIndex) => (
+                  <th key={cellIndex} style={{ textAlign: block.align[cellIndex] || undefined }}>
+                    {renderInline(cell, `${key}-h${cellIndex}`)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {block.header.map((_, cellIndex) => (
+                    <td key={cellIndex} style={{ textAlign: block.align[cellIndex] || undefined }}>
+                      {renderInline(row[cellIndex] || '', `${key}-${rowIndex}-${cellIndex}`)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    case 'paragraph':
+    default:
+      return <p key={key}>{renderInline(block.content, key)}</p>;
+  }
+});
+
+/**
+ * Render Markdown text
+ */
+function MarkdownRenderer({ content }) {
+  return (
+    <div className="markdown-body">
+      {renderBlocks(parseBlocks(content || ''))}
+    </div>
+  );
+}
+
+/**
+ * Render an assistant message: collapsible reasoning panel plus Markdown answer
+ */
+export function AssistantContent({ content, isStreaming = false }) {
+  const { reasoning, answer, isReasoningComplete } = splitReasoning(content);
+
+  return (
+    <>
+      {reasoning !== null && (
+        <details className="reasoning-panel" open={isStreaming && !isReasoningComplete}>
+          <summary>
+            💭 Reasoning{!isReasoningComplete && isStreaming ? '…' : ''}
+          </summary>
+          <div className="reasoning-content">
+            <MarkdownRenderer content={reasoning} />
+          </div>
+        </details>
+      )}
+      {answer && <MarkdownRenderer content={answer} />}
+    </>
+  );
+}
+
+export default MarkdownRenderer;
@@ -0,0 +1,127 @@
+import { render, screen } from '@testing-library/react';
+import MarkdownRenderer, { AssistantContent, parseBlocks, splitReasoning } from './MarkdownRenderer';
+
+describe('MarkdownRenderer', () => {
+  test('shows raw HTML in model output as text', () => {
+    render(<MarkdownRenderer content={'<img src=x onerror="alert(1)">\n\n**<script>alert(2)</script>**'} />);
+
+    expect(screen.getByText('<img src=x onerror="alert(1)">')).toBeInTheDocument();
+    expect(screen.getByText('<script>alert(2)</script>')).toBeInTheDocument();
+    expect(screen.queryByRole('img')).not.toBeInTheDocument();
+  });
+
+  test('only links to http, https and mailto URLs', () => {
+    render(
+      <MarkdownRenderer
+        content={[
+          '[docs](https://example.com/docs) [mail](mailto:team@example.com)',
+          '[run](javascript:alert(1)) [pixel](data:text/html,<b>hi</b>) ![logo](JAVASCRIPT:alert(1))',
+          'See https://example.com/a.'
+        ].join('\n')}
+      />
+    );
+
+    const links = screen.getAllByRole('link');
+    expect(links.map(link => link.getAttribute('href'))).toEqual([
+      'https://example.com/docs',
+      'mailto:team@example.com',
+      'https://example.com/a'
+    ]);
+    links.forEach(link => expect(link).toHaveAttribute('rel', 'noopener noreferrer'));
+
+    // Unsafe targets keep their label as plain text
+    expect(screen.getByText('run')).not.toHaveAttribute('href');
+    expect(screen.getByText('pixel')).not.toHaveAttribute('href');
+    expect(screen.getByText('logo')).not.toHaveAttribute('href');
+  });
+
+  test('renders tables with alignment and escaped pipes', () => {
+    render(
+      <MarkdownRenderer
+        content={[
+          '| Name | Score |',
+          '|:-----|------:|',
+          '| `a\\|b` | **10** |',
+          '| short |'
+        ].join('\n')}
+      />
+    );
+
+    expect(screen.getByRole('table')).toBeInTheDocument();
+    expect(screen.getAllByRole('columnheader').map(cell => cell.textContent)).toEqual(['Name', 'Score']);
+    expect(screen.getAllByRole('cell').map(cell => cell.textContent)).toEqual(['a|b', '10', 'short', '']);
+    expect(screen.getByRole('columnheader', { name: 'Score' })).toHaveStyle({ textAlign: 'right' });
+  });
+
+  test('renders inline and display math with Unicode symbols', () => {
+    render(<MarkdownRenderer content={'Energy $E = mc^2$ costs $5 or $6.\n\n$$\n\\frac{\\alpha}{\\beta} \\leq \\sqrt{x}\n$$'} />);
+
+    expect(screen.getByTitle('E = mc^2')).toHaveTextContent('E = mc2');
+    expect(screen.getByText(/costs \$5 or \$6/)).toBeInTheDocument();
+    expect(screen.getByTitle('\\frac{\\alpha}{\\beta} \\leq \\sqrt{x}')).toHaveTextContent('αβ ≤ √x');
+  });
+
+  test('runs an unterminated code fence to the end of the message', () => {
+    expect(parseBlocks('Here:\n```python\ndef f():\n    return 1')).toEqual([
+      { type: 'paragraph', content: 'Here:' },
+      { type: 'code', language: 'python', content: 'def f():\n    return 1' }
+    ]);
+
+    render(<MarkdownRenderer content={'```js\nconst a = "<b>"; # not a heading'} />);
+    expect(screen.getByText('js')).toBeInTheDocument();
+    expect(screen.getByText('"<b>"')).toBeInTheDocument();
+    expect(screen.queryByRole('heading')).not.toBeInTheDocument();
+  });
+
+  test('parses nested lists, quotes and headings', () => {
+    expect(parseBlocks('# Title\n\n> quoted\n\n3. three\n4. four\n   - nested')).toEqual([
+      { type: 'heading', level: 1, content: 'Title' },
+      { type: 'blockquote', children: [{ type: 'paragraph', content: 'quoted' }] },
+      {
+        type: 'list',
+        ordered: true,
+        start: 3,
+        items: [
+          [{ type: 'paragraph', content: 'three' }],
+          [
+            { type: 'paragraph', content: 'four' },
+            { type: 'list', ordered: false, start: 1, items: [[{ type: 'paragraph', content: 'nested' }]] }
+          ]
+        ]
+      }
+    ]);
+  });
+});
+
+describe('reasoning sections', () => {
+  test('splits <think> reasoning from the answer', () => {
+    expect(splitReasoning('<think>Count letters.</think>\n\nThree.')).toEqual({
+      reasoning: 'Count letters.',
+      answer: 'Three.',
+      isReasoningComplete: true
+    });
+    expect(splitReasoning('<think>Still going')).toEqual({
+      reasoning: 'Still going',
+      answer: '',
+      isReasoningComplete: false
+    });
+    expect(splitReasoning('No reasoning')).toEqual({
+      reasoning: null,
+      answer: 'No reasoning',
+      isReasoningComplete: true
+    });
+  });
+
+  test('shows reasoning in a panel that is open while the model is still reasoning', () => {
+    const { rerender } = render(<AssistantContent content={'<think>Think **hard**'} isStreaming />);
+
+    expect(screen.getByText('💭 Reasoning…')).toBeInTheDocument();
+    expect(screen.getByRole('group')).toHaveAttribute('open');
+    expect(screen.getByText('hard').tagName).toBe('STRONG');
+
+    rerender(<AssistantContent content={'<think>Think hard</think>The answer'} />);
+    expect(screen.getByText('💭 Reasoning')).toBeInTheDocument();
+    expect(screen.getByRole('group')).not.toHaveAttribute('open');
+    expect(screen.getByText('The answer')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+
+/**
+ * RetentionDialog - Edit retention rules and review what they would remove
+ * Nothing is removed until the user confirms the dry-run preview.
+ * Opened from the sidebar, or on startup when saved rules match sessions
+ * (then `initialPreview` holds the dry run).
+ */
+function RetentionDialog({ sessionManager, isGuest, initialPreview = null, onClose }) {
+  const [policy, setPolicy] = useState(() => sessionManager.getRetentionPolicy());
+  const [preview, setPreview] = useState(initialPreview);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (field, value) => {
+    setPolicy(prev => ({ ...prev, [field]: value }));
+    setPreview(null); // The old preview no longer matches the rules
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePreview = () => run(async () => {
+    setPreview(await sessionManager.previewRetention({ ...policy, enabled: true }));
+  });
+
+  const handleSave = () => run(async () => {
+    const saved = await sessionManager.setRetentionPolicy(policy);
+    setPolicy(saved);
+    setPreview(await sessionManager.previewRetention(saved));
+  });
+
+  const handleApply = () => run(async () => {
+    const removed = await sessionManager.applyRetention(
+      preview.map(item => item.sessionId),
+      { ...policy, enabled: true }
+    );
+    onClose({ removed });
+  });
+
+  const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : 'never');
+
+  return (
+    <div className="modal-overlay">
+      <div className="migration-dialog retention-dialog">
+        <h2>🧽 Clean up old chats</h2>
+
+        <div className="retention-rules">
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={policy.enabled}
+              onChange={(e) => update('enabled', e.target.checked)}
+            />
+            Check these rules {isGuest ? 'when the app starts' : 'when you sign in'}
+          </label>
+          <label>
+            Remove chats not used for
+            <input
+              type="number"
+              min="1"
+              value={policy.maxAgeDays ?? ''}
+              onChange={(e) => update('maxAgeDays', e.target.value || null)}
+              placeholder="—"
+            />
+            days
+          </label>
+          <label>
+            Keep at most
+            <input
+              type="number"
+              min="1"
+              value={policy.maxSessions ?? ''}
+              onChange={(e) => update('maxSessions', e.target.value || null)}
+              placeholder="—"
+            />
+            chats
+          </label>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={policy.keepPinned}
+              onChange={(e) => update('keepPinned', e.target.checked)}
+            />
+            Never remove pinned chats
+          </label>
+        </div>
+
+        {preview && (
+          <div className="retention-preview">
+            {preview.length === 0 ? (
+              <p>No chats match these rules.</p>
+            ) : (
+              <>
+                <p>
+                  {preview.length} chat(s) would be removed
+                  {sessionManager.storage.capabilities.retention ? '' : ' (moved to the trash)'}:
+                </p>
+                <ul className="migration-list">
+                  {preview.map(item => (
+                    <li key={item.sessionId}>
+                      <strong>{item.title}</strong> · {item.messageCount} messages
+                      · last used {formatDate(item.lastAccessedAt)}
+                      <div className="retention-reason">{item.reason}</div>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
+        {error && <div className="migration-errors">{error}</div>}
+
+        <div className="migration-actions">
+          <button className="btn-secondary" onClick={() => onClose(null)} disabled={busy}>
+            {preview?.length ? 'Keep them' : 'Close'}
+          </button>
+          <button className="btn-secondary" onClick={handlePreview} disabled={busy}>
+            Preview
+          </button>
+          <button className="btn-secondary" onClick={handleSave} disabled={busy}>
+            Save rules
+          </button>
+          {preview?.length > 0 && (
+            <button className="btn-danger" onClick={handleApply} disabled={busy}>
+              Remove {preview.length} chat(s)
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RetentionDialog;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+
+/**
+ * SessionListItem - One session in the sidebar
+ * Supports inline rename (double-click or ✏️), pin, archive and delete.
+ * Forks show the session they came from; `lineage` lists their ancestors.
+ */
+function SessionListItem({ session, title, lineage = [], active, onSelect, onOpenParent, onRename, onTogglePin, onToggleArchive, onDelete }) {
+  const [renaming, setRenaming] = useState(false);
+  const [draft, setDraft] = useState('');
+  const parent = lineage[lineage.length - 1];
+
+  const startRename = (e) => {
+    e.stopPropagation();
+    setDraft(session.title || '');
+    setRenaming(true);
+  };
+
+  const finishRename = () => {
+    if (!renaming) return;
+    setRenaming(false);
+    if (draft.trim() !== (session.title || '')) {
+      onRename(draft);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finishRename();
+    } else if (e.key === 'Escape') {
+      setRenaming(false);
+    }
+  };
+
+  // Keep clicks on the controls from also opening the session
+  const stop = (handler) => (e) => {
+    e.stopPropagation();
+    handler();
+  };
+
+  return (
+    <div
+      className={`session-item ${active ? 'active' : ''} ${session.archived ? 'archived' : ''}`}
+      onClick={onSelect}
+    >
+      {renaming ? (
+        <input
+          className="session-rename"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={finishRename}
+          onClick={(e) => e.stopPropagation()}
+          placeholder="Session title"
+          maxLength={100}
+          autoFocus
+        />
+      ) : (
+        <div className="session-title" onDoubleClick={startRename} title={title}>
+          {session.pinned && '📌 '}{title}
+        </div>
+      )}
+      {parent && (
+        <div className="session-lineage" title={lineage.map(item => item.title).join(' › ')}>
+          ↳ forked from{' '}
+          {parent.deleted ? (
+            <em>{parent.title}</em>
+          ) : (
+            <button
+              type="button"
+              className="session-lineage-link"
+              onClick={stop(() => onOpenParent(parent.sessionId))}
+            >
+              {parent.title}
+            </button>
+          )}
+        </div>
+      )}
+      <div style={{ fontSize: '0.8rem', opacity: 0.7 }}>
+        {session.messages?.length || 0} messages
+      </div>
+      <div className="session-item-actions">
+        <button className="btn-secondary" onClick={startRename} title="Rename">
+          ✏️
+        </button>
+        <button
+          className="btn-secondary"
+          onClick={stop(onTogglePin)}
+          title={session.pinned ? 'Unpin' : 'Pin to top'}
+        >
+          {session.pinned ? 'Unpin' : 'Pin'}
+        </button>
+        <button
+          className="btn-secondary"
+          onClick={stop(onToggleArchive)}
+          title={session.archived ? 'Move back to the session list' : 'Hide from the session list'}
+        >
+          {session.archived ? 'Unarchive' : 'Archive'}
+        </button>
+        <button className="btn-secondary" onClick={stop(onDelete)}>
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SessionListItem;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 250;
+
+/**
+ * SessionSearch - Sidebar search box for full-text search across sessions
+ * Results show a highlighted snippet and open the matching message on click
+ */
+function SessionSearch({ sessionManager, userId, onSelect }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      setSearching(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setSearching(true);
+
+    const timer = setTimeout(async () => {
+      const found = await sessionManager.searchSessions(userId, query);
+      if (!cancelled) {
+        setResults(found);
+        setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, sessionManager, userId]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setQuery('');
+    }
+  };
+
+  return (
+    <div className="session-search">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="🔍 Search chats..."
+      />
+      {query.trim() && (
+        <div className="search-results">
+          {searching && results.length === 0 ? (
+            <div className="search-status">Searching...</div>
+          ) : results.length === 0 ? (
+            <div className="search-status">No matches</div>
+          ) : (
+            results.map(result => (
+              <div
+                key={`${result.sessionId}:${result.messageId}`}
+                className="search-result"
+                onClick={() => onSelect(result)}
+              >
+                <div className="search-result-title">
+                  {sessionManager.getSessionTitle(result.sessionId)}
+                </div>
+                <div className="search-result-snippet">
+                  {renderHighlighted(result.snippet, result.highlights)}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Wrap the highlighted ranges of a snippet in <mark> elements
+ */
+const renderHighlighted = (snippet, highlights = []) => {
+  const parts = [];
+  let position = 0;
+
+  highlights.forEach(([start, end], index) => {
+    if (start < position) return;
+    if (start > position) {
+      parts.push(snippet.slice(position, start));
+    }
+    parts.push(<mark key={index}>{snippet.slice(start, end)}</mark>);
+    position = end;
+  });
+
+  if (position < snippet.length) {
+    parts.push(snippet.slice(position));
+  }
+
+  return parts;
+};
+
+export default SessionSearch;
@@ -0,0 +1,42 @@
+import React from 'react';
+
+/**
+ * TrashView - Deleted sessions and cleared histories, shown in the sidebar
+ * Items can be restored or deleted for good until they expire.
+ */
+function TrashView({ items, onRestore, onPurge, onEmpty, disabled }) {
+  const formatDate = (iso) => new Date(iso).toLocaleDateString();
+
+  if (items.length === 0) {
+    return <div className="trash-empty">The trash is empty.</div>;
+  }
+
+  return (
+    <div className="trash-view">
+      {items.map(item => (
+        <div key={item.trashId} className="trash-item">
+          <div className="session-title" title={item.title}>
+            {item.type === 'session' ? '💬 ' : '🧹 '}{item.title}
+          </div>
+          <div className="trash-item-details">
+            {item.type === 'session' ? 'Chat' : 'Cleared history'} · {item.messageCount} messages
+            · deleted {formatDate(item.deletedAt)}, removed {formatDate(item.expiresAt)}
+          </div>
+          <div className="session-item-actions">
+            <button className="btn-secondary" onClick={() => onRestore(item)} disabled={disabled}>
+              Restore
+            </button>
+            <button className="btn-secondary" onClick={() => onPurge(item)} disabled={disabled}>
+              Delete forever
+            </button>
+          </div>
+        </div>
+      ))}
+      <button className="btn-danger trash-empty-button" onClick={onEmpty} disabled={disabled}>
+        Empty trash
+      </button>
+    </div>
+  );
+}
+
+export default TrashView;
@@ -0,0 +1,17 @@
+/**
+ * Backend Configuration
+ *
+ * Set REACT_APP_MOCK_BACKEND=true in .env to run without the real backend,
+ * Firebase or a model: requests to REACT_APP_API_URL are answered by an
+ * in-memory mock (services/mock) and sign-in uses a fake Google account.
+ *
+ * REACT_APP_MOCK_BACKEND=true
+ * REACT_APP_MOCK_LATENCY_MS=150         # simulated response time
+ *
+ * Tests run against the mock (see setupTests.js).
+ */
+
+export const backendConfig = {
+  mock: process.env.REACT_APP_MOCK_BACKEND === 'true',
+  mockLatencyMs: Number(process.env.REACT_APP_MOCK_LATENCY_MS ?? 150)
+};
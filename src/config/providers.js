@@ -0,0 +1,24 @@
+/**
+ * Inference Provider Configuration
+ *
+ * Where sessions send inference when they use a provider other than the
+ * PocketLLM backend (see services/providers.js). Set these in .env:
+ *
+ * REACT_APP_OPENAI_BASE_URL=http://localhost:8080     # llama.cpp server, vLLM, LM Studio, ...
+ * REACT_APP_OPENAI_API_KEY=                           # sent as a Bearer token if set
+ * REACT_APP_OLLAMA_BASE_URL=http://localhost:11434
+ *
+ * REACT_APP_* values are built into the page, so only put keys for local or
+ * private servers here. The servers must allow the portal's origin (CORS;
+ * for Ollama, OLLAMA_ORIGINS).
+ */
+
+export const providerConfig = {
+  openai: {
+    baseURL: process.env.REACT_APP_OPENAI_BASE_URL || 'http://localhost:8080',
+    apiKey: process.env.REACT_APP_OPENAI_API_KEY || ''
+  },
+  ollama: {
+    baseURL: process.env.REACT_APP_OLLAMA_BASE_URL || 'http://localhost:11434'
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Retry Configuration
+ *
+ * How APIService retries failed requests. Set these in .env to override:
+ *
+ * REACT_APP_API_MAX_RETRIES=3           # 0 disables retries
+ * REACT_APP_API_RETRY_BASE_MS=500       # first backoff step, doubled per attempt
+ * REACT_APP_API_RETRY_MAX_MS=8000       # longest backoff between two attempts
+ *
+ * Idempotent methods are retried on network errors and retryable statuses.
+ * Other methods (POST) are only retried when the server says it did not
+ * handle the request: a POST whose response got lost, or that a gateway
+ * answered with 502/504, may have been handled anyway.
+ */
+
+export const retryConfig = {
+  maxRetries: Number(process.env.REACT_APP_API_MAX_RETRIES ?? 3),
+  baseDelayMs: Number(process.env.REACT_APP_API_RETRY_BASE_MS ?? 500),
+  maxDelayMs: Number(process.env.REACT_APP_API_RETRY_MAX_MS ?? 8000),
+  // Give up instead of waiting when the server asks for a longer pause
+  maxRetryAfterMs: 60000,
+  retryStatuses: [429, 502, 503, 504],
+  // Statuses that mean the request was not handled, safe to retry for any method
+  unprocessedStatuses: [429, 503],
+  idempotentMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+};
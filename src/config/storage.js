@@ -0,0 +1,17 @@
+/**
+ * Storage Configuration
+ *
+ * Chooses where SessionManager keeps sessions. Set these in .env to override:
+ *
+ * REACT_APP_GUEST_STORAGE=indexeddb     # indexeddb | localStorage | memory
+ * REACT_APP_ACCOUNT_STORAGE=rest        # rest | indexeddb | localStorage | memory
+ *
+ * Guest storage falls back to localStorage in browsers without IndexedDB.
+ * Account storage other than `rest` keeps signed-in chats on this device only
+ * (useful for offline development).
+ */
+
+export const storageConfig = {
+  guest: process.env.REACT_APP_GUEST_STORAGE || 'indexeddb',
+  account: process.env.REACT_APP_ACCOUNT_STORAGE || 'rest'
+};
@@ -0,0 +1,138 @@
+/**
+ * APIErrors - Typed errors thrown by APIService
+ *
+ * Every failed request ends in an APIError subclass carrying the HTTP status,
+ * the backend's error code, whether trying again can help, and the request
+ * ID to quote when reporting a problem. The UI picks its recovery action
+ * from the class (see components/ErrorNotice.js).
+ *
+ * Error bodies from the backend look like
+ * { error: 'message', code: 'MODEL_NOT_LOADED', requestId, details }
+ */
+
+import { parseRetryAfter } from '../utils/backoff';
+
+export class APIError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} options
+   * @param {number|null} options.status - HTTP status, null if no response arrived
+   * @param {string|null} options.code - Backend error code
+   * @param {boolean} options.retryable - Whether repeating the request can succeed
+   * @param {string|null} options.requestId - Backend request ID for support
+   * @param {*} options.details - Extra data from the error body
+   */
+  constructor(message, { status = null, code = null, retryable = false, requestId = null, details = null } = {}) {
+    super(message);
+    // Set explicitly: class names don't survive minification
+    this.name = 'APIError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.requestId = requestId;
+    this.details = details;
+  }
+}
+
+/**
+ * 401/403 - the token expired, was revoked, or lacks permission
+ */
+export class AuthError extends APIError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * 429 - too many requests; `retryAfterMs` says when to come back (if known)
+ */
+export class RateLimitError extends APIError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, { ...options, retryable: true });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * 503 or a model error code - the model is loading, crashed or unknown
+ */
+export class ModelUnavailableError extends APIError {
+  constructor(message, { modelId = null, ...options } = {}) {
+    super(message, { retryable: true, ...options });
+    this.name = 'ModelUnavailableError';
+    this.modelId = modelId;
+  }
+}
+
+/**
+ * 400/422 - the request itself is wrong; repeating it won't help
+ * `fields` maps parameter names to what is wrong with them (if the backend says)
+ */
+export class ValidationError extends APIError {
+  constructor(message, { fields = null, ...options } = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+/**
+ * No response at all - offline, DNS failure, CORS, or the connection dropped
+ */
+export class NetworkError extends APIError {
+  constructor(message, { cause = null, ...options } = {}) {
+    super(message, { ...options, status: null, retryable: true });
+    this.name = 'NetworkError';
+    this.cause = cause;
+  }
+
+  /**
+   * Wrap an error thrown by fetch() or a stream reader
+   */
+  static from(error) {
+    if (error instanceof APIError) return error;
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    return new NetworkError(offline ? 'You appear to be offline' : 'Could not reach the server', { cause: error });
+  }
+}
+
+const MODEL_ERROR_CODES = ['MODEL_UNAVAILABLE', 'MODEL_NOT_LOADED', 'MODEL_NOT_FOUND', 'MODEL_LOADING'];
+
+/**
+ * Build the typed error for a non-2xx fetch Response
+ * Reads the JSON error body when there is one.
+ */
+export const createErrorFromResponse = async (response) => {
+  const body = await response.json().catch(() => ({}));
+  const { status } = response;
+  const message = body.error || body.message || `API Error: ${response.statusText || status}`;
+  const options = {
+    status,
+    code: body.code || null,
+    requestId: response.headers?.get('x-request-id') || body.requestId || null,
+    details: body.details || null
+  };
+
+  if (status === 401 || status === 403) {
+    return new AuthError(message, options);
+  }
+  if (status === 429) {
+    return new RateLimitError(message, {
+      ...options,
+      retryAfterMs: parseRetryAfter(response.headers?.get('retry-after'))
+    });
+  }
+  if (status === 503 || MODEL_ERROR_CODES.includes(options.code)) {
+    return new ModelUnavailableError(message, {
+      ...options,
+      modelId: body.modelId || body.details?.modelId || null,
+      retryable: options.code !== 'MODEL_NOT_FOUND'
+    });
+  }
+  if (status === 400 || status === 422) {
+    return new ValidationError(message, { ...options, fields: body.fields || body.errors || null });
+  }
+  return new APIError(message, { ...options, retryable: status === 502 || status === 504 });
+};
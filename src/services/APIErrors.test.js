@@ -0,0 +1,76 @@
+import {
+  APIError,
+  AuthError,
+  RateLimitError,
+  ModelUnavailableError,
+  ValidationError,
+  NetworkError,
+  createErrorFromResponse
+} from './APIErrors';
+
+const response = (status, body = {}, headers = {}) => ({
+  ok: false,
+  status,
+  statusText: `Status ${status}`,
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  json: async () => body
+});
+
+describe('createErrorFromResponse', () => {
+  test('maps statuses to error classes', async () => {
+    expect(await createErrorFromResponse(response(401))).toBeInstanceOf(AuthError);
+    expect(await createErrorFromResponse(response(429))).toBeInstanceOf(RateLimitError);
+    expect(await createErrorFromResponse(response(503))).toBeInstanceOf(ModelUnavailableError);
+    expect(await createErrorFromResponse(response(400))).toBeInstanceOf(ValidationError);
+    expect(await createErrorFromResponse(response(500))).toBeInstanceOf(APIError);
+  });
+
+  test('keeps the message, code and request ID from the body and headers', async () => {
+    const error = await createErrorFromResponse(
+      response(401, { error: 'Token expired', code: 'TOKEN_EXPIRED' }, { 'x-request-id': 'req_1' })
+    );
+
+    expect(error).toMatchObject({
+      name: 'AuthError',
+      message: 'Token expired',
+      status: 401,
+      code: 'TOKEN_EXPIRED',
+      requestId: 'req_1',
+      retryable: false
+    });
+  });
+
+  test('reads Retry-After into rate limit errors', async () => {
+    const error = await createErrorFromResponse(response(429, {}, { 'retry-after': '12' }));
+    expect(error.retryAfterMs).toBe(12000);
+    expect(error.retryable).toBe(true);
+  });
+
+  test('recognizes model errors by code and marks missing models as final', async () => {
+    const error = await createErrorFromResponse(response(404, { code: 'MODEL_NOT_FOUND', modelId: 'phi-2' }));
+    expect(error).toBeInstanceOf(ModelUnavailableError);
+    expect(error.modelId).toBe('phi-2');
+    expect(error.retryable).toBe(false);
+  });
+
+  test('falls back to the status text when the body is not JSON', async () => {
+    const error = await createErrorFromResponse({
+      ...response(502),
+      json: async () => { throw new SyntaxError('Unexpected token'); }
+    });
+    expect(error.message).toBe('API Error: Status 502');
+    expect(error.retryable).toBe(true);
+  });
+});
+
+describe('NetworkError.from', () => {
+  test('wraps fetch failures and passes API errors through', () => {
+    const cause = new TypeError('Failed to fetch');
+    const wrapped = NetworkError.from(cause);
+    expect(wrapped).toBeInstanceOf(NetworkError);
+    expect(wrapped.cause).toBe(cause);
+
+    const apiError = new ValidationError('bad');
+    expect(NetworkError.from(apiError)).toBe(apiError);
+  });
+});
@@ -2,8 +2,23 @@
  * APIService - Handles all API communication with the backend
  * Now includes comprehensive session management methods
  */
+
+import { retryConfig } from '../config/retry';
+import { getBackoffDelay, parseRetryAfter } from '../utils/backoff';
+import { APIError, AuthError, NetworkError, ValidationError, createErrorFromResponse } from './APIErrors';
+import { createAuthInterceptor, createTelemetryInterceptor } from './interceptors';
+import { PROVIDERS, createProviders } from './providers';
+import { CacheManager } from './CacheManager';
+import { hashString } from '../utils/hash';
+
 export class APIService {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {object} options.retry - Overrides for config/retry.js
+   * @param {object} options.providers - Inference providers by ID (default: createProviders())
+   * @param {CacheManager} options.cacheManager - Local response cache
+   */
+  constructor({ retry = {}, providers = null, cacheManager = null } = {}) {
     this.baseURL = process.env.REACT_APP_API_URL;
     
     // Log environment for debugging
@@ -23,7 +38,14 @@ export class APIService {
     }
     
     this.idToken = null; // Firebase ID token
-    this.cache = new Map();
+    this.interceptors = [];
+    this.tokenRefresher = null; // () => Promise<string|null>, see setTokenRefresher
+    this.refreshPromise = null; // The refresh in flight, shared by concurrent 401s
+    this.authExpiredListeners = [];
+    this.retryConfig = { ...retryConfig, ...retry };
+    this.providers = providers || createProviders();
+    // 50 MB; TTL and entry limit match the server's defaults until loadCacheConfig
+    this.cacheManager = cacheManager || new CacheManager(50, 3600, 1000);
     this.telemetry = {
       totalRequests: 0,
       cacheHits: 0,
@@ -31,6 +53,10 @@ export class APIService {
       totalLatency: 0,
       requests: []
     };
+
+    // Built-in interceptors; App.js adds its own with use()
+    this.use(createAuthInterceptor(this));
+    this.use(createTelemetryInterceptor(this));
   }
 
   /**
@@ -52,46 +78,306 @@ export class APIService {
    */
   clearAuth() {
     this.idToken = null;
-    this.cache.clear();
+    this.cacheManager.clear();
+  }
+
+  /**
+   * Set how to get a fresh ID token when the backend answers 401
+   * @param {function} refresher - Resolves to the new token, or null if the
+   *   user can't be re-authenticated
+   */
+  setTokenRefresher(refresher) {
+    this.tokenRefresher = refresher;
+  }
+
+  /**
+   * Subscribe to sign-ins that could not be renewed
+   * Called once the token is cleared; the app should log the user out.
+   * @returns {function} Unsubscribe function
+   */
+  onAuthExpired(callback) {
+    this.authExpiredListeners.push(callback);
+    return () => {
+      this.authExpiredListeners = this.authExpiredListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Get a fresh ID token; concurrent callers share one refresh
+   * On failure the token is cleared, listeners are told, and an AuthError is thrown.
+   * @private
+   */
+  _refreshIdToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        let token = null;
+        try {
+          token = await this.tokenRefresher();
+        } catch (error) {
+          console.error('Token refresh failed:', error);
+        }
+
+        if (!token) {
+          this._expireAuth();
+          throw new AuthError('Your sign-in has expired. Please sign in again.', {
+            status: 401,
+            code: 'SESSION_EXPIRED'
+          });
+        }
+        this.setIdToken(token);
+        return token;
+      })().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Drop a sign-in the backend no longer accepts and tell the app
+   * @private
+   */
+  _expireAuth() {
+    if (!this.idToken) return; // Already handled by another request
+    this.clearAuth();
+    for (const callback of this.authExpiredListeners) {
+      callback();
+    }
   }
 
   /**
    * Make an HTTP request with proper error handling and authentication
+   * Pass { signal } to allow the caller to abort the request; see _send
+   * for the other options
+   * @private
+   */
+  async _request(method, endpoint, data = null, options = {}) {
+    try {
+      const response = await this._send(method, endpoint, data, options);
+      return await response.json();
+    } catch (error) {
+      if (!this._isAbortError(error)) {
+        console.error('API Request Error:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request through the interceptors and return the successful response
+   * A 401 refreshes the ID token once and replays the request; if that
+   * fails too, the sign-in is expired (see onAuthExpired).
+   * @param {object} options
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @param {object} options.headers - Extra headers
+   * @param {string} options.baseURL - Send to another server (e.g. an inference
+   *   provider) instead of the backend; such requests are marked `external`
+   * @param {object} options.telemetry - { action, summary } to record on success
+   * @param {boolean} options.skipAuthRefresh - Don't refresh on 401 (auth endpoints)
+   * @param {function} options.onRetry - See _fetchWithRetry, as are `retries` and `idempotent`
+   * @throws {APIError} For non-2xx responses
    * @private
    */
-  async _request(method, endpoint, data = null) {
-    const url = `${this.baseURL}${endpoint}`;
-    const headers = {
-      'Content-Type': 'application/json'
+  async _send(method, endpoint, data, {
+    signal,
+    headers = {},
+    baseURL = this.baseURL,
+    telemetry = null,
+    skipAuthRefresh = false,
+    ...retryOptions
+  } = {}) {
+    const meta = {}; // Shared by the first attempt and a replay
+    const external = baseURL !== this.baseURL;
+    let request = null;
+
+    const send = async () => {
+      request = await this._runRequestInterceptors({
+        method,
+        endpoint,
+        url: `${baseURL}${endpoint}`,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: data,
+        signal,
+        telemetry,
+        external,
+        meta
+      });
+
+      const options = {
+        method: request.method,
+        headers: request.headers,
+        signal: request.signal
+      };
+      if (request.body) {
+        options.body = JSON.stringify(request.body);
+      }
+      return this._fetchWithRetry(request.url, options, retryOptions);
     };
 
-    // Add Authorization header if token is available
-    if (this.idToken) {
-      headers['Authorization'] = `Bearer ${this.idToken}`;
+    try {
+      const sentToken = this.idToken;
+      let response = await send();
+
+      if (response.status === 401 && sentToken && this.tokenRefresher && !skipAuthRefresh && !external) {
+        // Another request may have refreshed the token while this one was out
+        if (!this.idToken || this.idToken === sentToken) {
+          await this._refreshIdToken();
+        }
+        response = await send();
+
+        if (response.status === 401) {
+          // A brand-new token was rejected too: the account was signed out or disabled
+          this._expireAuth();
+        }
+      }
+
+      if (!response.ok) {
+        throw await createErrorFromResponse(response);
+      }
+      return await this._runResponseInterceptors(response, request);
+    } catch (error) {
+      throw await this._runErrorInterceptors(error, request);
     }
+  }
+
+  // ============================================
+  // INTERCEPTORS
+  // ============================================
 
-    const options = {
-      method,
-      headers
+  /**
+   * Register an interceptor (see interceptors.js for the hooks)
+   * @returns {function} Unregister function
+   */
+  use(interceptor) {
+    this.interceptors.push(interceptor);
+    return () => {
+      this.interceptors = this.interceptors.filter(item => item !== interceptor);
     };
+  }
 
-    if (data) {
-      options.body = JSON.stringify(data);
+  /**
+   * @private
+   */
+  async _runRequestInterceptors(request) {
+    let current = request;
+    for (const interceptor of this.interceptors) {
+      if (interceptor.onRequest) {
+        current = (await interceptor.onRequest(current)) || current;
+      }
     }
+    return current;
+  }
 
-    try {
-      const response = await fetch(url, options);
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `API Error: ${response.statusText}`);
+  /**
+   * @private
+   */
+  async _runResponseInterceptors(response, request) {
+    let current = response;
+    for (const interceptor of this.interceptors) {
+      if (interceptor.onResponse) {
+        current = (await interceptor.onResponse(current, request)) || current;
       }
+    }
+    return current;
+  }
 
-      return await response.json();
-    } catch (error) {
-      console.error('API Request Error:', error);
-      throw error;
+  /**
+   * Let interceptors see (or replace) an error; never throws itself
+   * @private
+   */
+  async _runErrorInterceptors(error, request) {
+    let current = error;
+    for (const interceptor of this.interceptors) {
+      if (!interceptor.onError) continue;
+      try {
+        current = (await interceptor.onError(current, request)) || current;
+      } catch (interceptorError) {
+        console.error(`Interceptor "${interceptor.name || 'anonymous'}" failed:`, interceptorError);
+      }
     }
+    return current;
+  }
+
+  /**
+   * Fetch, retrying transient failures with jittered exponential backoff
+   * Idempotent methods (or requests passing `idempotent: true`) are retried
+   * on network errors and any of retryConfig.retryStatuses; the others only
+   * on retryConfig.unprocessedStatuses, which say the request was not
+   * handled - a POST /inference behind a 502 or 504 may still have been
+   * saved. Retry-After is honored. Network errors are thrown as NetworkError
+   * once retries run out.
+   * @param {object} retryOptions
+   * @param {function} retryOptions.onRetry - Called with
+   *   { attempt, maxRetries, delayMs, error } before waiting for a retry
+   * @param {number} retryOptions.retries - Overrides retryConfig.maxRetries
+   * @returns {Promise<Response>} The last response, which may still be an error
+   * @private
+   */
+  async _fetchWithRetry(url, options, { onRetry, retries, idempotent } = {}) {
+    const config = this.retryConfig;
+    const maxRetries = retries ?? config.maxRetries;
+    const isIdempotent = idempotent ?? config.idempotentMethods.includes(options.method);
+    const retryStatuses = isIdempotent ? config.retryStatuses : config.unprocessedStatuses;
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      let error;
+      try {
+        response = await fetch(url, options);
+      } catch (fetchError) {
+        if (this._isAbortError(fetchError)) {
+          throw fetchError;
+        }
+        error = NetworkError.from(fetchError);
+        if (!isIdempotent || attempt >= maxRetries) {
+          throw error;
+        }
+      }
+
+      let delayMs = getBackoffDelay(attempt, config);
+      if (response) {
+        if (!retryStatuses.includes(response.status) || attempt >= maxRetries) {
+          return response;
+        }
+
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+        if (retryAfter !== null) {
+          if (retryAfter > config.maxRetryAfterMs) {
+            return response;
+          }
+          delayMs = retryAfter;
+        }
+        error = await createErrorFromResponse(response);
+      }
+
+      console.warn(`Request failed (${error.message}), retry ${attempt + 1}/${maxRetries} in ${delayMs}ms`);
+      onRetry?.({ attempt: attempt + 1, maxRetries, delayMs, error });
+      await this._wait(delayMs, options.signal);
+    }
+  }
+
+  /**
+   * Wait before a retry; rejects with an AbortError if the signal fires
+   * @private
+   */
+  _wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const abortError = () => new DOMException('The request was aborted', 'AbortError');
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   // ============================================
@@ -103,7 +389,7 @@ export class APIService {
    */
   async login(idToken) {
     try {
-      const result = await this._request('POST', '/auth/login', { idToken });
+      const result = await this._request('POST', '/auth/login', { idToken }, { skipAuthRefresh: true });
       
       // Store token for future requests
       this.setIdToken(idToken);
@@ -120,7 +406,7 @@ export class APIService {
    */
   async verifyToken(idToken) {
     try {
-      const result = await this._request('POST', '/auth/verify', { idToken });
+      const result = await this._request('POST', '/auth/verify', { idToken }, { skipAuthRefresh: true });
       return result;
     } catch (error) {
       console.error('Token verification failed:', error);
@@ -141,12 +427,25 @@ export class APIService {
     }
   }
 
+  /**
+   * Update fields of the user profile (e.g. retention rules)
+   */
+  async updateUserProfile(updates) {
+    try {
+      const result = await this._request('PATCH', '/auth/profile', updates);
+      return result;
+    } catch (error) {
+      console.error('Failed to update user profile:', error);
+      throw error;
+    }
+  }
+
   /**
    * Logout
    */
   async logout() {
     try {
-      await this._request('POST', '/auth/logout');
+      await this._request('POST', '/auth/logout', null, { skipAuthRefresh: true });
       this.clearAuth();
     } catch (error) {
       console.error('Logout failed:', error);
@@ -163,8 +462,9 @@ export class APIService {
    */
   async createSession(userId) {
     try {
-      const result = await this._request('POST', '/sessions', { userId });
-      this._logTelemetry('CREATE_SESSION', [], 'Session created', 0, false);
+      const result = await this._request('POST', '/sessions', { userId }, {
+        telemetry: { action: 'CREATE_SESSION', summary: 'Session created' }
+      });
       return result;
     } catch (error) {
       console.error('Failed to create session:', error);
@@ -185,6 +485,19 @@ export class APIService {
     }
   }
 
+  /**
+   * Update session fields (e.g. branch history)
+   */
+  async updateSession(sessionId, updates) {
+    try {
+      const result = await this._request('PATCH', `/sessions/${sessionId}`, updates);
+      return result;
+    } catch (error) {
+      console.error('Failed to update session:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all sessions for the authenticated user
    */
@@ -211,13 +524,69 @@ export class APIService {
     }
   }
 
+  /**
+   * Append messages to a session (e.g. imported conversations)
+   */
+  async appendSessionMessages(userId, sessionId, messages) {
+    try {
+      const result = await this._request('POST', `/sessions/${userId}/${sessionId}/messages`, { messages });
+      return result;
+    } catch (error) {
+      console.error('Failed to append session messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Full-text search across the user's sessions
+   * @returns {Promise<array>} [{ sessionId, messageId, snippet }]
+   */
+  async searchSessions(userId, query, limit = 50) {
+    try {
+      const params = new URLSearchParams({ uid: userId, q: query, limit: String(limit) });
+      const result = await this._request('GET', `/sessions/search?${params.toString()}`);
+      return result.results || [];
+    } catch (error) {
+      console.error('Failed to search sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply retention rules to the user's sessions
+   * With dryRun nothing is removed; the response lists what would be.
+   * @param {object} options - { dryRun, sessionIds } where sessionIds limits
+   *   removal to sessions the user saw in a preview
+   * @returns {Promise<array>} [{ sessionId, title, lastAccessedAt, reason }]
+   */
+  async applyRetentionPolicy(userId, policy, { dryRun = true, sessionIds = null } = {}) {
+    try {
+      const result = await this._request('POST', '/sessions/retention', {
+        uid: userId,
+        policy,
+        dryRun,
+        sessionIds
+      }, {
+        telemetry: dryRun ? null : {
+          action: 'APPLY_RETENTION',
+          summary: (body) => `Removed ${(body.sessions || []).length} sessions`
+        }
+      });
+      return result.sessions || [];
+    } catch (error) {
+      console.error('Failed to apply retention policy:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete a session
    */
   async deleteSession(userId, sessionId) {
     try {
-      await this._request('DELETE', `/sessions/${userId}/${sessionId}`);
-      this._logTelemetry('DELETE_SESSION', [], 'Session deleted', 0, false);
+      await this._request('DELETE', `/sessions/${userId}/${sessionId}`, null, {
+        telemetry: { action: 'DELETE_SESSION', summary: 'Session deleted' }
+      });
       return true;
     } catch (error) {
       console.error('Failed to delete session:', error);
@@ -230,8 +599,9 @@ export class APIService {
    */
   async clearSessionHistory(sessionId) {
     try {
-      await this._request('POST', `/sessions/${sessionId}/clear`);
-      this._logTelemetry('CLEAR_HISTORY', [], 'History cleared', 0, false);
+      await this._request('POST', `/sessions/${sessionId}/clear`, null, {
+        telemetry: { action: 'CLEAR_HISTORY', summary: 'History cleared' }
+      });
       return true;
     } catch (error) {
       console.error('Failed to clear session history:', error);
@@ -244,35 +614,65 @@ export class APIService {
   // ============================================
 
   /**
-   * Generate cache key from conversation history
+   * Generate cache key from the whole request
+   * Hashes the normalized history (roles and trimmed content), where it runs
+   * (provider and model) and the sampling parameters, so only requests that
+   * should produce the same answer share an entry.
    * @private
    */
-  _generateCacheKey(conversationHistory) {
-    // Find the last user message in the conversation
-    let lastUserMessage = '';
-    for (let i = conversationHistory.length - 1; i >= 0; i--) {
-      if (conversationHistory[i].role === 'user') {
-        lastUserMessage = conversationHistory[i].content;
-        break;
+  _generateCacheKey(conversationHistory, parameters = {}, { provider = PROVIDERS.POCKETLLM, model = null } = {}) {
+    const request = {
+      messages: conversationHistory.map(message => ({
+        role: message.role,
+        content: String(message.content ?? '').replace(/\r\n/g, '\n').trim()
+      })),
+      provider,
+      model: model ?? null,
+      // Fixed order and explicit nulls keep the JSON (and the hash) stable
+      parameters: {
+        temperature: parameters.temperature ?? null,
+        topP: parameters.topP ?? null,
+        maxTokens: parameters.maxTokens ?? null,
+        stopSequences: parameters.stopSequences ?? [],
+        seed: parameters.seed ?? null
       }
-    }
+    };
 
-    // Create cache key from the last user message
-    return `cache_${lastUserMessage.toLowerCase().trim()}`.substring(0, 100);
+    return `cache_${hashString(JSON.stringify(request))}`;
   }
 
   /**
-   * Check cache for similar conversation patterns (FR4)
+   * Whether a request may be answered from (and saved to) the local cache
+   * Sampled answers (temperature above 0) are meant to vary, so they are
+   * only cached when the caller opts in with `cacheSampled`.
    * @private
    */
-  _checkCache(conversationHistory) {
-    const key = this._generateCacheKey(conversationHistory);
-    const cached = this.cache.get(key);
+  _isCacheable(parameters, { useCache = false, cacheSampled = false } = {}) {
+    if (!useCache) return false;
+    return parameters.temperature === 0 || cacheSampled;
+  }
 
-    if (cached && !this._isCacheExpired(cached)) {
+  /**
+   * Last user message of a conversation; the cache shows it as the prompt
+   * @private
+   */
+  _lastUserMessage(conversationHistory) {
+    const message = [...conversationHistory].reverse().find(item => item?.role === 'user');
+    return message?.content || '';
+  }
+
+  /**
+   * Check cache for an identical earlier request (FR4)
+   * @returns {object|null} { response, tokens, latency, conversationLength }
+   * @private
+   */
+  _checkCache(key, conversationHistory) {
+    const entry = this.cacheManager.get(this._lastUserMessage(conversationHistory), { key });
+
+    if (entry) {
       this.telemetry.cacheHits++;
-      this._logTelemetry('CACHE_HIT', conversationHistory, cached.response, cached.latency, true);
-      return cached;
+      this._logTelemetry('CACHE_HIT', conversationHistory, entry.response, entry.metadata.latency, true);
+      return { response: entry.response, ...entry.metadata };
     }
 
     this.telemetry.cacheMisses++;
@@ -281,25 +681,15 @@ export class APIService {
 
   /**
    * Store response in cache (FR4)
+   * @param {number} ttl - Seconds to keep it; defaults to the cache's TTL
    * @private
    */
-  _cacheResponse(conversationHistory, response, latency, ttl = 3600) {
-    const key = this._generateCacheKey(conversationHistory);
-    this.cache.set(key, {
-      response,
+  _cacheResponse(key, conversationHistory, { response, tokens }, latency, ttl) {
+    this.cacheManager.put(this._lastUserMessage(conversationHistory), response, {
+      tokens: tokens || 0,
       latency,
-      timestamp: Date.now(),
-      expiresAt: Date.now() + (ttl * 1000),
       conversationLength: conversationHistory.length
-    });
-  }
-
-  /**
-   * Check if cache entry has expired (FR4)
-   * @private
-   */
-  _isCacheExpired(cacheEntry) {
-    return Date.now() > cacheEntry.expiresAt;
+    }, { key, ttl });
   }
 
   /**
@@ -338,6 +728,177 @@ export class APIService {
     console.log('[TELEMETRY]', logEntry);
   }
 
+  /**
+   * Check whether an error was caused by aborting the request
+   * @private
+   */
+  _isAbortError(error) {
+    return error?.name === 'AbortError';
+  }
+
+  /**
+   * Open a streaming request and return the raw response
+   * Falls through to the normal error handling for non-2xx responses.
+   * Only opening the stream is retried; a stream that breaks off is not.
+   * @private
+   */
+  async _streamRequest(method, endpoint, data = null, options = {}) {
+    try {
+      return await this._send(method, endpoint, data, {
+        ...options,
+        headers: { 'Accept': 'text/event-stream, application/x-ndjson, application/json' }
+      });
+    } catch (error) {
+      if (!this._isAbortError(error)) {
+        console.error('API Stream Error:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a single streamed payload (SSE event data or NDJSON line)
+   * Returns { token, done, meta } or null when the payload is empty.
+   * Only JSON objects are structured events (read by a `provider`'s
+   * parseStreamEvent if given); JSON strings are tokens, and anything else -
+   * including text that happens to parse as a number, boolean or null - is
+   * passed on as raw text.
+   * @private
+   */
+  _parseStreamPayload(payload, provider = null) {
+    const trimmed = payload.trim();
+    if (!payload) return null;
+    if (trimmed === '[DONE]') return { token: '', done: true, meta: {} };
+
+    const text = { token: payload, done: false, meta: {} };
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      // Plain text payload
+      return text;
+    }
+
+    if (typeof parsed === 'string') {
+      return { token: parsed, done: false, meta: {} };
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return text;
+    }
+
+    if (parsed.error) {
+      // OpenAI-style servers send { error: { message, code } }
+      throw new APIError(parsed.error.message || parsed.error, {
+        code: parsed.code || parsed.error.code || null,
+        requestId: parsed.requestId || null
+      });
+    }
+    if (provider) {
+      return provider.parseStreamEvent(parsed);
+    }
+    return {
+      token: parsed.token ?? parsed.content ?? parsed.delta ?? '',
+      done: Boolean(parsed.done),
+      meta: parsed
+    };
+  }
+
+  /**
+   * Read a streamed inference response token by token
+   * Supports Server-Sent Events, NDJSON and raw chunked text bodies; a
+   * `provider`'s stream is read in its own format whatever the content type.
+   * @private
+   */
+  async _readStream(response, onToken, provider = null) {
+    const contentType = response.headers.get('content-type') || '';
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const isSSE = provider ? provider.streamFormat === 'sse' : contentType.includes('text/event-stream');
+    const isNDJSON = provider ? provider.streamFormat === 'ndjson' : contentType.includes('ndjson');
+
+    let fullText = '';
+    let buffer = '';
+    let dataLines = []; // data lines of the SSE event being read
+    let meta = {};
+    let done = false;
+
+    const emit = (parsed) => {
+      if (!parsed) return;
+      if (parsed.token) {
+        fullText += parsed.token;
+        onToken(parsed.token, fullText);
+      }
+      if (parsed.done) {
+        meta = parsed.meta;
+        done = true;
+      }
+    };
+
+    // An SSE event's data lines are joined with newlines; a blank line ends it
+    const dispatchEvent = () => {
+      if (dataLines.length === 0) return;
+      const data = dataLines.join('\n');
+      dataLines = [];
+      emit(this._parseStreamPayload(data, provider));
+    };
+
+    const processLine = (line) => {
+      if (isSSE) {
+        if (line === '') {
+          dispatchEvent();
+        } else if (line.startsWith('data:')) {
+          // Only data lines carry tokens; ignore comments, ids and event names
+          dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+      } else if (line.trim()) {
+        emit(this._parseStreamPayload(line, provider));
+      }
+    };
+
+    while (!done) {
+      let value;
+      let streamDone;
+      try {
+        ({ value, done: streamDone } = await reader.read());
+      } catch (error) {
+        // Keep what was generated so far so the caller can show it
+        const streamError = this._isAbortError(error) ? error : NetworkError.from(error);
+        streamError.partialResponse = fullText;
+        throw streamError;
+      }
+      if (streamDone) break;
+
+      const chunk = decoder.decode(value, { stream: true });
+
+      if (!isSSE && !isNDJSON) {
+        // Raw chunked text - every chunk is part of the answer
+        fullText += chunk;
+        onToken(chunk, fullText);
+        continue;
+      }
+
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        processLine(line);
+        if (done) break;
+      }
+    }
+
+    if (!done) {
+      if (buffer) processLine(buffer);
+      // A stream may end without the blank line after its last event
+      if (isSSE) dispatchEvent();
+    }
+
+    return {
+      response: meta.response ?? fullText,
+      isCached: meta.isCached || false,
+      tokens: meta.tokens || 0
+    };
+  }
+
   /**
    * Send inference request to backend with conversation history
    * Messages are automatically saved to Firebase by the backend
@@ -351,40 +912,77 @@ export class APIService {
    *     { role: 'user', content: 'second message' }
    *   ]
    * @param {object} parameters - Model parameters (temperature, maxTokens, etc)
+   * @param {object} options - Request options
+   * @param {function} options.onToken - Called with (token, fullText) as tokens arrive.
+   *   Providing it requests a streamed response; backends that answer with plain
+   *   JSON still work and deliver the whole answer as a single token.
+   * @param {AbortSignal} options.signal - Aborts the request. The thrown AbortError
+   *   carries any text streamed so far in `partialResponse`.
+   * @param {function} options.onRetry - Called with { attempt, maxRetries, delayMs, error }
+   *   when a transient failure is about to be retried
+   * @param {string} options.provider - Where to run inference, one of PROVIDERS
+   *   (default: the PocketLLM backend)
+   * @param {string} options.model - Model to answer with, sent to the backend or the provider
+   * @param {boolean} options.useCache - Answer identical requests from the
+   *   local cache (results then have `cachedLocally: true`)
+   * @param {boolean} options.cacheSampled - Also cache requests with a
+   *   temperature above 0
+   * @param {boolean} options.skipCacheLookup - Always ask the model (e.g. to
+   *   regenerate an answer); the new answer is still cached
    * @returns {Promise<object>} Response with text, latency, and cache info
+   * @throws {APIError} A subclass from APIErrors.js describing what went wrong
    */
-  async sendInferenceRequest(sessionId, conversationHistory, parameters = {}) {
+  async sendInferenceRequest(sessionId, conversationHistory, parameters = {}, options = {}) {
     const startTime = Date.now();
+    const { onToken, signal, onRetry, provider = PROVIDERS.POCKETLLM, model, skipCacheLookup = false } = options;
 
     try {
       // Validate input
       if (!Array.isArray(conversationHistory) || conversationHistory.length === 0) {
-        throw new Error('Invalid conversation history format');
+        throw new ValidationError('Invalid conversation history format', { code: 'INVALID_HISTORY' });
       }
 
       // Check local cache first (FR4)
-      // const cached = this._checkCache(conversationHistory);
-      // if (cached) {
-      //   return {
-      //     response: cached.response,
-      //     latency: cached.latency,
-      //     isCached: true,
-      //     tokens: cached.tokens || 0,
-      //     conversationLength: cached.conversationLength
-      //   };
-      // }
+      const cacheable = this._isCacheable(parameters, options);
+      const cacheKey = cacheable ? this._generateCacheKey(conversationHistory, parameters, { provider, model }) : null;
+      const cached = cacheable && !skipCacheLookup ? this._checkCache(cacheKey, conversationHistory) : null;
+      if (cached) {
+        onToken?.(cached.response, cached.response);
+        return {
+          response: cached.response,
+          latency: Date.now() - startTime,
+          isCached: true,
+          cachedLocally: true,
+          tokens: cached.tokens,
+          conversationLength: cached.conversationLength
+        };
+      }
       console.log(conversationHistory);
       // Send to backend
-      const result = await this._request('POST', '/inference', {
-        messages: conversationHistory,
-        sessionId: sessionId,
-        parameters: parameters
-      });
+      let result;
+      if (provider !== PROVIDERS.POCKETLLM) {
+        result = await this._sendProviderInference(provider, conversationHistory, parameters, {
+          model, onToken, signal, onRetry
+        });
+      } else if (onToken) {
+        result = await this._sendStreamingInference(sessionId, conversationHistory, parameters, onToken, {
+          model, signal, onRetry
+        });
+      } else {
+        result = await this._request('POST', '/inference', {
+          messages: conversationHistory,
+          sessionId: sessionId,
+          model: model || null,
+          parameters: parameters
+        }, { signal, onRetry });
+      }
 
       const latency = Date.now() - startTime;
 
       // Cache the response locally
-      this._cacheResponse(conversationHistory, result.response, latency, parameters.ttl || 3600);
+      if (cacheable) {
+        this._cacheResponse(cacheKey, conversationHistory, result, latency, parameters.ttl);
+      }
 
       // Log telemetry
       this._logTelemetry('INFERENCE', conversationHistory, result.response, latency, result.isCached || false);
@@ -397,11 +995,78 @@ export class APIService {
         conversationLength: conversationHistory.length
       };
     } catch (error) {
-      this._logTelemetry('ERROR', conversationHistory, `Error: ${error.message}`, Date.now() - startTime, false);
+      if (this._isAbortError(error)) {
+        this._logTelemetry('CANCELLED', conversationHistory, error.partialResponse || '', Date.now() - startTime, false);
+      } else {
+        this._logTelemetry('ERROR', conversationHistory, `Error: ${error.message}`, Date.now() - startTime, false);
+      }
       throw error;
     }
   }
 
+  /**
+   * Request a streamed inference and fall back to the JSON body
+   * when the backend does not support streaming
+   * @private
+   */
+  async _sendStreamingInference(sessionId, conversationHistory, parameters, onToken, { model, ...requestOptions }) {
+    const response = await this._streamRequest('POST', '/inference', {
+      messages: conversationHistory,
+      sessionId: sessionId,
+      model: model || null,
+      parameters: parameters,
+      stream: true
+    }, requestOptions);
+
+    const contentType = response.headers.get('content-type') || '';
+
+    if (!response.body || contentType.includes('application/json')) {
+      // Non-streaming backend - deliver the full answer at once
+      const result = await response.json();
+      if (result.response) {
+        onToken(result.response, result.response);
+      }
+      return result;
+    }
+
+    return this._readStream(response, onToken);
+  }
+
+  /**
+   * Run inference on another server through its provider adapter
+   * Streams when `onToken` is given. The backend never sees these requests,
+   * so it does not save the messages either (see RestAdapter).
+   * @private
+   */
+  async _sendProviderInference(providerId, conversationHistory, parameters, { model, onToken, signal, onRetry }) {
+    const provider = this.providers[providerId];
+    if (!provider) {
+      throw new ValidationError(`Unknown inference provider: ${providerId}`, { code: 'UNKNOWN_PROVIDER' });
+    }
+
+    const stream = Boolean(onToken);
+    const response = await this._send('POST', provider.endpoint, provider.buildRequest(conversationHistory, parameters, {
+      model,
+      stream
+    }), {
+      baseURL: provider.baseURL,
+      headers: provider.headers,
+      signal,
+      onRetry
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!stream || !response.body || contentType.includes('application/json')) {
+      // Not streamed (or the server answered in one piece anyway)
+      const result = provider.parseResponse(await response.json());
+      if (stream && result.response) {
+        onToken(result.response, result.response);
+      }
+      return { ...result, isCached: false };
+    }
+    return this._readStream(response, onToken, provider);
+  }
+
   // ============================================
   // ADMIN METHODS
   // ============================================
@@ -425,12 +1090,28 @@ export class APIService {
   }
 
   /**
-   * Update cache configuration
+   * Get statistics of the server's response cache
+   */
+  async getServerCacheStats() {
+    try {
+      return await this._request('GET', '/cache/stats');
+    } catch (error) {
+      console.error('Failed to get cache stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update cache configuration on the server and in the local cache
+   * @param {object} config - { ttl: seconds, maxSize: max entries }
    */
   async updateCacheConfig(config) {
     try {
-      await this._request('POST', '/admin/cache/config', config);
-      this._logTelemetry('UPDATE_CACHE_CONFIG', [], `Config updated: TTL=${config.ttl}s`, 0, false);
+      const result = await this._request('POST', '/admin/cache/config', config, {
+        telemetry: { action: 'UPDATE_CACHE_CONFIG', summary: `Config updated: TTL=${config.ttl}s` }
+      });
+      this.applyCacheConfig(config);
+      return result;
     } catch (error) {
       console.error('Failed to update cache config:', error);
       throw error;
@@ -438,15 +1119,33 @@ export class APIService {
   }
 
   /**
-   * Clear cache
+   * Load the server's cache configuration into the local cache, so both
+   * expire and cap entries alike. The local settings stay if this fails.
+   * @returns {object} { ttl, maxSize } as applied
+   */
+  async loadCacheConfig() {
+    try {
+      const result = await this._request('GET', '/cache/config');
+      const config = { ttl: Number(result.default_ttl), maxSize: Number(result.max_size) };
+      this.applyCacheConfig(config);
+      return config;
+    } catch (error) {
+      console.error('Failed to load cache config:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear the server's response cache and the local one
    */
   async clearCache() {
     try {
-      const result = await this._request('POST', '/admin/cache/clear');
-      this.cache.clear();
+      const result = await this._request('POST', '/admin/cache/clear', null, {
+        telemetry: { action: 'CLEAR_CACHE', summary: 'Cache cleared' }
+      });
+      this.cacheManager.clear();
       this.telemetry.cacheHits = 0;
       this.telemetry.cacheMisses = 0;
-      this._logTelemetry('CLEAR_CACHE', [], 'Cache cleared', 0, false);
       return result;
     } catch (error) {
       console.error('Failed to clear cache:', error);
@@ -459,8 +1158,9 @@ export class APIService {
    */
   async reloadModel(modelName) {
     try {
-      const result = await this._request('POST', '/admin/model/reload', { modelName });
-      this._logTelemetry('RELOAD_MODEL', [], `Model reloaded: ${modelName}`, 0, false);
+      const result = await this._request('POST', '/admin/model/reload', { modelName }, {
+        telemetry: { action: 'RELOAD_MODEL', summary: `Model reloaded: ${modelName}` }
+      });
       return result;
     } catch (error) {
       console.error('Failed to reload model:', error);
@@ -482,24 +1182,31 @@ export class APIService {
   }
 
   /**
-   * Get cache statistics
+   * Apply cache settings to the local response cache only
+   * Missing fields are left unchanged.
+   * @param {object} config - { ttl: seconds, maxSize: max entries }
+   */
+  applyCacheConfig({ ttl, maxSize } = {}) {
+    if (ttl > 0) {
+      this.cacheManager.setTTL(ttl);
+    }
+    if (maxSize > 0) {
+      this.cacheManager.setMaxEntries(maxSize);
+    }
+  }
+
+  /**
+   * Get statistics of the local response cache (see CacheManager.getStats)
    */
   getCacheStats() {
-    const totalEntries = this.cache.size;
-    const cacheHitRate = this.telemetry.totalRequests > 0
-      ? ((this.telemetry.cacheHits / this.telemetry.totalRequests) * 100).toFixed(2)
-      : 0;
+    return this.cacheManager.getStats();
+  }
 
-    return {
-      totalEntries,
-      cacheHits: this.telemetry.cacheHits,
-      cacheMisses: this.telemetry.cacheMisses,
-      cacheHitRate: `${cacheHitRate}%`,
-      totalRequests: this.telemetry.totalRequests,
-      avgLatency: this.telemetry.totalRequests > 0
-        ? (this.telemetry.totalLatency / this.telemetry.totalRequests).toFixed(2)
-        : 0
-    };
+  /**
+   * Get the entries of the local response cache (see CacheManager.getAllEntries)
+   */
+  getCacheEntries() {
+    return this.cacheManager.getAllEntries();
   }
 
   /**
@@ -0,0 +1,371 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { APIService } from './APIService';
+import { APIError, AuthError } from './APIErrors';
+
+const jsonResponse = (status, body = {}, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: `Status ${status}`,
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  json: async () => body,
+  clone() {
+    return jsonResponse(status, body, headers);
+  }
+});
+
+// A streamed body delivering `chunks` one read at a time; a chunk that is an
+// Error makes that read fail
+const streamResponse = (contentType, chunks) => {
+  const encoder = new TextEncoder();
+  const pending = [...chunks];
+  return {
+    ...jsonResponse(200, {}, { 'content-type': contentType }),
+    body: {
+      getReader: () => ({
+        read: async () => {
+          if (pending.length === 0) return { done: true, value: undefined };
+          const chunk = pending.shift();
+          if (chunk instanceof Error) throw chunk;
+          return { done: false, value: encoder.encode(chunk) };
+        }
+      })
+    }
+  };
+};
+
+describe('APIService requests', () => {
+  let api;
+
+  beforeEach(() => {
+    process.env.REACT_APP_API_URL = 'http://api.test';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    api = new APIService({ retry: { baseDelayMs: 1, maxDelayMs: 1 } });
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('runs interceptors around every request', async () => {
+    const seen = [];
+    api.setIdToken('token-1');
+    api.use({
+      onRequest(request) {
+        request.headers['X-Tenant-Id'] = 'acme';
+        return request;
+      },
+      onResponse(response, request) {
+        seen.push(`${request.method} ${request.endpoint} ${response.status}`);
+        return response;
+      }
+    });
+    global.fetch.mockResolvedValue(jsonResponse(200, { ok: true }));
+
+    await api.getSession('s1');
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://api.test/sessions/s1');
+    expect(options.headers).toMatchObject({ Authorization: 'Bearer token-1', 'X-Tenant-Id': 'acme' });
+    expect(seen).toEqual(['GET /sessions/s1 200']);
+  });
+
+  test('records tagged telemetry from the response', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(200, { sessions: [{}, {}] }));
+
+    await api.applyRetentionPolicy('u1', { enabled: true }, { dryRun: false });
+
+    expect(api.getTelemetry().requests.map(entry => entry.action)).toEqual(['APPLY_RETENTION']);
+  });
+
+  test('retries 503 responses before giving up', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(503, {}, { 'retry-after': '0' }))
+      .mockResolvedValueOnce(jsonResponse(200, { sessionId: 's1' }));
+    const onRetry = jest.fn();
+
+    const result = await api._request('POST', '/sessions', {}, { onRetry });
+
+    expect(result).toEqual({ sessionId: 's1' });
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, delayMs: 0 }));
+  });
+
+  test('only retries gateway errors for idempotent methods', async () => {
+    const attempts = async (method, status, options = {}) => {
+      global.fetch.mockReset();
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse(status))
+        .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+      await api._request(method, '/inference', {}, options).catch(() => {});
+      return global.fetch.mock.calls.length;
+    };
+
+    // The server may have handled a POST behind a 502 or 504
+    expect(await attempts('POST', 502)).toBe(1);
+    expect(await attempts('POST', 504)).toBe(1);
+    expect(await attempts('POST', 502, { idempotent: true })).toBe(2);
+    expect(await attempts('GET', 502)).toBe(2);
+    expect(await attempts('PUT', 504)).toBe(2);
+    expect(await attempts('DELETE', 504)).toBe(2);
+
+    // 429 and 503 mean the request was not handled
+    expect(await attempts('POST', 429)).toBe(2);
+    expect(await attempts('POST', 503)).toBe(2);
+    expect(await attempts('POST', 500)).toBe(1);
+    expect(await attempts('GET', 500)).toBe(1);
+  });
+
+  test('shares one token refresh between concurrent 401s and replays', async () => {
+    api.setIdToken('old');
+    const refresher = jest.fn().mockResolvedValue('new');
+    api.setTokenRefresher(refresher);
+    global.fetch.mockImplementation(async (url, options) => (
+      options.headers.Authorization === 'Bearer new' ? jsonResponse(200, { url }) : jsonResponse(401)
+    ));
+
+    const results = await Promise.all([api.getSession('a'), api.getSession('b')]);
+
+    expect(refresher).toHaveBeenCalledTimes(1);
+    expect(results.map(result => result.url)).toEqual(['http://api.test/sessions/a', 'http://api.test/sessions/b']);
+  });
+
+  test('expires the sign-in when the refresh fails', async () => {
+    api.setIdToken('old');
+    api.setTokenRefresher(async () => null);
+    const onExpired = jest.fn();
+    api.onAuthExpired(onExpired);
+    global.fetch.mockResolvedValue(jsonResponse(401));
+
+    await expect(api.getSession('a')).rejects.toBeInstanceOf(AuthError);
+    expect(onExpired).toHaveBeenCalledTimes(1);
+    expect(api.getIdToken()).toBeNull();
+  });
+
+  test('answers identical deterministic requests from the local cache', async () => {
+    global.fetch.mockImplementation(async () => jsonResponse(200, { response: 'Paris', tokens: 1 }));
+    const ask = (content, parameters, options = {}) => api.sendInferenceRequest(
+      's1',
+      [{ role: 'user', content }],
+      { temperature: 0, maxTokens: 32, ...parameters },
+      { useCache: true, model: 'phi-2', ...options }
+    );
+
+    await ask('Capital of France?');
+    const cached = await ask('  Capital of France?\n');
+    expect(cached).toMatchObject({ response: 'Paris', isCached: true, cachedLocally: true });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    // Anything that can change the answer is part of the key
+    await ask('Capital of France?', { maxTokens: 64 });
+    await ask('Capital of France?', {}, { model: 'tinyllama-1.1b' });
+    await ask('Capital of France?', {}, { skipCacheLookup: true });
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test('only caches sampled answers when opted in', async () => {
+    global.fetch.mockImplementation(async () => jsonResponse(200, { response: 'Hi!' }));
+    const ask = (options) => api.sendInferenceRequest('s1', [{ role: 'user', content: 'Hi' }], { temperature: 0.7 }, {
+      useCache: true,
+      ...options
+    });
+
+    await ask();
+    expect((await ask()).isCached).toBe(false);
+    await ask({ cacheSampled: true });
+    expect((await ask({ cacheSampled: true })).isCached).toBe(true);
+  });
+
+  test('applies cache settings locally after the server accepts them', async () => {
+    global.fetch.mockImplementation(async () => jsonResponse(200, { response: 'Paris' }));
+    const ask = (content) => api.sendInferenceRequest('s1', [{ role: 'user', content }], { temperature: 0 }, {
+      useCache: true
+    });
+
+    await api.updateCacheConfig({ ttl: 60, maxSize: 2 });
+    await ask('one');
+    await ask('two');
+    await ask('three');
+
+    expect(api.getCacheStats()).toMatchObject({ entries: 2, maxEntries: 2, ttl: 60, evictions: 1 });
+    expect(api.getCacheEntries().map(entry => entry.prompt)).toEqual(['two', 'three']);
+  });
+
+  test('clears the server cache as an admin request, then the local one', async () => {
+    api.setIdToken('token-1');
+    global.fetch.mockImplementation(async () => jsonResponse(200, { response: 'Paris', message: 'Cache cleared' }));
+    await api.sendInferenceRequest('s1', [{ role: 'user', content: 'Hi' }], { temperature: 0 }, { useCache: true });
+
+    await expect(api.clearCache()).resolves.toMatchObject({ message: 'Cache cleared' });
+
+    const [url, options] = global.fetch.mock.calls[1];
+    expect(url).toMatch(/\/admin\/cache\/clear$/);
+    expect(options.headers.Authorization).toBe('Bearer token-1');
+    expect(api.getCacheStats().entries).toBe(0);
+  });
+
+  test('starts the local cache with the server cache settings', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(200, { default_ttl: 120, max_size: 5 }));
+
+    await expect(api.loadCacheConfig()).resolves.toEqual({ ttl: 120, maxSize: 5 });
+    expect(global.fetch.mock.calls[0][0]).toMatch(/\/cache\/config$/);
+    expect(api.getCacheStats()).toMatchObject({ ttl: 120, maxEntries: 5 });
+  });
+
+  test('keeps the local cache settings when the server ones cannot be loaded', async () => {
+    const before = api.getCacheStats();
+    global.fetch.mockResolvedValue(jsonResponse(404));
+
+    await expect(api.loadCacheConfig()).rejects.toBeInstanceOf(APIError);
+    expect(api.getCacheStats()).toMatchObject({ ttl: before.ttl, maxEntries: before.maxEntries });
+  });
+
+  test('sends the selected model to the backend', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(200, { response: 'Hi!', model: 'phi-2' }));
+
+    await api.sendInferenceRequest('s1', [{ role: 'user', content: 'Hi' }], { temperature: 0.7 }, { model: 'phi-2' });
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toMatch(/\/inference$/);
+    expect(JSON.parse(options.body)).toMatchObject({ sessionId: 's1', model: 'phi-2' });
+  });
+
+  test('sends the session generation parameters to the backend', async () => {
+    const parameters = { temperature: 0.2, topP: 0.9, maxTokens: 256, stopSequences: ['###'], seed: 7 };
+    global.fetch.mockResolvedValue(jsonResponse(200, { response: 'Hi!' }));
+
+    await api.sendInferenceRequest('s1', [{ role: 'user', content: 'Hi' }], parameters);
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).parameters).toEqual(parameters);
+  });
+
+  test('sends provider inference to the provider without the ID token', async () => {
+    api.setIdToken('token-1');
+    global.fetch.mockResolvedValue(jsonResponse(200, {
+      choices: [{ message: { content: 'Hello!' } }],
+      usage: { completion_tokens: 2 }
+    }));
+
+    const result = await api.sendInferenceRequest('s1', [{ role: 'user', content: 'Hi' }], { temperature: 0 }, {
+      provider: 'openai',
+      model: 'llama3'
+    });
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toMatch(/\/v1\/chat\/completions$/);
+    expect(options.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(options.body)).toMatchObject({ model: 'llama3', temperature: 0, stream: false });
+    expect(result).toMatchObject({ response: 'Hello!', tokens: 2, isCached: false });
+  });
+});
+
+describe('APIService streaming', () => {
+  let api;
+  let tokens;
+  const stream = (contentType, chunks, options = {}, parameters = {}) => {
+    global.fetch.mockResolvedValue(streamResponse(contentType, chunks));
+    return api.sendInferenceRequest('s1', [{ role: 'user', content: 'Hi' }], parameters, {
+      onToken: (token) => tokens.push(token),
+      ...options
+    });
+  };
+
+  beforeAll(() => {
+    // jsdom does not provide TextDecoder
+    global.TextDecoder = global.TextDecoder || TextDecoder;
+  });
+
+  beforeEach(() => {
+    process.env.REACT_APP_API_URL = 'http://api.test';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    api = new APIService({ retry: { baseDelayMs: 1, maxDelayMs: 1 } });
+    global.fetch = jest.fn();
+    tokens = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('sends the session generation parameters with streamed requests', async () => {
+    const parameters = { temperature: 0, topP: 0.5, maxTokens: 64, stopSequences: ['\n\n'], seed: 1 };
+
+    await stream('text/event-stream', ['data: {"done":true}\n\n'], {}, parameters);
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toMatch(/\/inference/);
+    expect(JSON.parse(options.body).parameters).toEqual(parameters);
+  });
+
+  test('reads SSE events split across chunks', async () => {
+    const result = await stream('text/event-stream', [
+      ': keep-alive\n\nevent: token\ndata: {"token":"Hel"}\n',
+      '\ndata: {"tok',
+      'en":"lo"}\n\ndata: {"done":true,"tokens":2}\n\n'
+    ]);
+
+    expect(tokens).toEqual(['Hel', 'lo']);
+    expect(result).toMatchObject({ response: 'Hello', tokens: 2 });
+  });
+
+  test('joins the data lines of one SSE event with newlines', async () => {
+    const result = await stream('text/event-stream', [
+      'data: def f():\ndata:     return 1\n\n',
+      'data: {"token":"!"}\r\n\r\ndata: [DONE]\n\ndata: ignored\n\n'
+    ]);
+
+    expect(tokens).toEqual(['def f():\n    return 1', '!']);
+    expect(result.response).toBe('def f():\n    return 1!');
+  });
+
+  test('passes SSE text that parses as a JSON scalar through as text', async () => {
+    const result = await stream('text/event-stream', [
+      'data: null\n\ndata: 42\n\ndata: true\n\ndata: false\n\ndata:  \n\ndata: "quoted"\n\n',
+      // The last event may end with the stream instead of a blank line
+      'data: [1]'
+    ]);
+
+    expect(tokens).toEqual(['null', '42', 'true', 'false', ' ', 'quoted', '[1]']);
+    expect(result.response).toBe('null42truefalse quoted[1]');
+  });
+
+  test('surfaces errors sent inside the stream', async () => {
+    await expect(stream('text/event-stream', [
+      'data: {"token":"a"}\n\ndata: {"error":{"message":"Model crashed","code":"MODEL_ERROR"}}\n\n'
+    ])).rejects.toMatchObject({ message: 'Model crashed', code: 'MODEL_ERROR' });
+    expect(tokens).toEqual(['a']);
+  });
+
+  test('reads NDJSON lines and skips blank ones', async () => {
+    const result = await stream('application/x-ndjson', [
+      '{"token":"a"}\n\n{"tok',
+      'en":"b"}\n7\nnull\n',
+      '{"done":true,"tokens":3}'
+    ]);
+
+    expect(tokens).toEqual(['a', 'b', '7', 'null']);
+    expect(result).toMatchObject({ response: 'ab7null', tokens: 3 });
+  });
+
+  test('reads raw chunked text as it arrives', async () => {
+    const result = await stream('text/plain', ['{"token":', '"x"}\n', 'null']);
+
+    expect(tokens).toEqual(['{"token":', '"x"}\n', 'null']);
+    expect(result.response).toBe('{"token":"x"}\nnull');
+  });
+
+  test('keeps the partial answer when the stream is aborted', async () => {
+    const abort = new DOMException('The user aborted a request.', 'AbortError');
+
+    const error = await stream('text/event-stream', ['data: {"token":"Hal"}\n\ndata: {"token":"f"}\n\n', abort])
+      .catch(caught => caught);
+
+    expect(error).toBe(abort);
+    expect(error.partialResponse).toBe('Half');
+    expect(tokens).toEqual(['Hal', 'f']);
+  });
+});
@@ -1,16 +1,196 @@
 /**
  * CacheManager - Manages prompt/response caching
  * Implements FR4: Response Caching
+ *
+ * Entries are keyed by a hash of the prompt. Callers that key on more than
+ * the prompt (APIService hashes the whole inference request) pass their own
+ * key in `options.key`; the prompt is then only kept for display.
+ *
+ * Every operation except purgeExpired(), getAllEntries() and
+ * setEvictionPolicy() takes constant time: entries live in a Map, the
+ * eviction order is kept in doubly-linked lists, and the total size is
+ * updated as entries come and go.
  */
+
+export const EVICTION_POLICIES = {
+  LRU: 'lru', // Least recently used
+  LFU: 'lfu', // Least frequently used (fewest reads), then least recently used
+  FIFO: 'fifo' // Oldest
+};
+
+/**
+ * Doubly-linked list of cache nodes (each node is in at most one list)
+ */
+class NodeList {
+  constructor() {
+    this.head = null;
+    this.tail = null;
+    this.length = 0;
+  }
+
+  append(node) {
+    node.prev = this.tail;
+    node.next = null;
+    if (this.tail) {
+      this.tail.next = node;
+    } else {
+      this.head = node;
+    }
+    this.tail = node;
+    this.length++;
+  }
+
+  remove(node) {
+    if (node.prev) {
+      node.prev.next = node.next;
+    } else {
+      this.head = node.next;
+    }
+    if (node.next) {
+      node.next.prev = node.prev;
+    } else {
+      this.tail = node.prev;
+    }
+    node.prev = null;
+    node.next = null;
+    this.length--;
+  }
+}
+
+/**
+ * Eviction orders. Each policy is told about inserts, reads and removals,
+ * and names the node to evict next.
+ */
+const createOrderPolicy = (moveOnRead) => {
+  const list = new NodeList();
+  return {
+    insert: (node) => list.append(node),
+    read: (node) => {
+      if (moveOnRead) {
+        list.remove(node);
+        list.append(node);
+      }
+    },
+    remove: (node) => list.remove(node),
+    victim: () => list.head
+  };
+};
+
+/**
+ * LFU in O(1): nodes sit in buckets by read count, and the buckets form a
+ * list in ascending count order, so the lowest count is always the first
+ * bucket and a read moves a node at most one bucket along.
+ */
+const createFrequencyPolicy = () => {
+  let first = null; // bucket { count, nodes, prev, next } with the lowest count
+  let last = null;
+
+  const insertBucket = (count, prev) => {
+    const next = prev ? prev.next : first;
+    const bucket = { count, nodes: new NodeList(), prev, next };
+    if (prev) {
+      prev.next = bucket;
+    } else {
+      first = bucket;
+    }
+    if (next) {
+      next.prev = bucket;
+    } else {
+      last = bucket;
+    }
+    return bucket;
+  };
+  const removeBucket = (bucket) => {
+    if (bucket.prev) {
+      bucket.prev.next = bucket.next;
+    } else {
+      first = bucket.next;
+    }
+    if (bucket.next) {
+      bucket.next.prev = bucket.prev;
+    } else {
+      last = bucket.prev;
+    }
+  };
+  const detach = (node) => {
+    const { bucket } = node;
+    bucket.nodes.remove(node);
+    node.bucket = null;
+    if (bucket.nodes.length === 0) {
+      removeBucket(bucket);
+    }
+  };
+  const attach = (node, bucket) => {
+    bucket.nodes.append(node);
+    node.bucket = bucket;
+  };
+
+  return {
+    insert: (node) => {
+      const count = node.entry.accessCount;
+      if (!first || count < first.count) {
+        attach(node, insertBucket(count, null));
+        return;
+      }
+      if (count === first.count) {
+        // New entries (never read) always end up here
+        attach(node, first);
+        return;
+      }
+      // Entries that were read only come from setEvictionPolicy, in ascending
+      // count order, so this finds the bucket at the end of the list
+      let prev = last;
+      while (prev.count > count) {
+        prev = prev.prev;
+      }
+      attach(node, prev.count === count ? prev : insertBucket(count, prev));
+    },
+    // Called after accessCount was incremented
+    read: (node) => {
+      const from = node.bucket;
+      const count = node.entry.accessCount;
+      const to = from.next && from.next.count === count ? from.next : insertBucket(count, from);
+      detach(node);
+      attach(node, to);
+    },
+    remove: detach,
+    victim: () => (first ? first.nodes.head : null)
+  };
+};
+
+const createPolicy = (policy) => {
+  switch (policy) {
+    case EVICTION_POLICIES.LRU:
+      return createOrderPolicy(true);
+    case EVICTION_POLICIES.FIFO:
+      return createOrderPolicy(false);
+    case EVICTION_POLICIES.LFU:
+      return createFrequencyPolicy();
+    default:
+      throw new Error(`Unknown eviction policy: ${policy}`);
+  }
+};
+
 export class CacheManager {
-  constructor(maxSize = 500, ttl = 3600) {
-    this.cache = new Map();
+  /**
+   * @param {number} maxSize - Size limit in MB
+   * @param {number} ttl - Default time to live in seconds
+   * @param {number} maxEntries - Entry limit
+   * @param {string} policy - Which entry to evict first, one of EVICTION_POLICIES
+   */
+  constructor(maxSize = 500, ttl = 3600, maxEntries = Infinity, policy = EVICTION_POLICIES.LRU) {
+    this.cache = new Map(); // key -> node { key, entry, size, prev, next }
     this.maxSize = maxSize * 1024 * 1024; // Convert MB to bytes
+    this.maxEntries = maxEntries;
     this.ttl = ttl;
+    this.policyName = policy;
+    this.policy = createPolicy(policy);
+    this.totalSize = 0; // Bytes of all entries, kept up to date by _insert/_delete
     this.stats = {
       hits: 0,
       misses: 0,
-      evictions: 0
+      evictions: 0,
+      expirations: 0
     };
   }
 
@@ -39,100 +219,109 @@ export class CacheManager {
   }
 
   /**
-   * Get current cache size in bytes
    * @private
    */
-  _getCacheSize() {
-    let size = 0;
-    for (const value of this.cache.values()) {
-      size += this._sizeOf(value);
-    }
-    return size;
+  _insert(key, entry, size) {
+    const node = { key, entry, size, prev: null, next: null };
+    this.cache.set(key, node);
+    this.policy.insert(node);
+    this.totalSize += size;
   }
 
   /**
-   * Evict oldest entry when cache exceeds max size
    * @private
    */
-  _evictOldest() {
-    if (this.cache.size === 0) return;
-
-    let oldest = null;
-    let oldestKey = null;
-
-    for (const [key, value] of this.cache.entries()) {
-      if (!oldest || value.createdAt < oldest.createdAt) {
-        oldest = value;
-        oldestKey = key;
-      }
-    }
+  _delete(node) {
+    this.cache.delete(node.key);
+    this.policy.remove(node);
+    this.totalSize -= node.size;
+  }
 
-    if (oldestKey) {
-      this.cache.delete(oldestKey);
+  /**
+   * Evict entries in policy order until `fits()` holds
+   * @private
+   */
+  _evictUntil(fits) {
+    while (this.cache.size > 0 && !fits()) {
+      this._delete(this.policy.victim());
       this.stats.evictions++;
     }
   }
 
   /**
    * Put a value in the cache (FR4)
+   * @param {object} options
+   * @param {string} options.key - Key to store under instead of the prompt's
+   * @param {number} options.ttl - Time to live in seconds for this entry
+   * @returns {boolean} False if the entry alone is larger than the cache
    */
-  put(prompt, response, metadata = {}) {
-    const key = this._generateKey(prompt);
-    
-    // Check if we need to evict
-    while (this._getCacheSize() > this.maxSize && this.cache.size > 0) {
-      this._evictOldest();
-    }
-
+  put(prompt, response, metadata = {}, { key = this._generateKey(prompt), ttl = this.ttl } = {}) {
     const entry = {
       prompt: prompt.substring(0, 200), // Store first 200 chars of prompt
       response,
       metadata,
       createdAt: Date.now(),
-      expiresAt: Date.now() + (this.ttl * 1000),
+      expiresAt: Date.now() + (ttl * 1000),
       accessCount: 0
     };
+    const size = this._sizeOf(entry);
 
-    this.cache.set(key, entry);
+    const existing = this.cache.get(key);
+    if (existing) {
+      this._delete(existing);
+    }
+    if (size > this.maxSize || this.maxEntries < 1) {
+      return false;
+    }
+
+    // Make room for the new entry
+    this._evictUntil(() => this.totalSize + size <= this.maxSize && this.cache.size < this.maxEntries);
+    this._insert(key, entry, size);
+    return true;
   }
 
   /**
    * Get a value from the cache (FR4)
+   * @param {object} options
+   * @param {string} options.key - Key the entry was stored under, if not the prompt's
    */
-  get(prompt) {
-    const key = this._generateKey(prompt);
-    const entry = this.cache.get(key);
+  get(prompt, { key = this._generateKey(prompt) } = {}) {
+    const node = this.cache.get(key);
 
-    if (!entry) {
+    if (!node) {
       this.stats.misses++;
       return null;
     }
 
     // Check if expired
-    if (Date.now() > entry.expiresAt) {
-      this.cache.delete(key);
+    if (Date.now() > node.entry.expiresAt) {
+      this._delete(node);
+      this.stats.expirations++;
       this.stats.misses++;
       return null;
     }
 
-    entry.accessCount++;
+    node.entry.accessCount++;
+    this.policy.read(node);
     this.stats.hits++;
-    return entry;
+    return node.entry;
   }
 
   /**
    * Check if a prompt exists in cache
    */
-  has(prompt) {
-    return this.get(prompt) !== null;
+  has(prompt, options = {}) {
+    return this.get(prompt, options) !== null;
   }
 
   /**
    * Remove a specific entry from cache (FR4)
    */
-  remove(prompt) {
-    const key = this._generateKey(prompt);
-    return this.cache.delete(key);
+  remove(prompt, { key = this._generateKey(prompt) } = {}) {
+    const node = this.cache.get(key);
+    if (!node) return false;
+    this._delete(node);
+    return true;
   }
 
   /**
@@ -141,6 +330,8 @@ export class CacheManager {
   clear() {
     const size = this.cache.size;
     this.cache.clear();
+    this.policy = createPolicy(this.policyName);
+    this.totalSize = 0;
     return size;
   }
 
@@ -158,10 +349,14 @@ export class CacheManager {
       misses: this.stats.misses,
       hitRate: `${hitRate}%`,
       evictions: this.stats.evictions,
-      size: this._getCacheSize(),
+      expirations: this.stats.expirations,
+      size: this.totalSize,
       maxSize: this.maxSize,
       entries: this.cache.size,
-      utilizationPercent: ((this._getCacheSize() / this.maxSize) * 100).toFixed(2)
+      maxEntries: this.maxEntries,
+      ttl: this.ttl,
+      policy: this.policyName,
+      utilizationPercent: ((this.totalSize / this.maxSize) * 100).toFixed(2)
     };
   }
 
@@ -178,16 +373,41 @@ export class CacheManager {
   setMaxSize(sizeInMB) {
     this.maxSize = sizeInMB * 1024 * 1024;
     // Evict if necessary
-    while (this._getCacheSize() > this.maxSize && this.cache.size > 0) {
-      this._evictOldest();
+    this._evictUntil(() => this.totalSize <= this.maxSize);
+  }
+
+  /**
+   * Set the maximum number of entries (FR5)
+   */
+  setMaxEntries(maxEntries) {
+    this.maxEntries = maxEntries;
+    this._evictUntil(() => this.cache.size <= this.maxEntries);
+  }
+
+  /**
+   * Switch the eviction policy (FR5)
+   * Entries are kept; their recency restarts from insertion order.
+   */
+  setEvictionPolicy(policy) {
+    const nextPolicy = createPolicy(policy);
+    let nodes = Array.from(this.cache.values());
+    if (policy === EVICTION_POLICIES.LFU) {
+      // Stable sort: ties stay in insertion order
+      nodes = nodes.sort((a, b) => a.entry.accessCount - b.entry.accessCount);
+    }
+    for (const node of nodes) {
+      nextPolicy.insert(node);
     }
+    this.policy = nextPolicy;
+    this.policyName = policy;
   }
 
   /**
    * Get all cache entries (for debugging/admin)
    */
   getAllEntries() {
-    return Array.from(this.cache.values()).map(entry => ({
+    return Array.from(this.cache.values()).map(({ key, entry }) => ({
+      key,
       prompt: entry.prompt,
       responseLength: entry.response?.length || 0,
       createdAt: new Date(entry.createdAt),
@@ -201,9 +421,10 @@ export class CacheManager {
    */
   purgeExpired() {
     let purged = 0;
-    for (const [key, entry] of this.cache.entries()) {
-      if (Date.now() > entry.expiresAt) {
-        this.cache.delete(key);
+    for (const node of this.cache.values()) {
+      if (Date.now() > node.entry.expiresAt) {
+        this._delete(node);
+        this.stats.expirations++;
         purged++;
       }
     }
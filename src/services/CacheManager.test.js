@@ -0,0 +1,170 @@
+import { CacheManager, EVICTION_POLICIES } from './CacheManager';
+
+const keys = (cache) => cache.getAllEntries().map(entry => entry.prompt).sort();
+
+describe('CacheManager eviction', () => {
+  test('LRU evicts the least recently read entry', () => {
+    const cache = new CacheManager(1, 3600, 2, EVICTION_POLICIES.LRU);
+    cache.put('a', '1');
+    cache.put('b', '2');
+    cache.get('a');
+    cache.put('c', '3');
+
+    expect(keys(cache)).toEqual(['a', 'c']);
+    expect(cache.getStats().evictions).toBe(1);
+  });
+
+  test('FIFO evicts the oldest entry, however often it is read', () => {
+    const cache = new CacheManager(1, 3600, 2, EVICTION_POLICIES.FIFO);
+    cache.put('a', '1');
+    cache.put('b', '2');
+    cache.get('a');
+    cache.put('c', '3');
+
+    expect(keys(cache)).toEqual(['b', 'c']);
+  });
+
+  test('LFU evicts the least read entry, oldest first on ties', () => {
+    const cache = new CacheManager(1, 3600, 3, EVICTION_POLICIES.LFU);
+    cache.put('a', '1');
+    cache.put('b', '2');
+    cache.put('c', '3');
+    cache.get('a');
+    cache.get('a');
+    cache.get('c');
+    cache.put('d', '4'); // b has no reads
+    cache.get('d');
+    cache.put('e', '5'); // c and d have one read each; c is older
+
+    expect(keys(cache)).toEqual(['a', 'd', 'e']);
+  });
+
+  test('keeps the total size up to date and evicts by size', () => {
+    const cache = new CacheManager(1, 3600);
+    const response = 'x'.repeat(200 * 1024); // About 400KB per entry
+    cache.put('a', response);
+    cache.put('b', response);
+    const sizeOfTwo = cache.getStats().size;
+
+    cache.put('c', response);
+    expect(keys(cache)).toEqual(['b', 'c']);
+    expect(cache.getStats().size).toBe(sizeOfTwo);
+
+    cache.remove('b');
+    cache.remove('c');
+    expect(cache.getStats().size).toBe(0);
+    expect(cache.put('huge', 'x'.repeat(1024 * 1024))).toBe(false);
+  });
+
+  test('replacing an entry does not count it twice', () => {
+    const cache = new CacheManager(1, 3600, 2);
+    cache.put('a', '1');
+    const size = cache.getStats().size;
+    cache.put('a', '1');
+
+    expect(cache.getStats()).toMatchObject({ entries: 1, size, evictions: 0 });
+  });
+
+  test('drops expired entries on read', () => {
+    const cache = new CacheManager(1, 3600);
+    cache.put('a', '1', {}, { ttl: -1 });
+
+    expect(cache.get('a')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ entries: 0, size: 0, expirations: 1 });
+  });
+});
+
+describe('CacheManager complexity', () => {
+  /**
+   * Number of calls `cache` makes to its eviction policy while `run` runs
+   */
+  const countPolicyCalls = (cache, run) => {
+    let count = 0;
+    cache.policy = Object.fromEntries(Object.entries(cache.policy).map(([name, method]) => [
+      name,
+      (...args) => {
+        count++;
+        return method(...args);
+      }
+    ]));
+    run();
+    return count;
+  };
+
+  /**
+   * Policy calls made by a mix of puts (half of them evicting an entry),
+   * hits, misses and removals in a full cache of `entries` entries
+   */
+  const operationsAtSize = (policy, entries) => {
+    const cache = new CacheManager(500, 3600, entries, policy);
+    for (let i = 0; i < entries; i++) {
+      cache.put(`prompt ${i}`, 'response');
+      // Spread the entries over many read counts
+      for (let read = 0; read < i % 20; read++) {
+        cache.get(`prompt ${i}`);
+      }
+    }
+
+    return countPolicyCalls(cache, () => {
+      for (let i = 0; i < 100; i++) {
+        cache.put(`new prompt ${i}`, 'response');
+        // Read on every round, so no policy evicts it before FIFO does
+        cache.get('prompt 19');
+        cache.get(`new prompt ${i}`);
+        cache.get(`new prompt ${i}`);
+        cache.remove(`new prompt ${i}`);
+        cache.put(`refill ${i}`, 'response');
+        cache.get('missing');
+      }
+    });
+  };
+
+  test.each(Object.values(EVICTION_POLICIES))('%s operations make the same policy calls in any cache size', (policy) => {
+    const small = operationsAtSize(policy, 200);
+    const large = operationsAtSize(policy, 20000);
+
+    expect(small).toBeGreaterThan(0);
+    expect(large).toBe(small);
+  });
+
+  test('LFU finds the next lowest read count after the least read entries go', () => {
+    const cache = new CacheManager(500, 3600, 3, EVICTION_POLICIES.LFU);
+    cache.put('a', 'a');
+    cache.put('b', 'b');
+    cache.put('c', 'c');
+    cache.get('a');
+    cache.get('b');
+    cache.get('b');
+    cache.get('c');
+    cache.get('c');
+    cache.get('c');
+
+    // 'a' has the lowest count; once it is gone 'b' has
+    cache.remove('a');
+    cache.put('d', 'd');
+    cache.get('d');
+    cache.get('d');
+    cache.get('d');
+    cache.get('d');
+    cache.put('e', 'e');
+
+    expect(cache.getAllEntries().map(entry => entry.prompt).sort()).toEqual(['c', 'd', 'e']);
+  });
+
+  test('switching to LFU keeps the read counts', () => {
+    const cache = new CacheManager(500, 3600, 3, EVICTION_POLICIES.FIFO);
+    cache.put('a', 'a');
+    cache.put('b', 'b');
+    cache.put('c', 'c');
+    cache.get('a');
+    cache.get('a');
+    cache.get('c');
+
+    cache.setEvictionPolicy(EVICTION_POLICIES.LFU);
+    cache.put('d', 'd');
+    cache.put('e', 'e');
+
+    expect(cache.getAllEntries().map(entry => entry.prompt).sort()).toEqual(['a', 'c', 'e']);
+    expect(cache.getStats()).toMatchObject({ policy: 'lfu', evictions: 2 });
+  });
+});
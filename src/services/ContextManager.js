@@ -0,0 +1,180 @@
+/**
+ * ContextManager - Keeps conversation history within the model's context window
+ * Estimates token usage on the client and trims the history before inference
+ */
+
+import { hashString } from '../utils/hash';
+
+export const CONTEXT_STRATEGIES = {
+  DROP_OLDEST: 'drop_oldest',
+  KEEP_LAST_N: 'keep_last_n',
+  // Drop the oldest turns but keep a model-written summary of them
+  SUMMARIZE: 'summarize'
+};
+
+// Approximate per-message overhead of chat templates (role markers etc.)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Share of the prompt budget set aside for the summary note
+const SUMMARY_BUDGET_SHARE = 0.25;
+
+const SUMMARY_HEADER = 'Summary of the earlier conversation:';
+
+/**
+ * Fingerprint of a run of turns, so a saved summary is only reused for the
+ * turns it was written from
+ */
+export const fingerprintTurns = (turns) => hashString(
+  JSON.stringify(turns.map(({ role, content }) => [role, content]))
+);
+
+export class ContextManager {
+  constructor(modelManager) {
+    this.modelManager = modelManager;
+  }
+
+  /**
+   * Estimate the number of tokens in a text
+   * Uses the common ~4 characters per token rule, but never less than the
+   * word count, which keeps short words and code from being underestimated.
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+    const byCharacters = Math.ceil(text.length / 4);
+    const byWords = text.trim().split(/\s+/).length;
+    return Math.max(byCharacters, byWords);
+  }
+
+  /**
+   * Estimate the tokens used by a single { role, content } message
+   */
+  estimateMessageTokens(message) {
+    return MESSAGE_OVERHEAD_TOKENS + this.estimateTokens(message.content);
+  }
+
+  /**
+   * Estimate the tokens used by a conversation history
+   */
+  estimateHistoryTokens(messages) {
+    return messages.reduce((sum, message) => sum + this.estimateMessageTokens(message), 0);
+  }
+
+  /**
+   * Get the context window size and the part left for the prompt
+   * The response (maxTokens) needs room in the same window.
+   */
+  getBudget(modelId, maxTokens = 0) {
+    const limit = this.modelManager.getContextLimit(modelId);
+    const reserved = Math.min(maxTokens, Math.floor(limit / 2));
+
+    return {
+      limit,
+      reserved,
+      budget: limit - reserved
+    };
+  }
+
+  /**
+   * Trim a conversation history so it fits in the model's context window
+   *
+   * With the SUMMARIZE strategy the dropped turns are replaced by `summary`
+   * when it was written from them (or from the oldest of them). Otherwise,
+   * or when newer turns were dropped since, usage.needsSummary asks the
+   * caller for a new one.
+   *
+   * @param {array} messages - History in API format ({ role, content })
+   * @param {object} options - { modelId, maxTokens, strategy, keepLastN, summary }
+   *   where summary is { content, coveredTurns, fingerprint }
+   * @returns {object} { messages, dropped, usage } where usage is
+   *   { used, budget, limit, originalTokens, droppedMessages, summarized, needsSummary }
+   */
+  fitToContext(messages, {
+    modelId,
+    maxTokens = 0,
+    strategy = CONTEXT_STRATEGIES.DROP_OLDEST,
+    keepLastN = 10,
+    summary = null
+  } = {}) {
+    const { limit, budget } = this.getBudget(modelId, maxTokens);
+    const originalTokens = this.estimateHistoryTokens(messages);
+
+    const systemMessages = messages.filter(m => m.role === 'system');
+    let turns = messages.filter(m => m.role !== 'system');
+    let dropped = [];
+
+    if (strategy === CONTEXT_STRATEGIES.KEEP_LAST_N && turns.length > keepLastN) {
+      dropped = turns.slice(0, turns.length - keepLastN);
+      turns = turns.slice(turns.length - keepLastN);
+    }
+
+    const systemTokens = this.estimateHistoryTokens(systemMessages);
+    let turnTokens = this.estimateHistoryTokens(turns);
+
+    // Leave room for the summary note when older turns have to go
+    const summarize = strategy === CONTEXT_STRATEGIES.SUMMARIZE;
+    const summaryReserve = summarize && systemTokens + turnTokens > budget
+      ? Math.floor(budget * SUMMARY_BUDGET_SHARE)
+      : 0;
+
+    // Drop the oldest turns until the history fits, always keeping the latest one
+    while (turns.length > 1 && systemTokens + turnTokens > budget - summaryReserve) {
+      turnTokens -= this.estimateMessageTokens(turns[0]);
+      dropped.push(turns[0]);
+      turns = turns.slice(1);
+    }
+
+    let summaryMessage = null;
+    let needsSummary = false;
+    if (summarize && dropped.length > 0) {
+      const usable = this._isSummaryOf(summary, dropped);
+      if (usable) {
+        const note = { role: 'system', content: `${SUMMARY_HEADER}\n${summary.content}` };
+        if (this.estimateMessageTokens(note) <= budget - systemTokens - turnTokens) {
+          summaryMessage = note;
+        }
+      }
+      needsSummary = !usable || summary.coveredTurns < dropped.length;
+    }
+
+    const fitted = [
+      ...systemMessages,
+      ...(summaryMessage ? [summaryMessage] : []),
+      ...turns
+    ];
+
+    return {
+      messages: fitted,
+      dropped,
+      usage: {
+        used: this.estimateHistoryTokens(fitted),
+        budget,
+        limit,
+        originalTokens,
+        droppedMessages: dropped.length,
+        summarized: Boolean(summaryMessage),
+        needsSummary
+      }
+    };
+  }
+
+  /**
+   * Longest summary, in tokens, that fitToContext makes room for
+   * Used as the answer length when asking the model for one.
+   */
+  getSummaryBudget(modelId, maxTokens = 0) {
+    const { budget } = this.getBudget(modelId, maxTokens);
+    const header = this.estimateMessageTokens({ role: 'system', content: SUMMARY_HEADER });
+    return Math.max(0, Math.floor(budget * SUMMARY_BUDGET_SHARE) - header);
+  }
+
+  /**
+   * Whether `summary` was written from the first turns of `dropped`
+   * @private
+   */
+  _isSummaryOf(summary, dropped) {
+    return Boolean(summary)
+      && summary.coveredTurns > 0
+      && summary.coveredTurns <= dropped.length
+      && summary.fingerprint === fingerprintTurns(dropped.slice(0, summary.coveredTurns));
+  }
+}
@@ -0,0 +1,135 @@
+import { ContextManager, CONTEXT_STRATEGIES, fingerprintTurns } from './ContextManager';
+
+// Turn i of a conversation, about `tokens` estimated tokens long including overhead
+const turn = (i, tokens = 13) => ({
+  role: i % 2 ? 'assistant' : 'user',
+  content: `${i}`.padEnd((tokens - 4) * 4, '.')
+});
+const turns = (count, tokens) => Array.from({ length: count }, (_, i) => turn(i, tokens));
+const system = { role: 'system', content: 'Be brief, be kind.' }; // 9 tokens with overhead
+
+describe('ContextManager', () => {
+  const contextManager = new ContextManager({ getContextLimit: () => 100 });
+  const fitHistory = (messages, options) => contextManager.fitToContext(messages, { maxTokens: 40, ...options });
+
+  test('estimates tokens from characters, but at least one per word', () => {
+    expect(contextManager.estimateTokens('')).toBe(0);
+    expect(contextManager.estimateTokens(null)).toBe(0);
+    expect(contextManager.estimateTokens('x'.repeat(40))).toBe(10);
+    expect(contextManager.estimateTokens('a b c d e f')).toBe(6);
+    expect(contextManager.estimateMessageTokens({ role: 'user', content: 'x'.repeat(40) })).toBe(14);
+    expect(contextManager.estimateHistoryTokens([system, turn(0)])).toBe(22);
+  });
+
+  test('reserves room for the answer, up to half the context window', () => {
+    expect(contextManager.getBudget('any', 40)).toEqual({ limit: 100, reserved: 40, budget: 60 });
+    expect(contextManager.getBudget('any', 500)).toEqual({ limit: 100, reserved: 50, budget: 50 });
+    expect(contextManager.getBudget('any')).toEqual({ limit: 100, reserved: 0, budget: 100 });
+  });
+
+  test('leaves histories that fit unchanged', () => {
+    const history = [system, ...turns(3)];
+
+    expect(fitHistory(history)).toEqual({
+      messages: history,
+      dropped: [],
+      usage: {
+        used: 48,
+        budget: 60,
+        limit: 100,
+        originalTokens: 48,
+        droppedMessages: 0,
+        summarized: false,
+        needsSummary: false
+      }
+    });
+  });
+
+  test('drops the oldest turns and keeps the system prompt', () => {
+    const { messages, usage } = fitHistory([system, ...turns(6)]);
+
+    expect(messages).toEqual([system, ...turns(6).slice(3)]);
+    expect(usage).toMatchObject({ used: 48, originalTokens: 87, droppedMessages: 3 });
+    expect(usage.used).toBeLessThanOrEqual(usage.budget);
+  });
+
+  test('always keeps the latest turn, even when it is too long', () => {
+    const long = turn(1, 500);
+    const { messages, usage } = fitHistory([system, turn(0), long]);
+
+    expect(messages).toEqual([system, long]);
+    expect(usage.used).toBeGreaterThan(usage.budget);
+  });
+
+  test('keeps only the last N turns, and trims those too if needed', () => {
+    expect(fitHistory([system, ...turns(6)], { strategy: CONTEXT_STRATEGIES.KEEP_LAST_N, keepLastN: 2 }))
+      .toMatchObject({ messages: [system, turn(4), turn(5)], usage: { droppedMessages: 4 } });
+
+    expect(fitHistory([system, ...turns(6, 20)], { strategy: CONTEXT_STRATEGIES.KEEP_LAST_N, keepLastN: 4 }))
+      .toMatchObject({ messages: [system, turn(4, 20), turn(5, 20)], usage: { droppedMessages: 4 } });
+  });
+
+  describe('summaries of older turns', () => {
+    const wide = new ContextManager({ getContextLimit: () => 400 });
+    const fitWide = (messages, summary) => wide.fitToContext(messages, { strategy: CONTEXT_STRATEGIES.SUMMARIZE, summary });
+    // Leaves room for the summary: 7 of these turns have to go
+    const history = [system, ...turns(10, 80)];
+    const dropped = turns(10, 80).slice(0, 7);
+    const summaryOf = (covered, content = 'They planned a trip to Japan.') => ({
+      content,
+      coveredTurns: covered.length,
+      fingerprint: fingerprintTurns(covered)
+    });
+
+    test('asks for a summary of the dropped turns until there is one', () => {
+      const fitted = fitWide(history);
+
+      expect(fitted.messages).toEqual([system, ...turns(10, 80).slice(7)]);
+      expect(fitted.dropped).toEqual(dropped);
+      expect(fitted.usage).toMatchObject({ droppedMessages: 7, summarized: false, needsSummary: true });
+    });
+
+    test('replaces the dropped turns by a summary written from them', () => {
+      const { messages, usage } = fitWide(history, summaryOf(dropped));
+
+      expect(messages).toEqual([
+        system,
+        { role: 'system', content: 'Summary of the earlier conversation:\nThey planned a trip to Japan.' },
+        ...turns(10, 80).slice(7)
+      ]);
+      expect(usage).toMatchObject({ summarized: true, needsSummary: false });
+      expect(usage.used).toBeLessThanOrEqual(usage.budget);
+    });
+
+    test('keeps a summary of the oldest dropped turns but asks for the newer ones', () => {
+      const { usage } = fitWide(history, summaryOf(dropped.slice(0, 5)));
+
+      expect(usage).toMatchObject({ summarized: true, needsSummary: true });
+    });
+
+    test('ignores a summary of other turns, as after an edit', () => {
+      const edited = [{ role: 'user', content: 'Something else' }, ...dropped.slice(1)];
+      const { messages, usage } = fitWide(history, summaryOf(edited));
+
+      expect(messages).toHaveLength(4);
+      expect(usage).toMatchObject({ summarized: false, needsSummary: true });
+    });
+
+    test('has room for a summary as long as it asks the model for', () => {
+      const longest = 'x'.repeat(wide.getSummaryBudget() * 4);
+      const { usage } = fitWide(history, summaryOf(dropped, longest));
+
+      expect(usage.summarized).toBe(true);
+      expect(usage.used).toBeLessThanOrEqual(usage.budget);
+    });
+
+    test('adds nothing when no turn had to go', () => {
+      const short = [system, ...turns(3)];
+
+      expect(fitWide(short, summaryOf(dropped))).toMatchObject({
+        messages: short,
+        usage: { summarized: false, needsSummary: false }
+      });
+    });
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * ConversationSerializer - Converts sessions to and from export formats
+ *
+ * Formats:
+ * - json: every session with its full metadata (settings, branches, timestamps)
+ * - markdown: human readable transcript
+ * - jsonl: one `{ messages: [{ role, content }] }` object per line,
+ *   the OpenAI fine-tuning dataset layout
+ */
+
+import { hashString } from '../utils/hash';
+
+export const EXPORT_FORMATS = {
+  JSON: 'json',
+  MARKDOWN: 'markdown',
+  JSONL: 'jsonl'
+};
+
+const FORMAT_DETAILS = {
+  [EXPORT_FORMATS.JSON]: { extension: 'json', mimeType: 'application/json' },
+  [EXPORT_FORMATS.MARKDOWN]: { extension: 'md', mimeType: 'text/markdown' },
+  [EXPORT_FORMATS.JSONL]: { extension: 'jsonl', mimeType: 'application/jsonl' }
+};
+
+// Identifies files written by the JSON exporter
+const JSON_EXPORT_TYPE = 'pocketllm-sessions';
+
+// Section markers used in Markdown transcripts
+const MARKDOWN_ROLE_HEADINGS = {
+  system: '### ⚙️ System',
+  user: '### 🧑 User',
+  assistant: '### 🤖 Assistant'
+};
+
+const VALID_ROLES = ['system', 'user', 'assistant'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isDateString = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+export class ConversationSerializer {
+  /**
+   * Get file extension and MIME type for a format
+   */
+  getFormatDetails(format) {
+    const details = FORMAT_DETAILS[format];
+    if (!details) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    return details;
+  }
+
+  /**
+   * Display title of a session
+   */
+  getTitle(session) {
+    return session.title || `Session ${session.sessionId.slice(-8)}`;
+  }
+
+  /**
+   * Convert stored chat messages to { role, content } pairs
+   */
+  toRoleMessages(session) {
+    const roleMessages = [];
+    if (session.settings?.systemPrompt) {
+      roleMessages.push({ role: 'system', content: session.settings.systemPrompt });
+    }
+    (session.messages || []).forEach(msg => {
+      if (msg.isError) return;
+      roleMessages.push({
+        role: msg.type === 'USER' ? 'user' : 'assistant',
+        content: msg.content
+      });
+    });
+    return roleMessages;
+  }
+
+  /**
+   * Fingerprint of a conversation's content, used for duplicate detection
+   * The system prompt is included; IDs and timestamps are not.
+   */
+  fingerprint(roleMessages) {
+    const normalized = roleMessages
+      .map(m => `${m.role}\u0000${m.content.trim()}`)
+      .join('\u0001');
+    return hashString(normalized);
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+
+  /**
+   * Serialize sessions (with their messages loaded) into the given format
+   */
+  serialize(sessions, format) {
+    switch (format) {
+      case EXPORT_FORMATS.JSON:
+        return JSON.stringify({
+          type: JSON_EXPORT_TYPE,
+          version: 1,
+          exportedAt: new Date().toISOString(),
+          sessions: sessions.map(session => this._toJSONSession(session))
+        }, null, 2);
+      case EXPORT_FORMATS.MARKDOWN:
+        return sessions.map(session => this._toMarkdown(session)).join('\n\n---\n\n') + '\n';
+      case EXPORT_FORMATS.JSONL:
+        return sessions
+          .map(session => this.toRoleMessages(session))
+          .filter(messages => messages.some(m => m.role !== 'system'))
+          .map(messages => JSON.stringify({ messages }))
+          .join('\n') + '\n';
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * The exported fields of a session; trashed history and device state stay out
+   * @private
+   */
+  _toJSONSession(session) {
+    const exported = {
+      sessionId: session.sessionId,
+      title: session.title || null,
+      createdAt: session.createdAt || null,
+      lastAccessedAt: session.lastAccessedAt || null,
+      settings: session.settings || null,
+      messages: session.messages || []
+    };
+    if (session.messageTree) {
+      exported.messageTree = session.messageTree;
+    }
+    return exported;
+  }
+
+  /**
+   * @private
+   */
+  _toMarkdown(session) {
+    const lines = [`# ${this.getTitle(session)}`, ''];
+    if (session.createdAt) {
+      lines.push(`_Created: ${new Date(session.createdAt).toLocaleString()}_`, '');
+    }
+
+    this.toRoleMessages(session).forEach(message => {
+      lines.push(MARKDOWN_ROLE_HEADINGS[message.role], '', message.content.trim(), '');
+    });
+
+    return lines.join('\n').trim();
+  }
+
+  // ============================================
+  // IMPORT
+  // ============================================
+
+  /**
+   * Guess the format of an imported file from its name and content
+   */
+  detectFormat(text, filename = '') {
+    const extension = filename.split('.').pop().toLowerCase();
+    if (extension === 'jsonl') return EXPORT_FORMATS.JSONL;
+    if (extension === 'md' || extension === 'markdown') return EXPORT_FORMATS.MARKDOWN;
+    if (extension === 'json') return EXPORT_FORMATS.JSON;
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+      try {
+        JSON.parse(trimmed);
+        return EXPORT_FORMATS.JSON;
+      } catch (error) {
+        return EXPORT_FORMATS.JSONL;
+      }
+    }
+    return EXPORT_FORMATS.MARKDOWN;
+  }
+
+  /**
+   * Parse an exported file into importable conversations
+   * @returns {object} { conversations, errors } where each conversation is
+   *   { title, messages: [{ role, content }], settings, createdAt }
+   */
+  parse(text, format) {
+    switch (format) {
+      case EXPORT_FORMATS.JSON:
+        return this._parseJSON(text);
+      case EXPORT_FORMATS.MARKDOWN:
+        return this._parseMarkdown(text);
+      case EXPORT_FORMATS.JSONL:
+        return this._parseJSONL(text);
+      default:
+        throw new Error(`Unsupported import format: ${format}`);
+    }
+  }
+
+  /**
+   * Check a list of { role, content } messages
+   * @returns {string|null} Error description or null when valid
+   */
+  validateMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return 'conversation has no messages';
+    }
+    for (let i = 0; i < messages.length; i++) {
+      const message = messages[i];
+      if (!message || !VALID_ROLES.includes(message.role)) {
+        return `message ${i + 1} has an invalid role`;
+      }
+      if (typeof message.content !== 'string') {
+        return `message ${i + 1} has no text content`;
+      }
+    }
+    if (!messages.some(m => m.role !== 'system')) {
+      return 'conversation only contains a system prompt';
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+
+    const sessions = Array.isArray(data) ? data : data?.sessions;
+    if (!Array.isArray(sessions)) {
+      throw new Error('JSON file does not contain a list of sessions');
+    }
+
+    const conversations = [];
+    const errors = [];
+
+    sessions.forEach((session, index) => {
+      if (!isPlainObject(session)) {
+        errors.push(`Session ${index + 1}: not an object`);
+        return;
+      }
+
+      // Accept both full session exports and bare { messages: [{ role, content }] }
+      const isStored = Array.isArray(session.messages) &&
+        session.messages.every(isPlainObject) &&
+        session.messages.some(m => m.type);
+      const messages = isStored
+        ? this.toRoleMessages({ ...session, settings: null })
+        : session.messages;
+
+      const error = this.validateMessages(messages);
+      if (error) {
+        errors.push(`Session ${index + 1}: ${error}`);
+        return;
+      }
+
+      conversations.push({
+        title: typeof session.title === 'string' && session.title.trim() ? session.title : null,
+        messages: messages.map(({ role, content }) => ({ role, content })),
+        // Checked key by key when the session is created (SessionManager)
+        settings: isPlainObject(session.settings) ? session.settings : null,
+        createdAt: isDateString(session.createdAt) ? session.createdAt : null
+      });
+    });
+
+    return { conversations, errors };
+  }
+
+  /**
+   * @private
+   */
+  _parseJSONL(text) {
+    const conversations = [];
+    const errors = [];
+
+    text.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+
+      let data;
+      try {
+        data = JSON.parse(line);
+      } catch (error) {
+        errors.push(`Line ${index + 1}: invalid JSON`);
+        return;
+      }
+
+      const error = this.validateMessages(data?.messages);
+      if (error) {
+        errors.push(`Line ${index + 1}: ${error}`);
+        return;
+      }
+
+      conversations.push({
+        title: null,
+        messages: data.messages.map(({ role, content }) => ({ role, content })),
+        settings: null,
+        createdAt: null
+      });
+    });
+
+    return { conversations, errors };
+  }
+
+  /**
+   * @private
+   */
+  _parseMarkdown(text) {
+    const conversations = [];
+    const errors = [];
+    const headingToRole = Object.fromEntries(
+      Object.entries(MARKDOWN_ROLE_HEADINGS).map(([role, heading]) => [heading, role])
+    );
+
+    // Sessions are separated by a rule and start with a level-1 heading
+    const sections = text.replace(/\r\n?/g, '\n').split(/\n\n---\n\n(?=# )/).filter(section => section.trim());
+
+    sections.forEach((section, index) => {
+      const lines = section.trim().split('\n');
+      const title = lines[0].startsWith('# ') ? lines[0].slice(2).trim() : null;
+      const messages = [];
+      let current = null;
+
+      lines.slice(1).forEach(line => {
+        const role = headingToRole[line.trim()];
+        if (role) {
+          current = { role, lines: [] };
+          messages.push(current);
+        } else if (current) {
+          current.lines.push(line);
+        }
+      });
+
+      const parsed = messages.map(({ role, lines: body }) => ({
+        role,
+        content: body.join('\n').trim()
+      }));
+
+      const error = this.validateMessages(parsed);
+      if (error) {
+        errors.push(`Section ${index + 1}: ${error}`);
+        return;
+      }
+
+      conversations.push({ title, messages: parsed, settings: null, createdAt: null });
+    });
+
+    return { conversations, errors };
+  }
+}
@@ -0,0 +1,153 @@
+import { ConversationSerializer, EXPORT_FORMATS } from './ConversationSerializer';
+
+const session = {
+  sessionId: 'session_1700000000000_abcdefghi',
+  title: 'Capitals',
+  createdAt: '2024-01-02T03:04:05.000Z',
+  settings: { systemPrompt: 'Be brief.', temperature: 0.2 },
+  messages: [
+    { messageId: 'm1', type: 'USER', content: 'Capital of France?' },
+    { messageId: 'm2', type: 'ASSISTANT', content: 'Paris.\n\n```\ncode\n```' },
+    { messageId: 'm3', type: 'ASSISTANT', content: 'Model failed', isError: true },
+    { messageId: 'm4', type: 'USER', content: 'And Spain?' },
+    { messageId: 'm5', type: 'ASSISTANT', content: 'Madrid.' }
+  ]
+};
+
+const roleMessages = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'user', content: 'Capital of France?' },
+  { role: 'assistant', content: 'Paris.\n\n```\ncode\n```' },
+  { role: 'user', content: 'And Spain?' },
+  { role: 'assistant', content: 'Madrid.' }
+];
+
+describe('ConversationSerializer', () => {
+  const serializer = new ConversationSerializer();
+  const roundTrip = (format) => {
+    const text = serializer.serialize([session], format);
+    const filename = `export.${serializer.getFormatDetails(format).extension}`;
+    expect(serializer.detectFormat(text, filename)).toBe(format);
+    return serializer.parse(text, format);
+  };
+
+  test('round-trips sessions through JSON with their settings', () => {
+    const { conversations, errors } = roundTrip(EXPORT_FORMATS.JSON);
+
+    expect(errors).toEqual([]);
+    expect(conversations).toEqual([{
+      title: 'Capitals',
+      // The system prompt stays in the settings
+      messages: roleMessages.slice(1),
+      settings: session.settings,
+      createdAt: session.createdAt
+    }]);
+  });
+
+  test('exports the session fields, not trashed history or device state', () => {
+    const stored = {
+      ...session,
+      lastAccessedAt: '2024-01-03T00:00:00.000Z',
+      trashedHistory: [{ trashId: 'history_1', messages: [{ messageId: 'old', type: 'USER', content: 'Cleared' }] }],
+      deletedAt: null,
+      migratedTo: 'server_1'
+    };
+
+    const [exported] = JSON.parse(serializer.serialize([stored], EXPORT_FORMATS.JSON)).sessions;
+
+    expect(exported).toEqual({
+      sessionId: session.sessionId,
+      title: 'Capitals',
+      createdAt: session.createdAt,
+      lastAccessedAt: '2024-01-03T00:00:00.000Z',
+      settings: session.settings,
+      messages: session.messages
+    });
+  });
+
+  test('round-trips conversations through Markdown and JSONL', () => {
+    const markdown = roundTrip(EXPORT_FORMATS.MARKDOWN);
+    expect(markdown.errors).toEqual([]);
+    expect(markdown.conversations).toEqual([
+      { title: 'Capitals', messages: roleMessages, settings: null, createdAt: null }
+    ]);
+
+    const jsonl = roundTrip(EXPORT_FORMATS.JSONL);
+    expect(jsonl.errors).toEqual([]);
+    expect(jsonl.conversations).toEqual([
+      { title: null, messages: roleMessages, settings: null, createdAt: null }
+    ]);
+  });
+
+  test('keeps the same fingerprint across a round trip', () => {
+    const [conversation] = roundTrip(EXPORT_FORMATS.JSONL).conversations;
+
+    expect(serializer.fingerprint(conversation.messages))
+      .toBe(serializer.fingerprint(serializer.toRoleMessages(session)));
+  });
+
+  test('rejects JSON files that are not session lists', () => {
+    expect(() => serializer.parse('{"sessions": [', EXPORT_FORMATS.JSON)).toThrow('File is not valid JSON');
+    expect(() => serializer.parse('{"sessions": {}}', EXPORT_FORMATS.JSON))
+      .toThrow('JSON file does not contain a list of sessions');
+    expect(() => serializer.parse('null', EXPORT_FORMATS.JSON))
+      .toThrow('JSON file does not contain a list of sessions');
+  });
+
+  test('reports malformed sessions in a JSON file and keeps the valid ones', () => {
+    const text = JSON.stringify({
+      sessions: [
+        null,
+        [],
+        { messages: [] },
+        { messages: [{ role: 'robot', content: 'Hi' }] },
+        { messages: [{ role: 'user', content: 42 }] },
+        { messages: [{ role: 'system', content: 'Only a prompt' }] },
+        { messages: [null, { type: 'USER', content: 'Hi' }] },
+        {
+          title: 7,
+          createdAt: 'yesterday',
+          settings: ['not', 'settings'],
+          messages: [{ role: 'user', content: 'Hi', extra: true }]
+        }
+      ]
+    });
+
+    const { conversations, errors } = serializer.parse(text, EXPORT_FORMATS.JSON);
+
+    expect(errors).toEqual([
+      'Session 1: not an object',
+      'Session 2: not an object',
+      'Session 3: conversation has no messages',
+      'Session 4: message 1 has an invalid role',
+      'Session 5: message 1 has no text content',
+      'Session 6: conversation only contains a system prompt',
+      'Session 7: message 1 has an invalid role'
+    ]);
+    expect(conversations).toEqual([
+      { title: null, messages: [{ role: 'user', content: 'Hi' }], settings: null, createdAt: null }
+    ]);
+  });
+
+  test('reports malformed JSONL lines and keeps the valid ones', () => {
+    const text = [
+      '{"messages": [{"role": "user", "content": "Hi"}]}',
+      '',
+      '{"messages": [',
+      '{"messages": "Hi"}',
+      '[]',
+      '{"messages": [{"role": "user"}]}',
+      '{"messages": [{"role": "user", "content": "Bye"}, {"role": "assistant", "content": "Bye!"}]}'
+    ].join('\n');
+
+    const { conversations, errors } = serializer.parse(text, EXPORT_FORMATS.JSONL);
+
+    expect(errors).toEqual([
+      'Line 3: invalid JSON',
+      'Line 4: conversation has no messages',
+      'Line 5: conversation has no messages',
+      'Line 6: message 1 has no text content'
+    ]);
+    expect(conversations.map(conversation => conversation.messages.length)).toEqual([1, 2]);
+  });
+});
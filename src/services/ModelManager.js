@@ -2,11 +2,29 @@
  * ModelManager - Manages LLM model loading and configuration
  * Implements FR7: Model Management
  */
+
+// Model served by the backend by default
+export const DEFAULT_MODEL_ID = 'deepseek-r1:1.5b';
+
+// Context window assumed for models without a known limit (tokens)
+const DEFAULT_CONTEXT_LENGTH = 2048;
+
 export class ModelManager {
   constructor() {
     this.currentModel = null;
     this.isLoading = false;
     this.models = [
+      {
+        id: 'deepseek-r1:1.5b',
+        name: 'DeepSeek R1 1.5B',
+        size: 1100, // MB
+        quantization: 'Q4_K_M',
+        parameters: '1.5B',
+        source: 'https://huggingface.co/deepseek-ai/DeepSeek-R1-Distill-Qwen-1.5B',
+        memoryRequired: 2000, // MB
+        estimatedLatency: 2500, // ms
+        contextLength: 4096 // tokens
+      },
       {
         id: 'tinyllama-1.1b',
         name: 'TinyLLaMA 1.1B',
@@ -15,7 +33,8 @@ export class ModelManager {
         parameters: '1.1B',
         source: 'https://huggingface.co/TinyLlama/TinyLlama-1.1B-Chat-v1.0',
         memoryRequired: 1200, // MB
-        estimatedLatency: 2000 // ms
+        estimatedLatency: 2000, // ms
+        contextLength: 2048 // tokens
       },
       {
         id: 'phi-2',
@@ -25,7 +44,8 @@ export class ModelManager {
         parameters: '2.7B',
         source: 'https://huggingface.co/microsoft/phi-2',
         memoryRequired: 2500, // MB
-        estimatedLatency: 3000 // ms
+        estimatedLatency: 3000, // ms
+        contextLength: 2048 // tokens
       },
       {
         id: 'mistral-7b-mini',
@@ -35,7 +55,8 @@ export class ModelManager {
         parameters: '7B',
         source: 'https://huggingface.co/mistralai/Mistral-7B-Instruct-v0.1',
         memoryRequired: 5000, // MB
-        estimatedLatency: 4500 // ms
+        estimatedLatency: 4500, // ms
+        contextLength: 8192 // tokens
       }
     ];
 
@@ -57,6 +78,13 @@ export class ModelManager {
     return this.models.find(m => m.id === modelId);
   }
 
+  /**
+   * Get the context window of a model in tokens
+   */
+  getContextLimit(modelId) {
+    return this.getModel(modelId)?.contextLength || DEFAULT_CONTEXT_LENGTH;
+  }
+
   /**
    * Load a model (FR7)
    */
@@ -236,6 +264,7 @@ Model: ${model.name}
 Parameters: ${model.parameters}
 Size: ${(model.size / 1024).toFixed(2)}GB
 Quantization: ${model.quantization}
+Context Window: ${model.contextLength || DEFAULT_CONTEXT_LENGTH} tokens
 Memory Required: ${(model.memoryRequired / 1024).toFixed(2)}GB
 Est. Latency: ${model.estimatedLatency / 1000}s
 Source: ${model.source}
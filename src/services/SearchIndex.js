@@ -0,0 +1,227 @@
+/**
+ * SearchIndex - In-memory inverted index over session messages
+ * Used for local full-text search (guest sessions, and as a fallback
+ * when the backend search endpoint is unavailable)
+ */
+
+// Characters of context shown on each side of the first match
+const SNIPPET_CONTEXT = 60;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+export class SearchIndex {
+  constructor() {
+    this.terms = new Map(); // term -> Set of document keys
+    this.documents = new Map(); // document key -> { sessionId, messageId, content, timestamp, terms }
+    this.sessionDocuments = new Map(); // sessionId -> Set of document keys
+  }
+
+  /**
+   * Split text into lowercase search terms
+   */
+  tokenize(text) {
+    return (text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+  }
+
+  /**
+   * Index a single message
+   */
+  addMessage(sessionId, message) {
+    if (!message?.messageId || !message.content || message.isError) return;
+
+    const key = `${sessionId}:${message.messageId}`;
+    if (this.documents.has(key)) {
+      this._removeDocument(key);
+    }
+
+    const terms = new Set(this.tokenize(message.content));
+    this.documents.set(key, {
+      sessionId,
+      messageId: message.messageId,
+      content: message.content,
+      timestamp: message.timestamp,
+      terms
+    });
+
+    terms.forEach(term => {
+      if (!this.terms.has(term)) {
+        this.terms.set(term, new Set());
+      }
+      this.terms.get(term).add(key);
+    });
+
+    if (!this.sessionDocuments.has(sessionId)) {
+      this.sessionDocuments.set(sessionId, new Set());
+    }
+    this.sessionDocuments.get(sessionId).add(key);
+  }
+
+  /**
+   * Re-index every message of a session
+   */
+  indexSession(session) {
+    this.removeSession(session.sessionId);
+    (session.messages || []).forEach(message => this.addMessage(session.sessionId, message));
+  }
+
+  /**
+   * Remove all messages of a session from the index
+   */
+  removeSession(sessionId) {
+    const keys = this.sessionDocuments.get(sessionId);
+    if (!keys) return;
+
+    keys.forEach(key => this._removeDocument(key));
+    this.sessionDocuments.delete(sessionId);
+  }
+
+  /**
+   * Rebuild the whole index
+   */
+  rebuild(sessions) {
+    this.clear();
+    sessions.forEach(session => this.indexSession(session));
+  }
+
+  /**
+   * Remove everything from the index
+   */
+  clear() {
+    this.terms.clear();
+    this.documents.clear();
+    this.sessionDocuments.clear();
+  }
+
+  /**
+   * @private
+   */
+  _removeDocument(key) {
+    const doc = this.documents.get(key);
+    if (!doc) return;
+
+    doc.terms.forEach(term => {
+      const keys = this.terms.get(term);
+      if (!keys) return;
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.terms.delete(term);
+      }
+    });
+
+    this.documents.delete(key);
+    this.sessionDocuments.get(doc.sessionId)?.delete(key);
+  }
+
+  /**
+   * Find the document keys containing a term
+   * The last query term also matches as a prefix (search as you type)
+   * @private
+   */
+  _lookup(term, allowPrefix) {
+    const exact = this.terms.get(term);
+    if (!allowPrefix) {
+      return exact || new Set();
+    }
+
+    const matches = new Set(exact || []);
+    for (const [indexed, keys] of this.terms) {
+      if (indexed !== term && indexed.startsWith(term)) {
+        keys.forEach(key => matches.add(key));
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Search all indexed messages; every query term must match
+   * @returns {array} Results sorted by relevance:
+   *   [{ sessionId, messageId, snippet, highlights, score }]
+   */
+  search(query, { limit = 50 } = {}) {
+    const queryTerms = this.tokenize(query);
+    if (queryTerms.length === 0) return [];
+
+    // Intersect the postings of every term, smallest first
+    const postings = queryTerms
+      .map((term, index) => this._lookup(term, index === queryTerms.length - 1))
+      .sort((a, b) => a.size - b.size);
+
+    let candidates = Array.from(postings[0]);
+    for (let i = 1; i < postings.length; i++) {
+      candidates = candidates.filter(key => postings[i].has(key));
+    }
+
+    const phrase = query.trim().toLowerCase();
+
+    return candidates
+      .map(key => {
+        const doc = this.documents.get(key);
+        const lower = doc.content.toLowerCase();
+        let score = queryTerms.reduce((sum, term) => sum + (doc.terms.has(term) ? 2 : 1), 0);
+        if (lower.includes(phrase)) {
+          score += 5;
+        }
+
+        return {
+          sessionId: doc.sessionId,
+          messageId: doc.messageId,
+          timestamp: doc.timestamp,
+          score,
+          ...this.buildSnippet(doc.content, query)
+        };
+      })
+      .sort((a, b) => b.score - a.score || String(b.timestamp).localeCompare(String(a.timestamp)))
+      .slice(0, limit);
+  }
+
+  /**
+   * Cut a snippet around the first match and locate the query terms in it
+   * @returns {object} { snippet, highlights: [[start, end], ...] }
+   */
+  buildSnippet(content, query) {
+    const text = content.replace(/\s+/g, ' ').trim();
+    const ranges = this.highlightRanges(text, query);
+
+    const firstMatch = ranges.length > 0 ? ranges[0][0] : 0;
+    const start = Math.max(0, firstMatch - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, firstMatch + SNIPPET_CONTEXT * 2);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const snippet = prefix + text.slice(start, end) + suffix;
+    const offset = prefix.length - start;
+
+    return {
+      snippet,
+      highlights: ranges
+        .filter(([from, to]) => from >= start && to <= end)
+        .map(([from, to]) => [from + offset, to + offset])
+    };
+  }
+
+  /**
+   * Find [start, end) ranges of query terms in a text
+   * Works on snippets returned by the backend as well
+   */
+  highlightRanges(text, query) {
+    const queryTerms = this.tokenize(query);
+    if (queryTerms.length === 0) return [];
+
+    const lower = text.toLowerCase();
+    const ranges = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    let match;
+    while ((match = TOKEN_PATTERN.exec(lower)) !== null) {
+      const word = match[0];
+      const hit = queryTerms.find((term, index) => (
+        word === term || (index === queryTerms.length - 1 && word.startsWith(term))
+      ));
+      if (hit) {
+        ranges.push([match.index, match.index + hit.length]);
+      }
+    }
+
+    return ranges;
+  }
+}
@@ -0,0 +1,115 @@
+import { SearchIndex } from './SearchIndex';
+
+const message = (messageId, content, timestamp = '2024-01-01T00:00:00.000Z') => ({ messageId, content, timestamp });
+const found = (results) => results.map(result => `${result.sessionId}:${result.messageId}`);
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+  });
+
+  test('splits text into lowercase words and numbers', () => {
+    expect(index.tokenize('Hello, World! snake_case x2 — 3.14')).toEqual(['hello', 'world', 'snake_case', 'x2', '3', '14']);
+    expect(index.tokenize('Ünïcode Straße 東京')).toEqual(['ünïcode', 'straße', '東京']);
+    expect(index.tokenize('  ...  ')).toEqual([]);
+    expect(index.tokenize(null)).toEqual([]);
+  });
+
+  test('finds messages containing every query term', () => {
+    index.addMessage('s1', message('m1', 'Rust ownership rules'));
+    index.addMessage('s1', message('m2', 'Rust borrowing'));
+    index.addMessage('s2', message('m3', 'Ownership in Rust and C++'));
+
+    expect(found(index.search('rust ownership')).sort()).toEqual(['s1:m1', 's2:m3']);
+    expect(found(index.search('RUST borrowing'))).toEqual(['s1:m2']);
+    expect(index.search('python')).toEqual([]);
+    expect(index.search('  !? ')).toEqual([]);
+  });
+
+  test('matches the last query term as a prefix only', () => {
+    index.addMessage('s1', message('m1', 'typescript generics'));
+    index.addMessage('s1', message('m2', 'type inference'));
+
+    expect(found(index.search('type')).sort()).toEqual(['s1:m1', 's1:m2']);
+    expect(found(index.search('gen type'))).toEqual([]);
+    expect(found(index.search('generics type'))).toEqual(['s1:m1']);
+  });
+
+  test('updates the index when messages are added, changed or removed', () => {
+    index.addMessage('s1', message('m1', 'first draft'));
+    index.addMessage('s1', message('m1', 'final version'));
+    index.addMessage('s2', message('m2', 'final answer'));
+
+    expect(index.search('draft')).toEqual([]);
+    expect(found(index.search('final')).sort()).toEqual(['s1:m1', 's2:m2']);
+
+    index.removeSession('s1');
+    expect(found(index.search('final'))).toEqual(['s2:m2']);
+    expect(index.terms.has('version')).toBe(false);
+    expect(index.terms.has('draft')).toBe(false);
+
+    index.indexSession({ sessionId: 's2', messages: [message('m3', 'replacement')] });
+    expect(index.search('final')).toEqual([]);
+    expect(found(index.search('replacement'))).toEqual(['s2:m3']);
+
+    index.rebuild([{ sessionId: 's3', messages: [message('m4', 'rebuilt')] }]);
+    expect(index.search('replacement')).toEqual([]);
+    expect(found(index.search('rebuilt'))).toEqual(['s3:m4']);
+
+    index.clear();
+    expect(index.search('rebuilt')).toEqual([]);
+  });
+
+  test('skips failed answers and messages without text', () => {
+    index.addMessage('s1', { ...message('m1', 'model crashed'), isError: true });
+    index.addMessage('s1', message('m2', ''));
+    index.addMessage('s1', { content: 'no id' });
+
+    expect(index.documents.size).toBe(0);
+  });
+
+  test('ranks exact words above prefixes', () => {
+    index.addMessage('s1', message('prefix', 'cachet', '2024-01-02T00:00:00.000Z'));
+    index.addMessage('s1', message('exact', 'cache', '2024-01-01T00:00:00.000Z'));
+
+    expect(found(index.search('cache'))).toEqual(['s1:exact', 's1:prefix']);
+  });
+
+  test('ranks messages containing the whole query as typed first', () => {
+    index.addMessage('s1', message('words', 'the cache is warm', '2024-01-02T00:00:00.000Z'));
+    index.addMessage('s1', message('phrase', 'a warm cache', '2024-01-01T00:00:00.000Z'));
+
+    const results = index.search('warm cache');
+
+    expect(found(results)).toEqual(['s1:phrase', 's1:words']);
+    expect(results.map(result => result.score)).toEqual([9, 4]);
+  });
+
+  test('ranks equally relevant messages newest first and applies the limit', () => {
+    ['2024-01-01', '2024-01-03', '2024-01-02'].forEach((day, i) => {
+      index.addMessage('s1', message(`m${i}`, 'same text', `${day}T00:00:00.000Z`));
+    });
+
+    expect(found(index.search('text'))).toEqual(['s1:m1', 's1:m2', 's1:m0']);
+    expect(found(index.search('text', { limit: 1 }))).toEqual(['s1:m1']);
+  });
+
+  test('builds a snippet around the first match with highlight ranges', () => {
+    const content = `${'intro '.repeat(20)}the   Cache\nhit rate ${'tail '.repeat(40)}`;
+    index.addMessage('s1', message('m1', content));
+
+    const [{ snippet, highlights }] = index.search('cache hit');
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(highlights.map(([from, to]) => snippet.slice(from, to))).toEqual(['Cache', 'hit']);
+  });
+
+  test('highlights prefixes of the last term in any text', () => {
+    expect(index.highlightRanges('Caching cache CACHES', 'cach')).toEqual([[0, 4], [8, 12], [14, 18]]);
+    expect(index.highlightRanges('Caching cache', 'cach ing')).toEqual([]);
+    expect(index.highlightRanges('anything', '')).toEqual([]);
+  });
+});
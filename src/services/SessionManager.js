@@ -1,107 +1,218 @@
 /**
  * SessionManager - Client-side session manager that communicates with backend
- * Handles both authenticated users (Firebase) and guest users (localStorage)
+ * Handles both authenticated users (Firebase) and guest users. Sessions are
+ * persisted through a storage adapter (see services/storage): the account
+ * storage for signed-in users and the guest storage for guests.
  */
+
+import { DEFAULT_MODEL_ID } from './ModelManager';
+import { CONTEXT_STRATEGIES, fingerprintTurns } from './ContextManager';
+import { ConversationSerializer } from './ConversationSerializer';
+import { SearchIndex } from './SearchIndex';
+import { PROVIDERS } from './providers';
+import { createGuestStorage, createAccountStorage, isQuotaExceededError } from './storage';
+import { SYNC_EVENTS } from './TabSync';
+
+// Parent key used for the first message(s) of a branch tree
+const ROOT_NODE = '__root__';
+
+const copyJSON = (value) => JSON.parse(JSON.stringify(value));
+
+// Generation settings used when a session has not customised them
+export const DEFAULT_GENERATION_SETTINGS = {
+  systemPrompt: '',
+  temperature: 0.7,
+  topP: 1,
+  maxTokens: 1024,
+  stopSequences: [],
+  seed: null,
+  modelId: DEFAULT_MODEL_ID,
+  // Where inference runs, and the model name there (empty: modelId)
+  provider: PROVIDERS.POCKETLLM,
+  providerModel: '',
+  // Answer repeated requests from this device's cache; sampled ones only if opted in
+  localCache: false,
+  cacheSampled: false,
+  contextStrategy: CONTEXT_STRATEGIES.DROP_OLDEST,
+  keepLastN: 10,
+  modelTitles: false
+};
+
+// Longest automatically generated title
+const TITLE_MAX_LENGTH = 48;
+
+// Longest part of a single turn sent to the model for a context summary
+const SUMMARY_TURN_LENGTH = 2000;
+
+// Session fields that can be changed from the sidebar
+const METADATA_FIELDS = ['title', 'titleSource', 'pinned', 'archived'];
+
+// How long deleted sessions and cleared histories stay in the trash
+export const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trash IDs of deleted sessions; cleared histories have their own IDs
+const SESSION_TRASH_PREFIX = 'session:';
+
+// Rules for removing old sessions; null limits are not applied
+export const DEFAULT_RETENTION_POLICY = {
+  enabled: false,
+  maxAgeDays: null,
+  maxSessions: null,
+  keepPinned: true
+};
+
+// Guests keep their retention rules on this device
+const GUEST_RETENTION_KEY = 'guestRetentionPolicy';
+
 export class SessionManager {
-  constructor(apiService) {
+  constructor(
+    apiService,
+    guestStorage = createGuestStorage(),
+    tabSync = null,
+    accountStorage = createAccountStorage(apiService)
+  ) {
     this.apiService = apiService;
+    this.guestStorage = guestStorage;
+    this.accountStorage = accountStorage;
+    this.storageWarningCallbacks = [];
+    this.sessionChangeCallbacks = [];
+    this.userId = null;
+
+    // Keep sessions in sync with other tabs
+    this.tabSync = tabSync;
+    if (tabSync) {
+      tabSync.subscribe(event => this._applyRemoteEvent(event));
+    }
     this.sessions = new Map(); // Local cache for quick access
+    this.trashedSessions = new Map(); // Soft-deleted sessions, kept until restored or purged
+    this.retentionPolicy = { ...DEFAULT_RETENTION_POLICY };
     this.currentSessionId = null;
     this.isGuestMode = false;
+    this.serializer = new ConversationSerializer();
+    this.searchIndex = new SearchIndex(); // Local full-text index of loaded messages
+  }
+
+  /**
+   * Storage adapter for the current mode
+   */
+  get storage() {
+    return this.isGuestMode ? this.guestStorage : this.accountStorage;
   }
 
   /**
-   * Initialize - Load all sessions from backend (authenticated) or localStorage (guest)
+   * Initialize - Load all sessions from the account storage (authenticated) or guest storage (guest)
    */
   async initialize(userId, isGuest = false) {
     this.isGuestMode = isGuest;
-    
+    this.userId = userId;
+    this.sessions.clear();
+
+    let sessions;
     try {
-      if (isGuest) {
-        // Load guest sessions from localStorage
-        return this._loadGuestSessions();
-      } else {
-        // Load authenticated user sessions from backend
-        const sessions = await this.apiService.getUserSessions(userId);
-        
-        // Populate local cache
-        this.sessions.clear();
-        sessions.forEach(session => {
-          this.sessions.set(session.sessionId, session);
-        });
-        
-        return sessions;
-      }
+      sessions = await this._loadSessions(userId);
     } catch (error) {
-      console.error('Failed to initialize sessions:', error);
+      this._handleStorageError(error, 'load');
       return [];
     }
+
+    try {
+      await this.purgeExpiredTrash();
+    } catch (error) {
+      console.error('Failed to empty expired trash:', error);
+    }
+
+    await this._loadRetentionPolicy();
+    return sessions;
   }
 
   /**
-   * Load guest sessions from localStorage
+   * Replace the local cache with the sessions in storage
    * @private
    */
-  _loadGuestSessions() {
-    try {
-      const stored = localStorage.getItem('guestSessions');
-      if (stored) {
-        const sessions = JSON.parse(stored);
-        this.sessions.clear();
-        sessions.forEach(session => {
-          this.sessions.set(session.sessionId, session);
-        });
-        return sessions;
+  async _loadSessions(userId) {
+    // Guest sessions already uploaded to an account stay hidden
+    const stored = (await this.storage.loadSessions(userId)).filter(session => !session.migratedTo);
+    const sessions = stored.filter(session => !session.deletedAt);
+
+    this.sessions.clear();
+    this.trashedSessions.clear();
+    stored.forEach(session => {
+      // Stored branched sessions hold every version; show the active one
+      if (session.messageTree) {
+        session.messages = this._getActivePath(session.messageTree);
       }
-    } catch (error) {
-      console.error('Failed to load guest sessions:', error);
-    }
-    return [];
+      (session.deletedAt ? this.trashedSessions : this.sessions).set(session.sessionId, session);
+    });
+    this.searchIndex.rebuild(sessions);
+    return sessions;
   }
 
   /**
-   * Save guest sessions to localStorage
+   * Run a storage write in the background
+   * Failures are reported to storage warning listeners.
    * @private
    */
-  _saveGuestSessions() {
-    if (!this.isGuestMode) return;
-    
-    try {
-      const sessions = Array.from(this.sessions.values());
-      localStorage.setItem('guestSessions', JSON.stringify(sessions));
-    } catch (error) {
-      console.error('Failed to save guest sessions:', error);
-    }
+  _persist(operation, write) {
+    write(this.storage).catch(error => this._handleStorageError(error, operation));
+  }
+
+  /**
+   * Log a storage failure and tell the UI about it
+   * @private
+   */
+  _handleStorageError(error, operation) {
+    console.error(`Failed to ${operation} sessions:`, error);
+
+    const where = this.storage.capabilities.local ? 'on this device' : 'to your account';
+    const warning = isQuotaExceededError(error)
+      ? {
+        type: 'quota',
+        message: this.isGuestMode
+          ? 'Browser storage is full. New messages are not being saved on this device. Delete or export old chats, or sign in to save them to your account.'
+          : 'Browser storage is full. New messages are not being saved on this device. Delete or export old chats.'
+      }
+      : {
+        type: 'error',
+        message: `Could not ${operation} your chats ${where}: ${error.message}`
+      };
+
+    this.storageWarningCallbacks.forEach(callback => callback(warning));
+  }
+
+  /**
+   * Listen for storage problems (e.g. quota exceeded)
+   * @returns {function} Unsubscribe function
+   */
+  onStorageWarning(callback) {
+    this.storageWarningCallbacks.push(callback);
+
+    return () => {
+      this.storageWarningCallbacks = this.storageWarningCallbacks.filter(cb => cb !== callback);
+    };
   }
 
   /**
-   * Create a new session - calls backend API for authenticated users or localStorage for guests
+   * Create a new session in the current storage
+   * Server backends assign their own session ID.
    */
   async createSession(userId) {
     try {
-      if (this.isGuestMode) {
-        // Create guest session locally
-        const session = {
-          sessionId: `guest_session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          userId: userId,
-          messages: [],
-          createdAt: new Date().toISOString(),
-          lastAccessedAt: new Date().toISOString()
-        };
-        
-        this.sessions.set(session.sessionId, session);
-        this._saveGuestSessions();
-        
-        return session;
-      } else {
-        // Create session via backend
-        const session = await this.apiService.createSession(userId);
-        
-        // Add to local cache
-        this.sessions.set(session.sessionId, session);
-        
-        return session;
-      }
+      const now = new Date().toISOString();
+      const session = await this.storage.createSession(userId, {
+        sessionId: `${this.isGuestMode ? 'guest_session' : 'session'}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        userId: userId,
+        messages: [],
+        settings: { ...DEFAULT_GENERATION_SETTINGS },
+        createdAt: now,
+        lastAccessedAt: now
+      });
+
+      // Add to local cache
+      this.sessions.set(session.sessionId, session);
+      this._broadcast(SYNC_EVENTS.SESSION_CREATED, { session });
+
+      return session;
     } catch (error) {
       console.error('Failed to create session:', error);
       throw error;
@@ -110,28 +221,25 @@ export class SessionManager {
 
   /**
    * Get a specific session by ID
-   * First checks local cache, then fetches from backend if not found (authenticated only)
+   * First checks local cache, then loads it from storage
    */
   async getSession(sessionId) {
     // Check local cache first
     if (this.sessions.has(sessionId)) {
       return this.sessions.get(sessionId);
     }
-    
-    // For guest mode, only use cache
-    if (this.isGuestMode) {
-      return null;
-    }
-    
-    // Not in cache, fetch from backend (authenticated users only)
+
     try {
-      const session = await this.apiService.getSession(sessionId);
-      
+      const session = await this.storage.loadSession(this.userId, sessionId);
+
       if (session) {
+        if (session.messageTree) {
+          session.messages = this._getActivePath(session.messageTree);
+        }
         // Update local cache
         this.sessions.set(sessionId, session);
       }
-      
+
       return session;
     } catch (error) {
       console.error('Failed to get session:', error);
@@ -147,24 +255,11 @@ export class SessionManager {
   }
 
   /**
-   * Refresh all sessions from backend (authenticated users only)
+   * Reload all sessions from storage (picks up changes made elsewhere)
    */
   async refreshSessions(userId) {
-    if (this.isGuestMode) {
-      // For guest mode, just return current sessions
-      return this.getAllSessions();
-    }
-    
     try {
-      const sessions = await this.apiService.getUserSessions(userId);
-      
-      // Update local cache
-      this.sessions.clear();
-      sessions.forEach(session => {
-        this.sessions.set(session.sessionId, session);
-      });
-      
-      return sessions;
+      return await this._loadSessions(userId);
     } catch (error) {
       console.error('Failed to refresh sessions:', error);
       return this.getAllSessions(); // Return cached sessions on error
@@ -172,9 +267,8 @@ export class SessionManager {
   }
 
   /**
-   * Add a message to a session locally
-   * For authenticated users: messages are saved to backend by APIService.sendInferenceRequest
-   * For guest users: messages are saved to localStorage
+   * Add a message to a session locally and save it to storage
+   * The REST backend saves inference messages itself and only gets the branch tree.
    */
   addMessageLocally(sessionId, message) {
     const session = this.sessions.get(sessionId);
@@ -182,40 +276,229 @@ export class SessionManager {
       if (!session.messages) {
         session.messages = [];
       }
+      // Keep the branch tree in sync once the session has one
+      if (session.messageTree) {
+        const parentId = session.messages.length > 0
+          ? session.messages[session.messages.length - 1].messageId
+          : ROOT_NODE;
+        this._addTreeNode(session.messageTree, parentId, message);
+      }
+
       // Create new array to avoid mutation
       session.messages = [...session.messages, message];
       session.lastAccessedAt = new Date().toISOString();
+      this.searchIndex.addMessage(sessionId, message);
       
-      // Save to localStorage for guest users
-      if (this.isGuestMode) {
-        this._saveGuestSessions();
+      this._persist('save', storage => storage.appendMessage(this.userId, session, message));
+      this._broadcast(SYNC_EVENTS.MESSAGE_ADDED, { session, messageId: message.messageId });
+    }
+  }
+
+  // ============================================
+  // BRANCH HISTORY
+  // ============================================
+
+  /**
+   * Build a branch tree from the linear message list
+   * The tree is only created once a session gets its first alternative
+   * @private
+   */
+  _ensureMessageTree(session) {
+    if (session.messageTree) return session.messageTree;
+
+    const tree = {
+      nodes: {
+        [ROOT_NODE]: { parentId: null, children: [], activeChild: null }
+      }
+    };
+
+    let parentId = ROOT_NODE;
+    (session.messages || []).forEach(message => {
+      this._addTreeNode(tree, parentId, message);
+      parentId = message.messageId;
+    });
+
+    session.messageTree = tree;
+    return tree;
+  }
+
+  /**
+   * Add a message under a parent node and make it the active child
+   * @private
+   */
+  _addTreeNode(tree, parentId, message) {
+    const resolvedParentId = tree.nodes[parentId] ? parentId : ROOT_NODE;
+    const parent = tree.nodes[resolvedParentId];
+    tree.nodes[message.messageId] = {
+      message,
+      parentId: resolvedParentId,
+      children: [],
+      activeChild: null
+    };
+    parent.children = [...parent.children, message.messageId];
+    parent.activeChild = message.messageId;
+  }
+
+  /**
+   * Follow the active children from the root to get the visible conversation
+   * @private
+   */
+  _getActivePath(tree) {
+    const path = [];
+    let node = tree.nodes[ROOT_NODE];
+
+    while (node && node.children.length > 0) {
+      const nextId = node.activeChild || node.children[node.children.length - 1];
+      node = tree.nodes[nextId];
+      if (node) {
+        path.push(node.message);
       }
     }
+
+    return path;
+  }
+
+  /**
+   * Persist the branch tree (and the message that was added to it, if any)
+   * @private
+   */
+  _persistMessageTree(session, newMessage = null) {
+    this._persist('save', storage => (
+      newMessage
+        ? storage.appendMessage(this.userId, session, newMessage)
+        : storage.updateSession(this.userId, session, { messageTree: session.messageTree })
+    ));
+  }
+
+  /**
+   * Add an alternative version of a message (regenerate / edit)
+   * The new message becomes a sibling of `siblingMessageId`, everything after
+   * the old version stays in its own branch.
+   * @returns {array} The new active conversation path
+   */
+  addBranch(sessionId, siblingMessageId, message) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return [];
+
+    const tree = this._ensureMessageTree(session);
+    const sibling = tree.nodes[siblingMessageId];
+    const parentId = sibling ? sibling.parentId : ROOT_NODE;
+
+    this._addTreeNode(tree, parentId, message);
+    session.messages = this._getActivePath(tree);
+    session.lastAccessedAt = new Date().toISOString();
+    this.searchIndex.indexSession(session);
+    this._persistMessageTree(session, message);
+    this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+
+    return [...session.messages];
+  }
+
+  /**
+   * Switch to a neighbouring version of a message
+   * @param {number} offset - -1 for the previous version, 1 for the next one
+   * @returns {array} The new active conversation path
+   */
+  switchBranch(sessionId, messageId, offset) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.messageTree) {
+      return session ? [...(session.messages || [])] : [];
+    }
+
+    const tree = session.messageTree;
+    const node = tree.nodes[messageId];
+    const parent = node && tree.nodes[node.parentId];
+    if (!parent) return [...session.messages];
+
+    const index = parent.children.indexOf(messageId) + offset;
+    if (index < 0 || index >= parent.children.length) {
+      return [...session.messages];
+    }
+
+    parent.activeChild = parent.children[index];
+    session.messages = this._getActivePath(tree);
+    session.lastAccessedAt = new Date().toISOString();
+    this.searchIndex.indexSession(session);
+    this._persistMessageTree(session);
+    this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+
+    return [...session.messages];
+  }
+
+  /**
+   * Get the position of a message among its alternative versions
+   * @returns {object} { index, total } with a zero-based index
+   */
+  getBranchInfo(sessionId, messageId) {
+    const tree = this.sessions.get(sessionId)?.messageTree;
+    const node = tree?.nodes[messageId];
+    const parent = node && tree.nodes[node.parentId];
+
+    if (!parent) {
+      return { index: 0, total: 1 };
+    }
+
+    return {
+      index: parent.children.indexOf(messageId),
+      total: parent.children.length
+    };
+  }
+
+  /**
+   * Get the generation settings of a session, filled in with defaults
+   */
+  getSessionSettings(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return {
+      ...DEFAULT_GENERATION_SETTINGS,
+      ...(session?.settings || {})
+    };
+  }
+
+  /**
+   * Update the generation settings of a session and save them to storage
+   */
+  async updateSessionSettings(sessionId, settings) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    const updated = {
+      ...this.getSessionSettings(sessionId),
+      ...settings
+    };
+
+    try {
+      await this._saveSessionChanges(session, { settings: updated });
+      this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+      return updated;
+    } catch (error) {
+      console.error('Failed to update session settings:', error);
+      throw error;
+    }
   }
 
   /**
    * Get all messages in a session
-   * First checks local cache, then fetches from backend if needed (authenticated only)
+   * First checks local cache, then loads them from storage
    */
   async getMessages(userId, sessionId) {
     const session = this.sessions.get(sessionId);
+    if (session && session.messageTree) {
+      // The branch tree decides which version of each message is shown
+      session.messages = this._getActivePath(session.messageTree);
+    }
     if (session && session.messages) {
       // Return a copy to prevent mutation issues
       return [...session.messages];
     }
     
-    // For guest mode, only use cache
-    if (this.isGuestMode) {
-      return [];
-    }
-    
-    // Fetch from backend if not in cache (authenticated users only)
     try {
-      const messages = await this.apiService.getSessionMessages(userId, sessionId);
+      const messages = await this.storage.loadMessages(userId, sessionId);
       
       // Update local cache
       if (session) {
         session.messages = messages;
+        this.searchIndex.indexSession(session);
       }
       
       return [...messages]; // Return a copy
@@ -227,33 +510,21 @@ export class SessionManager {
 
   /**
    * Clear all messages in a session
-   * For authenticated users: calls backend API
-   * For guest users: updates localStorage
    */
   async clearHistory(sessionId) {
     try {
-      if (this.isGuestMode) {
-        // Clear messages in guest session
-        const session = this.sessions.get(sessionId);
-        if (session) {
-          session.messages = [];
-          session.lastAccessedAt = new Date().toISOString();
-          this._saveGuestSessions();
-        }
-        return true;
-      } else {
-        // Call backend API for authenticated users
-        await this.apiService.clearSessionHistory(sessionId);
-        
+      const session = this.sessions.get(sessionId);
+      if (session) {
+        await this.storage.clearMessages(this.userId, session);
+
         // Update local cache
-        const session = this.sessions.get(sessionId);
-        if (session) {
-          session.messages = [];
-          session.lastAccessedAt = new Date().toISOString();
-        }
-        
-        return true;
+        session.messages = [];
+        delete session.messageTree;
+        session.lastAccessedAt = new Date().toISOString();
+        this.searchIndex.removeSession(sessionId);
+        this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
       }
+      return true;
     } catch (error) {
       console.error('Failed to clear history:', error);
       return false;
@@ -262,25 +533,17 @@ export class SessionManager {
 
   /**
    * Delete a session
-   * For authenticated users: calls backend API
-   * For guest users: updates localStorage
    */
   async deleteSession(userId, sessionId) {
     try {
-      if (this.isGuestMode) {
-        // Delete from guest sessions
-        this.sessions.delete(sessionId);
-        this._saveGuestSessions();
-        return true;
-      } else {
-        // Call backend API for authenticated users
-        await this.apiService.deleteSession(userId, sessionId);
-        
-        // Remove from local cache
-        this.sessions.delete(sessionId);
-        
-        return true;
-      }
+      await this.storage.deleteSession(userId, sessionId);
+
+      // Remove from local cache
+      this.sessions.delete(sessionId);
+      this.searchIndex.removeSession(sessionId);
+      this._broadcast(SYNC_EVENTS.SESSION_DELETED, { sessionId });
+
+      return true;
     } catch (error) {
       console.error('Failed to delete session:', error);
       return false;
@@ -288,44 +551,1294 @@ export class SessionManager {
   }
 
   /**
-   * Get session statistics
+   * Save changed session fields, then apply them to the cached session
+   * The session is only changed locally once storage accepted the change.
+   * @param {boolean} options.touch - Count the change as a use of the session
+   * @private
    */
-  getSessionStats() {
-    const sessions = this.getAllSessions();
-    const totalMessages = sessions.reduce((sum, s) => sum + (s.messages?.length || 0), 0);
-    
-    return {
-      totalSessions: sessions.length,
-      totalMessages: totalMessages,
-      avgMessagesPerSession: sessions.length > 0 ? (totalMessages / sessions.length).toFixed(2) : 0,
-      isGuestMode: this.isGuestMode
-    };
+  async _saveSessionChanges(session, changes, { touch = true } = {}) {
+    const lastAccessedAt = touch ? new Date().toISOString() : session.lastAccessedAt;
+    await this.storage.updateSession(this.userId, { ...session, ...changes, lastAccessedAt }, changes);
+    Object.assign(session, changes, { lastAccessedAt });
+  }
+
+  // ============================================
+  // FORKS
+  // ============================================
+
+  /**
+   * Start a new session from a point in an existing one
+   * Copies the visible history up to and including `messageId`, and the
+   * session's generation settings. The fork links back to its parent.
+   * @returns {Promise<object>} The new session
+   */
+  async forkSession(sessionId, messageId) {
+    const parent = this.sessions.get(sessionId);
+    if (!parent) {
+      throw new Error('Session not found');
+    }
+
+    const history = await this.getMessages(this.userId, sessionId);
+    const index = history.findIndex(message => message.messageId === messageId);
+    if (index < 0) {
+      throw new Error('Message not found in the current conversation');
+    }
+
+    const session = await this.createSession(this.userId);
+    // Deep copies: the fork must not change when the parent does
+    const messages = copyJSON(history
+      .slice(0, index + 1)
+      .filter(message => !message.isError));
+
+    try {
+      await this.storage.replaceMessages(this.userId, { ...session, messages });
+      session.messages = messages;
+      await this._saveSessionChanges(session, {
+        title: `${this.serializer.getTitle(parent)} (fork)`,
+        titleSource: 'auto',
+        settings: copyJSON(this.getSessionSettings(sessionId)),
+        parentSessionId: sessionId,
+        forkedFromMessageId: messageId
+      });
+    } catch (error) {
+      console.error('Failed to fork session:', error);
+      // Don't leave an empty copy behind
+      this.sessions.delete(session.sessionId);
+      this.storage.deleteSession(this.userId, session.sessionId)
+        .catch(cleanupError => console.error('Failed to remove incomplete session:', cleanupError));
+      throw error;
+    }
+
+    this.searchIndex.indexSession(session);
+    this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+    return session;
   }
 
   /**
-   * Set current session
+   * Ancestors of a forked session, oldest first
+   * Parents that were deleted are included with `deleted: true`.
+   * @returns {array} [{ sessionId, title, deleted }]
    */
-  setCurrentSession(sessionId) {
-    this.currentSessionId = sessionId;
+  getSessionLineage(sessionId) {
+    const lineage = [];
+    const seen = new Set([sessionId]);
+    let parentId = this.sessions.get(sessionId)?.parentSessionId;
+
+    while (parentId && !seen.has(parentId)) {
+      seen.add(parentId);
+      const parent = this.sessions.get(parentId) || this.trashedSessions.get(parentId);
+      lineage.unshift({
+        sessionId: parentId,
+        title: parent ? this.serializer.getTitle(parent) : 'Deleted session',
+        deleted: !this.sessions.has(parentId)
+      });
+      parentId = parent?.parentSessionId;
+    }
+
+    return lineage;
   }
 
+  // ============================================
+  // TRASH
+  // ============================================
+
   /**
-   * Get current session ID
+   * Move a session to the trash instead of deleting it
+   * It disappears from the session list and can be restored until it expires.
+   * @returns {Promise<object|null>} The trash item
    */
-  getCurrentSessionId() {
-    return this.currentSessionId;
+  async trashSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    try {
+      // Not a use of the session: it keeps its place in the list when restored
+      await this._saveSessionChanges(session, { deletedAt: new Date().toISOString() }, { touch: false });
+    } catch (error) {
+      console.error('Failed to move session to trash:', error);
+      throw error;
+    }
+
+    this.sessions.delete(sessionId);
+    this.trashedSessions.set(sessionId, session);
+    this.searchIndex.removeSession(sessionId);
+    this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+
+    return this._sessionTrashItem(session);
   }
 
   /**
-   * Clear local cache (use when logging out)
+   * Clear a session's messages, keeping them in the trash
+   * @returns {Promise<object|null>} The trash item, or null if there was nothing to clear
    */
-  clearCache() {
-    this.sessions.clear();
-    this.currentSessionId = null;
-    
-    // Clear guest sessions from localStorage
-    if (this.isGuestMode) {
-      localStorage.removeItem('guestSessions');
+  async trashHistory(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.messages?.length) return null;
+
+    const entry = {
+      trashId: `history_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      messages: session.messages,
+      messageTree: session.messageTree || null,
+      deletedAt: new Date().toISOString()
+    };
+
+    try {
+      // Keep the copy before removing the messages, so a failure loses nothing
+      await this._saveSessionChanges(session, {
+        trashedHistory: [...(session.trashedHistory || []), entry]
+      });
+      await this.storage.clearMessages(this.userId, session);
+    } catch (error) {
+      console.error('Failed to move history to trash:', error);
+      throw error;
+    }
+
+    session.messages = [];
+    delete session.messageTree;
+    this.searchIndex.removeSession(sessionId);
+    this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+
+    return this._historyTrashItem(session, entry);
+  }
+
+  /**
+   * Everything in the trash, most recently deleted first
+   * @returns {array} [{ trashId, type: 'session'|'history', sessionId, title,
+   *   messageCount, deletedAt, expiresAt }]
+   */
+  getTrash() {
+    const items = [
+      ...Array.from(this.trashedSessions.values()).map(session => this._sessionTrashItem(session)),
+      ...this.getAllSessions().flatMap(session => (
+        (session.trashedHistory || []).map(entry => this._historyTrashItem(session, entry))
+      ))
+    ];
+
+    return items.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  }
+
+  /**
+   * Put a trashed session or history back
+   * A cleared history goes back into its session if the session is still
+   * empty, otherwise into a new session next to it.
+   * @returns {Promise<string|null>} ID of the session holding the restored messages
+   */
+  async restoreFromTrash(trashId) {
+    const trashed = this._findTrashed(trashId);
+    if (!trashed) return null;
+
+    try {
+      if (!trashed.entry) {
+        const { session } = trashed;
+        await this._saveSessionChanges(session, { deletedAt: null }, { touch: false });
+        this.trashedSessions.delete(session.sessionId);
+        this.sessions.set(session.sessionId, session);
+        this.searchIndex.indexSession(session);
+        this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+        return session.sessionId;
+      }
+
+      const { session, entry } = trashed;
+      const target = session.messages?.length
+        ? await this.createSession(this.userId)
+        : session;
+
+      if (target !== session) {
+        await this._saveSessionChanges(target, {
+          title: `${this.serializer.getTitle(session)} (restored)`,
+          settings: session.settings || { ...DEFAULT_GENERATION_SETTINGS }
+        });
+      }
+
+      const restored = { ...target, messages: entry.messages };
+      if (entry.messageTree) {
+        restored.messageTree = entry.messageTree;
+      }
+      await this.storage.replaceMessages(this.userId, restored);
+      Object.assign(target, restored);
+      this.searchIndex.indexSession(target);
+
+      await this._saveSessionChanges(session, {
+        trashedHistory: session.trashedHistory.filter(item => item.trashId !== trashId)
+      });
+      this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session: target });
+      if (target !== session) {
+        this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+      }
+      return target.sessionId;
+    } catch (error) {
+      console.error('Failed to restore from trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a trashed session or history for good
+   */
+  async purgeFromTrash(trashId) {
+    const trashed = this._findTrashed(trashId);
+    if (!trashed) return false;
+
+    const { session, entry } = trashed;
+    try {
+      if (!entry) {
+        await this.storage.deleteSession(this.userId, session.sessionId);
+        this.trashedSessions.delete(session.sessionId);
+        this._broadcast(SYNC_EVENTS.SESSION_DELETED, { sessionId: session.sessionId });
+      } else {
+        await this._saveSessionChanges(session, {
+          trashedHistory: session.trashedHistory.filter(item => item.trashId !== trashId)
+        });
+        this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to delete from trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete everything in the trash for good
+   * @returns {Promise<number>} Number of items deleted
+   */
+  async emptyTrash() {
+    const items = this.getTrash();
+    for (const item of items) {
+      await this.purgeFromTrash(item.trashId);
+    }
+    return items.length;
+  }
+
+  /**
+   * Delete trash items older than the retention period
+   * @returns {Promise<number>} Number of items deleted
+   */
+  async purgeExpiredTrash(now = Date.now()) {
+    const expired = this.getTrash().filter(item => new Date(item.expiresAt).getTime() <= now);
+    for (const item of expired) {
+      await this.purgeFromTrash(item.trashId);
+    }
+    return expired.length;
+  }
+
+  /**
+   * @returns {object|null} { session, entry } where entry is set for cleared histories
+   * @private
+   */
+  _findTrashed(trashId) {
+    if (trashId.startsWith(SESSION_TRASH_PREFIX)) {
+      const session = this.trashedSessions.get(trashId.slice(SESSION_TRASH_PREFIX.length));
+      return session ? { session, entry: null } : null;
+    }
+
+    for (const session of this.sessions.values()) {
+      const entry = (session.trashedHistory || []).find(item => item.trashId === trashId);
+      if (entry) return { session, entry };
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _sessionTrashItem(session) {
+    return {
+      trashId: `${SESSION_TRASH_PREFIX}${session.sessionId}`,
+      type: 'session',
+      sessionId: session.sessionId,
+      title: this.serializer.getTitle(session),
+      messageCount: session.messages?.length || 0,
+      deletedAt: session.deletedAt,
+      expiresAt: this._trashExpiry(session.deletedAt)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _historyTrashItem(session, entry) {
+    return {
+      trashId: entry.trashId,
+      type: 'history',
+      sessionId: session.sessionId,
+      title: this.serializer.getTitle(session),
+      messageCount: entry.messages.length,
+      deletedAt: entry.deletedAt,
+      expiresAt: this._trashExpiry(entry.deletedAt)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _trashExpiry(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+  }
+
+  // ============================================
+  // RETENTION
+  // ============================================
+
+  /**
+   * Read the retention rules of the current user
+   * Guests: from this device. Signed-in users: from their profile.
+   * @private
+   */
+  async _loadRetentionPolicy() {
+    try {
+      let stored;
+      if (this.isGuestMode) {
+        stored = JSON.parse(localStorage.getItem(GUEST_RETENTION_KEY) || 'null');
+      } else {
+        const profile = await this.apiService.getUserProfile();
+        stored = profile?.retentionPolicy;
+      }
+      this.retentionPolicy = this._normalizeRetentionPolicy(stored);
+    } catch (error) {
+      console.error('Failed to load retention rules:', error);
+      this.retentionPolicy = { ...DEFAULT_RETENTION_POLICY };
+    }
+    return this.retentionPolicy;
+  }
+
+  /**
+   * @private
+   */
+  _normalizeRetentionPolicy(policy) {
+    const limit = (value) => {
+      const number = parseInt(value, 10);
+      return Number.isFinite(number) && number > 0 ? number : null;
+    };
+
+    return {
+      enabled: Boolean(policy?.enabled),
+      maxAgeDays: limit(policy?.maxAgeDays),
+      maxSessions: limit(policy?.maxSessions),
+      keepPinned: policy?.keepPinned !== false
+    };
+  }
+
+  getRetentionPolicy() {
+    return { ...this.retentionPolicy };
+  }
+
+  /**
+   * Save the retention rules of the current user
+   * Guests: on this device. Signed-in users: in their profile.
+   */
+  async setRetentionPolicy(policy) {
+    const normalized = this._normalizeRetentionPolicy(policy);
+
+    try {
+      if (this.isGuestMode) {
+        localStorage.setItem(GUEST_RETENTION_KEY, JSON.stringify(normalized));
+      } else {
+        await this.apiService.updateUserProfile({ retentionPolicy: normalized });
+      }
+      this.retentionPolicy = normalized;
+      return normalized;
+    } catch (error) {
+      console.error('Failed to save retention rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Dry run: list the sessions the rules would remove, without removing anything
+   * Backends with retention support evaluate the rules themselves.
+   * @param {object} policy - Rules to check, defaults to the saved ones
+   * @returns {Promise<array>} [{ sessionId, title, lastAccessedAt, messageCount, reason }]
+   */
+  async previewRetention(policy = this.retentionPolicy) {
+    const normalized = this._normalizeRetentionPolicy(policy);
+    if (!normalized.enabled) return [];
+
+    const expired = await this.storage.applyRetention(this.userId, normalized, { dryRun: true });
+    if (expired === null) {
+      return this._selectExpiredSessions(normalized);
+    }
+
+    return expired.map(item => {
+      const session = this.sessions.get(item.sessionId);
+      return {
+        sessionId: item.sessionId,
+        title: session ? this.serializer.getTitle(session) : (item.title || item.sessionId),
+        lastAccessedAt: session?.lastAccessedAt || item.lastAccessedAt || null,
+        messageCount: session?.messages?.length || 0,
+        reason: item.reason || 'Matches your retention rules'
+      };
+    });
+  }
+
+  /**
+   * Remove sessions listed by previewRetention()
+   * Only the given sessions are removed, so nothing the user has not seen
+   * in the preview is lost. Locally evaluated rules move sessions to the trash.
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async applyRetention(sessionIds, policy = this.retentionPolicy) {
+    if (sessionIds.length === 0) return 0;
+    const normalized = this._normalizeRetentionPolicy(policy);
+
+    try {
+      if (this.storage.capabilities.retention) {
+        const removed = await this.storage.applyRetention(this.userId, normalized, {
+          dryRun: false,
+          sessionIds
+        });
+        removed.forEach(({ sessionId }) => {
+          this.sessions.delete(sessionId);
+          this.searchIndex.removeSession(sessionId);
+          this._broadcast(SYNC_EVENTS.SESSION_DELETED, { sessionId });
+        });
+        return removed.length;
+      }
+
+      let removed = 0;
+      for (const sessionId of sessionIds) {
+        if (await this.trashSession(sessionId)) {
+          removed++;
+        }
+      }
+      return removed;
+    } catch (error) {
+      console.error('Failed to apply retention rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate retention rules against the loaded sessions
+   * Pinned sessions count towards the session limit but are never removed
+   * when keepPinned is set.
+   * @private
+   */
+  _selectExpiredSessions(policy, now = Date.now()) {
+    const lastUsed = (session) => new Date(session.lastAccessedAt || session.createdAt || 0).getTime() || 0;
+    const removable = (session) => !(policy.keepPinned && session.pinned);
+    const expired = new Map();
+
+    if (policy.maxAgeDays) {
+      const cutoff = now - policy.maxAgeDays * DAY_MS;
+      this.getAllSessions()
+        .filter(session => removable(session) && lastUsed(session) < cutoff)
+        .forEach(session => expired.set(session.sessionId, `Not used for over ${policy.maxAgeDays} days`));
+    }
+
+    if (policy.maxSessions) {
+      const newestFirst = [...this.getAllSessions()].sort((a, b) => lastUsed(b) - lastUsed(a));
+      let excess = newestFirst.filter(session => !expired.has(session.sessionId)).length - policy.maxSessions;
+
+      for (let i = newestFirst.length - 1; i >= 0 && excess > 0; i--) {
+        const session = newestFirst[i];
+        if (expired.has(session.sessionId) || !removable(session)) continue;
+        expired.set(session.sessionId, `More than ${policy.maxSessions} sessions`);
+        excess--;
+      }
+    }
+
+    return Array.from(expired, ([sessionId, reason]) => {
+      const session = this.sessions.get(sessionId);
+      return {
+        sessionId,
+        title: this.serializer.getTitle(session),
+        lastAccessedAt: session.lastAccessedAt || session.createdAt || null,
+        messageCount: session.messages?.length || 0,
+        reason
+      };
+    }).sort((a, b) => new Date(a.lastAccessedAt || 0) - new Date(b.lastAccessedAt || 0));
+  }
+
+  // ============================================
+  // TITLES, PINNING AND ARCHIVING
+  // ============================================
+
+  /**
+   * Update sidebar metadata of a session (title, pinned, archived) and save it to storage
+   */
+  async updateSessionMetadata(sessionId, updates) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    const changes = {};
+    METADATA_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        changes[field] = updates[field];
+      }
+    });
+
+    try {
+      await this._saveSessionChanges(session, changes);
+      this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+      return session;
+    } catch (error) {
+      console.error('Failed to update session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a session; an empty title brings back the default label
+   */
+  async renameSession(sessionId, title) {
+    const trimmed = title.trim().slice(0, 100);
+    return this.updateSessionMetadata(sessionId, {
+      title: trimmed || null,
+      titleSource: trimmed ? 'user' : null
+    });
+  }
+
+  async setSessionPinned(sessionId, pinned) {
+    return this.updateSessionMetadata(sessionId, { pinned });
+  }
+
+  async setSessionArchived(sessionId, archived) {
+    return this.updateSessionMetadata(sessionId, { archived });
+  }
+
+  /**
+   * Sort sessions for the sidebar: pinned first, then most recently used
+   */
+  sortSessions(sessions) {
+    const lastUsed = (session) => new Date(session.lastAccessedAt || session.createdAt || 0).getTime() || 0;
+
+    return [...sessions].sort((a, b) => {
+      if (Boolean(a.pinned) !== Boolean(b.pinned)) {
+        return a.pinned ? -1 : 1;
+      }
+      return lastUsed(b) - lastUsed(a);
+    });
+  }
+
+  /**
+   * Give an untitled session a title after its first exchange
+   * Uses a local heuristic on the first user message.
+   * @returns {Promise<string|null>} The new title, or null if unchanged
+   */
+  async generateTitle(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.title) return null;
+
+    const { firstUser, firstAssistant } = this._getFirstExchange(session);
+    if (!firstUser || !firstAssistant) return null;
+
+    const title = this._heuristicTitle(firstUser.content);
+    if (!title) return null;
+
+    await this.updateSessionMetadata(sessionId, { title, titleSource: 'auto' });
+    return title;
+  }
+
+  /**
+   * Ask the model for a better title than the heuristic one
+   * Titles set by the user are never replaced.
+   * @returns {Promise<string|null>} The new title, or null if unchanged
+   */
+  async refineTitleWithModel(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.titleSource !== 'auto') return null;
+
+    const { firstUser, firstAssistant } = this._getFirstExchange(session);
+    if (!firstUser || !firstAssistant) return null;
+
+    const { provider, providerModel, modelId } = this.getSessionSettings(sessionId);
+    try {
+      // No session ID: the title request must not end up in the session history
+      const result = await this.apiService.sendInferenceRequest(null, [
+        {
+          role: 'system',
+          content: 'Reply with a title of at most six words for the conversation below. Reply with the title only, no quotes or punctuation at the end.'
+        },
+        { role: 'user', content: `User: ${firstUser.content.slice(0, 500)}\nAssistant: ${firstAssistant.content.slice(0, 500)}` }
+      ], { temperature: 0.2, maxTokens: 24 }, { provider, model: providerModel || modelId });
+
+      const title = this._cleanTitle(result.response);
+
+      // The user may have renamed the session meanwhile
+      if (!title || session.titleSource !== 'auto') return null;
+
+      await this.updateSessionMetadata(sessionId, { title, titleSource: 'model' });
+      return title;
+    } catch (error) {
+      console.error('Failed to generate session title:', error);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getFirstExchange(session) {
+    const messages = session.messages || [];
+    return {
+      firstUser: messages.find(m => m.type === 'USER'),
+      firstAssistant: messages.find(m => m.type === 'ASSISTANT' && !m.isError)
+    };
+  }
+
+  /**
+   * Build a title from the first user message
+   * @private
+   */
+  _heuristicTitle(text) {
+    const plain = text
+      .replace(/```[\s\S]*?(```|$)/g, ' ')
+      .replace(/`([^`]*)`/g, '$1')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[#>*_~]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // First sentence, without greetings like "Hi," or "Hello!"
+    const sentence = plain
+      .replace(/^(hi|hello|hey|please)\b[\s,!.]*/i, '')
+      .split(/(?:[.!?]\s)|\n/)[0];
+
+    return this._cleanTitle(sentence);
+  }
+
+  /**
+   * Normalise a generated title: strip reasoning, quotes and trailing punctuation
+   * @private
+   */
+  _cleanTitle(text) {
+    if (!text) return null;
+
+    let title = text
+      .replace(/<think>[\s\S]*?(<\/think>|$)/g, '')
+      .split('\n').map(line => line.trim()).find(line => line.length > 0) || '';
+
+    title = title
+      .replace(/^(title:\s*)/i, '')
+      .replace(/^["'`*]+|["'`*]+$/g, '')
+      .replace(/[\s.,;:!?]+$/, '')
+      .trim();
+
+    if (title.length > TITLE_MAX_LENGTH) {
+      // Cut at a word boundary when there is one
+      const cut = title.slice(0, TITLE_MAX_LENGTH);
+      const lastSpace = cut.lastIndexOf(' ');
+      title = `${(lastSpace > TITLE_MAX_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?]+$/, '')}…`;
+    }
+    if (!title) return null;
+
+    return title.charAt(0).toUpperCase() + title.slice(1);
+  }
+
+  // ============================================
+  // CONTEXT SUMMARIES
+  // ============================================
+
+  /**
+   * Summary of turns dropped from the context window, if one was made
+   */
+  getContextSummary(sessionId) {
+    return this.sessions.get(sessionId)?.contextSummary || null;
+  }
+
+  /**
+   * Ask the model to summarize turns dropped from the context window, and
+   * keep the summary on the session as `contextSummary`
+   * A summary of the first of these turns is extended with the rest instead
+   * of summarizing everything again.
+   *
+   * @param {array} turns - Dropped turns in API format ({ role, content }), oldest first
+   * @param {object} options
+   * @param {number} options.maxTokens - Longest summary to ask for
+   * @returns {Promise<object|null>} { content, coveredTurns, fingerprint }, or
+   *   null if no summary could be made
+   */
+  async summarizeContext(sessionId, turns, { maxTokens }) {
+    const session = this.sessions.get(sessionId);
+    if (!session || turns.length === 0) return null;
+
+    const previous = session.contextSummary;
+    const isExtension = previous
+      && previous.coveredTurns <= turns.length
+      && previous.fingerprint === fingerprintTurns(turns.slice(0, previous.coveredTurns));
+    if (isExtension && previous.coveredTurns === turns.length) return previous;
+
+    const transcript = turns
+      .slice(isExtension ? previous.coveredTurns : 0)
+      .map(({ role, content }) => {
+        const text = content.replace(/<think>[\s\S]*?(<\/think>|$)/g, '').trim();
+        return `${role === 'user' ? 'User' : 'Assistant'}: ${text.slice(0, SUMMARY_TURN_LENGTH)}`;
+      })
+      .join('\n');
+
+    const { provider, providerModel, modelId } = this.getSessionSettings(sessionId);
+    try {
+      // No session ID: the summary request must not end up in the session history
+      const result = await this.apiService.sendInferenceRequest(null, [
+        {
+          role: 'system',
+          content: 'Summarize the conversation below so it can be continued without it. Keep names, facts, decisions and open questions. Reply with the summary only.'
+        },
+        { role: 'user', content: isExtension ? `Summary so far: ${previous.content}\n\n${transcript}` : transcript }
+      ], { temperature: 0.2, maxTokens }, { provider, model: providerModel || modelId });
+
+      const content = (result.response || '').replace(/<think>[\s\S]*?(<\/think>|$)/g, '').trim();
+      if (!content) return null;
+
+      const contextSummary = { content, coveredTurns: turns.length, fingerprint: fingerprintTurns(turns) };
+      await this._saveSessionChanges(session, { contextSummary }, { touch: false });
+      this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+      return contextSummary;
+    } catch (error) {
+      console.error('Failed to summarize earlier messages:', error);
+      return null;
+    }
+  }
+
+  // ============================================
+  // SEARCH
+  // ============================================
+
+  /**
+   * Display title of a session
+   */
+  getSessionTitle(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? this.serializer.getTitle(session) : 'Deleted session';
+  }
+
+  /**
+   * Full-text search across all sessions
+   * Uses the storage backend's search when it has one, falling back to the
+   * local index of loaded messages
+   * @returns {Promise<array>} [{ sessionId, messageId, snippet, highlights }]
+   *   where highlights are [start, end) ranges within the snippet
+   */
+  async searchSessions(userId, query) {
+    const trimmed = query.trim();
+    if (!trimmed) return [];
+
+    if (this.storage.capabilities.search) {
+      try {
+        const results = await this.storage.search(userId, trimmed);
+        return results.map(result => {
+          const snippet = result.snippet || '';
+          return {
+            ...result,
+            snippet,
+            highlights: this.searchIndex.highlightRanges(snippet, trimmed)
+          };
+        });
+      } catch (error) {
+        console.error('Backend search failed, searching loaded sessions locally:', error);
+      }
+    }
+
+    return this.searchIndex.search(trimmed);
+  }
+
+  // ============================================
+  // EXPORT / IMPORT
+  // ============================================
+
+  /**
+   * Export sessions as JSON, Markdown or JSONL
+   * @param {string} userId - Needed to load messages of authenticated sessions
+   * @param {array|null} sessionIds - Sessions to export, or null for all
+   * @param {string} format - One of EXPORT_FORMATS
+   * @returns {Promise<object>} { content, filename, mimeType }
+   */
+  async exportSessions(userId, sessionIds, format) {
+    const ids = sessionIds || Array.from(this.sessions.keys());
+    const sessions = [];
+
+    for (const sessionId of ids) {
+      const session = this.sessions.get(sessionId);
+      if (!session) continue;
+
+      // Make sure messages are loaded before serializing
+      const messages = await this.getMessages(userId, sessionId);
+      sessions.push({ ...session, messages });
+    }
+
+    const { extension, mimeType } = this.serializer.getFormatDetails(format);
+    const date = new Date().toISOString().slice(0, 10);
+    const name = sessions.length === 1
+      ? this.serializer.getTitle(sessions[0]).replace(/[^\w-]+/g, '_').toLowerCase()
+      : 'sessions';
+
+    return {
+      content: this.serializer.serialize(sessions, format),
+      filename: `pocketllm_${name}_${date}.${extension}`,
+      mimeType
+    };
+  }
+
+  /**
+   * Import conversations from an exported file as new sessions
+   * Conversations identical to an existing session are skipped.
+   *
+   * @param {string} userId - Owner of the new sessions
+   * @param {string} text - File contents
+   * @param {string} filename - Used to detect the format
+   * @returns {Promise<object>} { imported, duplicates, errors }
+   */
+  async importSessions(userId, text, filename = '') {
+    const format = this.serializer.detectFormat(text, filename);
+    const { conversations, errors } = this.serializer.parse(text, format);
+
+    // Fingerprints of everything we already have
+    const existing = new Set(
+      this.getAllSessions()
+        .filter(session => session.messages?.length > 0)
+        .map(session => this.serializer.fingerprint(this.serializer.toRoleMessages(session)))
+    );
+
+    const imported = [];
+    let duplicates = 0;
+
+    for (const conversation of conversations) {
+      const candidate = this._conversationToSession(conversation);
+      const fingerprint = this.serializer.fingerprint(this.serializer.toRoleMessages(candidate));
+
+      if (existing.has(fingerprint)) {
+        duplicates++;
+        continue;
+      }
+
+      try {
+        const session = await this._createImportedSession(userId, candidate);
+        existing.add(fingerprint);
+        imported.push(session);
+      } catch (error) {
+        errors.push(`Failed to import "${candidate.title || 'conversation'}": ${error.message}`);
+      }
+    }
+
+    return { imported, duplicates, errors };
+  }
+
+  /**
+   * Turn a parsed conversation into session fields
+   * System messages become the session's system prompt.
+   * @private
+   */
+  _conversationToSession(conversation) {
+    const systemPrompt = conversation.messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+    const baseTime = Date.now();
+
+    const messages = conversation.messages
+      .filter(m => m.role !== 'system')
+      .map((m, index) => ({
+        messageId: `msg_${baseTime}_${index}_${Math.random().toString(36).substr(2, 5)}`,
+        content: m.content,
+        type: m.role === 'user' ? 'USER' : 'ASSISTANT',
+        timestamp: new Date(baseTime + index).toISOString(),
+        isCached: false
+      }));
+
+    const settings = this._normalizeImportedSettings(conversation.settings);
+    if (systemPrompt) {
+      settings.systemPrompt = systemPrompt;
+    }
+
+    return {
+      title: conversation.title,
+      createdAt: conversation.createdAt,
+      settings,
+      messages
+    };
+  }
+
+  /**
+   * Settings of an imported session: the known ones that have a valid value,
+   * defaults for the rest. Where inference runs and the cache flags are
+   * choices for this device, so a file cannot change them.
+   * @private
+   */
+  _normalizeImportedSettings(imported) {
+    const settings = { ...DEFAULT_GENERATION_SETTINGS, stopSequences: [] };
+    if (!imported || typeof imported !== 'object' || Array.isArray(imported)) {
+      return settings;
+    }
+
+    const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+    const checks = {
+      systemPrompt: value => typeof value === 'string',
+      temperature: value => inRange(value, 0, 2),
+      topP: value => inRange(value, 0, 1),
+      maxTokens: value => Number.isInteger(value) && inRange(value, 1, 32768),
+      stopSequences: value => Array.isArray(value) &&
+        value.every(stop => typeof stop === 'string' && stop.length > 0),
+      seed: value => value === null || Number.isInteger(value),
+      modelId: value => typeof value === 'string' && value.trim().length > 0,
+      contextStrategy: value => Object.values(CONTEXT_STRATEGIES).includes(value),
+      keepLastN: value => Number.isInteger(value) && inRange(value, 1, 200),
+      modelTitles: value => typeof value === 'boolean'
+    };
+
+    Object.entries(checks).forEach(([key, isValid]) => {
+      if (key in imported && isValid(imported[key])) {
+        settings[key] = Array.isArray(imported[key]) ? [...imported[key]] : imported[key];
+      }
+    });
+    return settings;
+  }
+
+  /**
+   * Create a session holding imported messages
+   * @private
+   */
+  async _createImportedSession(userId, imported) {
+    const session = await this.createSession(userId);
+
+    if (imported.title) session.title = imported.title;
+    if (imported.createdAt) session.createdAt = imported.createdAt;
+    session.settings = imported.settings;
+    session.messages = imported.messages;
+    session.lastAccessedAt = new Date().toISOString();
+    this.searchIndex.indexSession(session);
+
+    await this.storage.replaceMessages(userId, session);
+    await this.storage.updateSession(userId, session, {
+      title: session.title,
+      createdAt: session.createdAt,
+      settings: session.settings
+    });
+    this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+
+    return session;
+  }
+
+  // ============================================
+  // CROSS-TAB SYNC
+  // ============================================
+
+  /**
+   * Tabs only share events for the same guest device storage or account
+   * @private
+   */
+  _syncScope() {
+    return this.isGuestMode ? 'guest' : `user:${this.userId}`;
+  }
+
+  /**
+   * Tell other tabs about a local change
+   * @private
+   */
+  _broadcast(type, payload) {
+    if (!this.tabSync) return;
+    this.tabSync.publish(type, { ...payload, scope: this._syncScope() });
+  }
+
+  /**
+   * Apply a change made in another tab
+   * Session snapshots win only if they are at least as recent as the local
+   * copy (last writer wins on lastAccessedAt). Storage was already written
+   * by the sending tab.
+   * @private
+   */
+  _applyRemoteEvent({ type: eventType, payload }) {
+    if (!payload || payload.scope !== this._syncScope()) return;
+
+    let type = eventType;
+    let sessionId;
+    switch (eventType) {
+      case SYNC_EVENTS.SESSION_CREATED:
+      case SYNC_EVENTS.SESSION_UPDATED:
+      case SYNC_EVENTS.MESSAGE_ADDED:
+        if (!this._applyRemoteSession(payload.session)) return;
+        sessionId = payload.session.sessionId;
+        // To the session list, a session moved to the trash is gone
+        if (payload.session.deletedAt) {
+          type = SYNC_EVENTS.SESSION_DELETED;
+        }
+        break;
+      case SYNC_EVENTS.SESSION_DELETED:
+        if (!this.sessions.has(payload.sessionId) && !this.trashedSessions.has(payload.sessionId)) return;
+        this.sessions.delete(payload.sessionId);
+        this.trashedSessions.delete(payload.sessionId);
+        this.searchIndex.removeSession(payload.sessionId);
+        sessionId = payload.sessionId;
+        break;
+      default:
+        return;
+    }
+
+    this.sessionChangeCallbacks.forEach(callback => callback({ type, sessionId }));
+  }
+
+  /**
+   * @returns {boolean} Whether the local copy changed
+   * @private
+   */
+  _applyRemoteSession(incoming) {
+    if (!incoming?.sessionId) return false;
+
+    const lastWrite = (session) => new Date(session.lastAccessedAt || 0).getTime() || 0;
+    let local = this.sessions.get(incoming.sessionId) || this.trashedSessions.get(incoming.sessionId);
+
+    if (local && lastWrite(incoming) < lastWrite(local)) {
+      return false;
+    }
+
+    if (local) {
+      // Update in place so code holding the session object sees the change
+      Object.keys(local).forEach(key => delete local[key]);
+      Object.assign(local, incoming);
+    } else {
+      local = incoming;
+    }
+
+    // The session may have moved into or out of the trash
+    if (local.deletedAt) {
+      this.sessions.delete(local.sessionId);
+      this.trashedSessions.set(local.sessionId, local);
+      this.searchIndex.removeSession(local.sessionId);
+    } else {
+      this.trashedSessions.delete(local.sessionId);
+      this.sessions.set(local.sessionId, local);
+      this.searchIndex.indexSession(local);
+    }
+    return true;
+  }
+
+  /**
+   * Listen for sessions changed by other tabs
+   * @param {function} callback - Called with ({ type, sessionId })
+   * @returns {function} Unsubscribe function
+   */
+  onSessionsChanged(callback) {
+    this.sessionChangeCallbacks.push(callback);
+
+    return () => {
+      this.sessionChangeCallbacks = this.sessionChangeCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  // ============================================
+  // GUEST MIGRATION
+  // ============================================
+
+  /**
+   * Get guest sessions stored on this device that still need uploading
+   * Read straight from guest storage, so it works after switching to authenticated mode
+   */
+  async getPendingGuestSessions() {
+    try {
+      const sessions = await this.guestStorage.loadSessions();
+      return sessions
+        .filter(session => !session.migratedTo && !session.deletedAt)
+        .map(session => (
+          session.messageTree
+            ? { ...session, messages: this._getActivePath(session.messageTree) }
+            : session
+        ))
+        .filter(session => session.messages.length > 0);
+    } catch (error) {
+      console.error('Failed to read guest sessions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Find guest sessions whose conversation already exists in the account
+   * (e.g. uploaded from another tab or device)
+   * @returns {Promise<array>} [{ guestSession, existingSession }]
+   */
+  async findMigrationConflicts(userId, guestSessions) {
+    const existing = new Map();
+
+    for (const session of this.getAllSessions()) {
+      const messages = await this.getMessages(userId, session.sessionId);
+      if (messages.length === 0) continue;
+
+      const fingerprint = this.serializer.fingerprint(this.serializer.toRoleMessages({ ...session, messages }));
+      existing.set(fingerprint, session);
+    }
+
+    return guestSessions
+      .map(guestSession => ({
+        guestSession,
+        existingSession: existing.get(
+          this.serializer.fingerprint(this.serializer.toRoleMessages(guestSession))
+        )
+      }))
+      .filter(conflict => conflict.existingSession);
+  }
+
+  /**
+   * Upload guest sessions and their messages to the signed-in account
+   * Each uploaded session is marked in local storage right away, so a retry
+   * never uploads it twice. Local guest data is only removed once every
+   * session has been uploaded or skipped.
+   *
+   * @param {string} userId - The authenticated user
+   * @param {array} guestSessions - Sessions from getPendingGuestSessions()
+   * @param {object} options
+   * @param {Set} options.skip - Guest session IDs not to upload (conflicts kept in the account)
+   * @param {function} options.onProgress - Called with ({ done, total, session })
+   * @returns {Promise<object>} { migrated, skipped, failed: [{ session, error }] }
+   */
+  async migrateGuestSessions(userId, guestSessions, { skip = new Set(), onProgress } = {}) {
+    if (this.isGuestMode) {
+      throw new Error('Sign in before migrating guest sessions');
+    }
+
+    const migrated = [];
+    const failed = [];
+    const accountIds = new Map(); // Guest session ID -> account session ID
+    let skipped = 0;
+
+    for (let i = 0; i < guestSessions.length; i++) {
+      const guestSession = guestSessions[i];
+      onProgress?.({ done: i, total: guestSessions.length, session: guestSession });
+
+      if (skip.has(guestSession.sessionId)) {
+        skipped++;
+        await this._markGuestSessionMigrated(guestSession, null);
+        continue;
+      }
+
+      try {
+        const session = await this._uploadGuestSession(userId, guestSession);
+        await this._markGuestSessionMigrated(guestSession, session.sessionId);
+        accountIds.set(guestSession.sessionId, session.sessionId);
+        migrated.push(session);
+      } catch (error) {
+        console.error('Failed to migrate guest session:', error);
+        failed.push({ session: guestSession, error });
+      }
+    }
+
+    onProgress?.({ done: guestSessions.length, total: guestSessions.length, session: null });
+    await this._relinkMigratedForks(migrated, accountIds);
+
+    if (failed.length === 0 && (await this.getPendingGuestSessions()).length === 0) {
+      await this.guestStorage.clear();
+    }
+
+    return { migrated, skipped, failed };
+  }
+
+  /**
+   * Create an account session holding a guest session's messages and metadata
+   * Message IDs are kept so the branch tree stays valid.
+   * @private
+   */
+  async _uploadGuestSession(userId, guestSession) {
+    const session = await this.createSession(userId);
+    const messages = (guestSession.messages || []).filter(m => !m.isError);
+
+    const metadata = {
+      title: guestSession.title || null,
+      titleSource: guestSession.titleSource || null,
+      pinned: Boolean(guestSession.pinned),
+      archived: Boolean(guestSession.archived),
+      settings: { ...DEFAULT_GENERATION_SETTINGS, ...(guestSession.settings || {}) },
+      parentSessionId: guestSession.parentSessionId || null,
+      forkedFromMessageId: guestSession.forkedFromMessageId || null
+    };
+    if (guestSession.messageTree) {
+      metadata.messageTree = guestSession.messageTree;
+    }
+
+    try {
+      await this.storage.replaceMessages(userId, { ...session, messages, messageTree: metadata.messageTree });
+      await this.storage.updateSession(userId, { ...session, ...metadata, messages }, metadata);
+    } catch (error) {
+      // Don't leave a half-uploaded session behind; a retry creates a new one
+      this.sessions.delete(session.sessionId);
+      this.storage.deleteSession(userId, session.sessionId)
+        .catch(cleanupError => console.error('Failed to remove incomplete session:', cleanupError));
+      throw error;
+    }
+
+    Object.assign(session, metadata, {
+      messages,
+      createdAt: guestSession.createdAt || session.createdAt,
+      lastAccessedAt: guestSession.lastAccessedAt || session.lastAccessedAt
+    });
+    this.searchIndex.indexSession(session);
+    this._broadcast(SYNC_EVENTS.SESSION_UPDATED, { session });
+
+    return session;
+  }
+
+  /**
+   * Point forks uploaded together with their parent at the parent's account copy
+   * @private
+   */
+  async _relinkMigratedForks(migrated, accountIds) {
+    for (const session of migrated) {
+      const parentId = accountIds.get(session.parentSessionId);
+      if (!parentId) continue;
+
+      try {
+        await this._saveSessionChanges(session, { parentSessionId: parentId });
+      } catch (error) {
+        console.error('Failed to keep fork lineage:', error);
+      }
+    }
+  }
+
+  /**
+   * Remember that a guest session was handled by a migration
+   * @private
+   */
+  async _markGuestSessionMigrated(guestSession, accountSessionId) {
+    try {
+      const migratedTo = accountSessionId || 'skipped';
+      await this.guestStorage.updateSession(guestSession.userId, { ...guestSession, migratedTo }, { migratedTo });
+    } catch (error) {
+      console.error('Failed to update guest sessions:', error);
+    }
+  }
+
+  /**
+   * Get session statistics
+   */
+  getSessionStats() {
+    const sessions = this.getAllSessions();
+    const totalMessages = sessions.reduce((sum, s) => sum + (s.messages?.length || 0), 0);
+    
+    return {
+      totalSessions: sessions.length,
+      totalMessages: totalMessages,
+      avgMessagesPerSession: sessions.length > 0 ? (totalMessages / sessions.length).toFixed(2) : 0,
+      isGuestMode: this.isGuestMode
+    };
+  }
+
+  /**
+   * Set current session
+   */
+  setCurrentSession(sessionId) {
+    this.currentSessionId = sessionId;
+  }
+
+  /**
+   * Get current session ID
+   */
+  getCurrentSessionId() {
+    return this.currentSessionId;
+  }
+
+  /**
+   * Clear local cache (use when logging out)
+   * In guest mode this also deletes the guest sessions stored on this device.
+   */
+  async clearCache() {
+    this.sessions.clear();
+    this.trashedSessions.clear();
+    this.searchIndex.clear();
+    this.currentSessionId = null;
+    
+    if (this.isGuestMode) {
+      try {
+        await this.guestStorage.clear();
+      } catch (error) {
+        console.error('Failed to clear guest sessions:', error);
+      }
     }
   }
 
@@ -0,0 +1,885 @@
+import { SessionManager, DEFAULT_GENERATION_SETTINGS } from './SessionManager';
+import { MemoryAdapter } from './storage';
+import { TabSync, SYNC_EVENTS } from './TabSync';
+import { installFakeBroadcastChannel } from './testing/FakeBroadcastChannel';
+
+const USER_ID = 'guest_1';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A guest SessionManager whose sessions live in a MemoryAdapter
+ * Pass the storage of another manager to load what it saved.
+ */
+const createManager = async ({ storage = new MemoryAdapter(), apiService = {}, tabSync = null } = {}) => {
+  const manager = new SessionManager(apiService, storage, tabSync, new MemoryAdapter());
+  await manager.initialize(USER_ID, true);
+  return { manager, storage };
+};
+
+// Let background storage writes finish
+const flushWrites = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const message = (messageId, type, content = messageId) => ({
+  messageId,
+  type,
+  content,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Create a session holding `messages` and wait until it is saved
+ * IDs become alternating USER and ASSISTANT messages, starting with USER;
+ * message objects are added as they are.
+ * @returns {Promise<string>} The session ID
+ */
+const seedSession = async (manager, messages = []) => {
+  const { sessionId } = await manager.createSession(manager.userId);
+  messages.forEach((entry, index) => {
+    manager.addMessageLocally(sessionId, typeof entry === 'string'
+      ? message(entry, index % 2 ? 'ASSISTANT' : 'USER')
+      : entry);
+  });
+  await flushWrites();
+  return sessionId;
+};
+
+const ids = (messages) => messages.map(m => m.messageId);
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SessionManager import', () => {
+  const importSettings = async (settings) => {
+    const { manager, storage } = await createManager();
+    const file = JSON.stringify([{ settings, messages: [{ role: 'user', content: 'Hi' }] }]);
+
+    const { imported, errors } = await manager.importSessions(USER_ID, file, 'export.json');
+
+    expect(errors).toEqual([]);
+    expect(storage.sessions.get(imported[0].sessionId).settings).toEqual(imported[0].settings);
+    return imported[0].settings;
+  };
+
+  test('keeps valid imported settings', async () => {
+    const settings = {
+      systemPrompt: 'Be brief.',
+      temperature: 0,
+      topP: 0.9,
+      maxTokens: 256,
+      stopSequences: ['###'],
+      seed: 7,
+      modelId: 'phi-2',
+      contextStrategy: 'keep_last_n',
+      keepLastN: 4,
+      modelTitles: true
+    };
+
+    expect(await importSettings(settings)).toEqual({ ...DEFAULT_GENERATION_SETTINGS, ...settings });
+  });
+
+  test('replaces invalid and unknown imported settings with defaults', async () => {
+    const settings = await importSettings({
+      systemPrompt: 42,
+      temperature: 5,
+      topP: '0.5',
+      maxTokens: 1.5,
+      stopSequences: null,
+      seed: 'random',
+      modelId: '',
+      contextStrategy: 'forget_everything',
+      keepLastN: 0,
+      modelTitles: 'yes',
+      apiKey: 'secret'
+    });
+
+    expect(settings).toEqual(DEFAULT_GENERATION_SETTINGS);
+    expect(settings.stopSequences).not.toBe(DEFAULT_GENERATION_SETTINGS.stopSequences);
+  });
+
+  test('does not let a file change the provider or the cache settings', async () => {
+    const settings = await importSettings({
+      provider: 'openai',
+      providerModel: 'gpt-4',
+      localCache: true,
+      cacheSampled: true
+    });
+
+    expect(settings).toEqual(DEFAULT_GENERATION_SETTINGS);
+  });
+
+  test('keeps the creation date of an imported session', async () => {
+    const { manager, storage } = await createManager();
+    const file = JSON.stringify([
+      { createdAt: '2024-01-02T03:04:05.000Z', messages: [{ role: 'user', content: 'Hi' }] },
+      { createdAt: 'yesterday', messages: [{ role: 'user', content: 'Hello' }] }
+    ]);
+
+    const { imported } = await manager.importSessions(USER_ID, file, 'export.json');
+
+    expect(storage.sessions.get(imported[0].sessionId).createdAt).toBe('2024-01-02T03:04:05.000Z');
+    expect(imported[1].createdAt).not.toBe('yesterday');
+  });
+
+  test('ignores settings that are not an object', async () => {
+    expect(await importSettings(['temperature', 2])).toEqual(DEFAULT_GENERATION_SETTINGS);
+    expect(await importSettings('hot')).toEqual(DEFAULT_GENERATION_SETTINGS);
+  });
+});
+
+describe('SessionManager branches', () => {
+  // Each test starts from u1 -> a1; a2 is a regenerated answer, u2 -> a3 an edited question
+  test('keeps sessions without alternatives linear', async () => {
+    const { manager, storage } = await createManager();
+    const sessionId = await seedSession(manager, ['u1', 'a1']);
+
+    expect(manager.getBranchInfo(sessionId, 'a1')).toEqual({ index: 0, total: 1 });
+    expect(ids(manager.switchBranch(sessionId, 'a1', -1))).toEqual(['u1', 'a1']);
+    expect(storage.sessions.get(sessionId).messageTree).toBeUndefined();
+    expect(ids(storage.sessions.get(sessionId).messages)).toEqual(['u1', 'a1']);
+  });
+
+  test('adds a regenerated answer as a sibling and makes it active', async () => {
+    const { manager } = await createManager();
+    const sessionId = await seedSession(manager, ['u1', 'a1']);
+
+    const path = manager.addBranch(sessionId, 'a1', message('a2', 'ASSISTANT'));
+
+    expect(ids(path)).toEqual(['u1', 'a2']);
+    expect(manager.getBranchInfo(sessionId, 'a1')).toEqual({ index: 0, total: 2 });
+    expect(manager.getBranchInfo(sessionId, 'a2')).toEqual({ index: 1, total: 2 });
+  });
+
+  test('keeps the rest of the conversation in the branch of an edited message', async () => {
+    const { manager } = await createManager();
+    const sessionId = await seedSession(manager, ['u1', 'a1']);
+    manager.addBranch(sessionId, 'a1', message('a2', 'ASSISTANT'));
+
+    manager.addBranch(sessionId, 'u1', message('u2', 'USER', 'edited'));
+    manager.addMessageLocally(sessionId, message('a3', 'ASSISTANT'));
+
+    expect(ids((await manager.getSession(sessionId)).messages)).toEqual(['u2', 'a3']);
+    expect(manager.getBranchInfo(sessionId, 'u2')).toEqual({ index: 1, total: 2 });
+
+    // Back to the first question, with the answer that was active there
+    expect(ids(manager.switchBranch(sessionId, 'u2', -1))).toEqual(['u1', 'a2']);
+    expect(ids(manager.switchBranch(sessionId, 'a2', -1))).toEqual(['u1', 'a1']);
+    expect(ids(manager.switchBranch(sessionId, 'u1', 1))).toEqual(['u2', 'a3']);
+  });
+
+  test('ignores switches past the first or last version', async () => {
+    const { manager } = await createManager();
+    const sessionId = await seedSession(manager, ['u1', 'a1']);
+    manager.addBranch(sessionId, 'a1', message('a2', 'ASSISTANT'));
+
+    expect(ids(manager.switchBranch(sessionId, 'a2', 1))).toEqual(['u1', 'a2']);
+    expect(ids(manager.switchBranch(sessionId, 'a1', -1))).toEqual(['u1', 'a2']);
+    expect(ids(manager.switchBranch(sessionId, 'unknown', 1))).toEqual(['u1', 'a2']);
+  });
+
+  test('persists every branch and the active path', async () => {
+    const { manager, storage } = await createManager();
+    const sessionId = await seedSession(manager, ['u1', 'a1']);
+    manager.addBranch(sessionId, 'a1', message('a2', 'ASSISTANT'));
+    manager.addBranch(sessionId, 'u1', message('u2', 'USER'));
+    manager.addMessageLocally(sessionId, message('a3', 'ASSISTANT'));
+    manager.switchBranch(sessionId, 'u2', -1);
+    await flushWrites();
+
+    const { manager: reloaded } = await createManager({ storage });
+
+    expect(ids((await reloaded.getSession(sessionId)).messages)).toEqual(['u1', 'a2']);
+    expect(reloaded.getBranchInfo(sessionId, 'a2')).toEqual({ index: 1, total: 2 });
+    expect(ids(reloaded.switchBranch(sessionId, 'u1', 1))).toEqual(['u2', 'a3']);
+  });
+
+  test('searches the active path only', async () => {
+    const { manager } = await createManager();
+    const sessionId = await seedSession(manager, ['u1', 'a1']);
+    manager.addBranch(sessionId, 'a1', message('a2', 'ASSISTANT', 'regenerated answer'));
+    const search = () => manager.searchSessions(USER_ID, 'regenerated');
+
+    expect((await search()).map(result => result.sessionId)).toEqual([sessionId]);
+    manager.switchBranch(sessionId, 'a2', -1);
+    expect(await search()).toEqual([]);
+  });
+});
+
+describe('SessionManager trash', () => {
+  test('moves a session to the trash and restores it into the session list', async () => {
+    const { manager, storage } = await createManager();
+    const sessionId = await seedSession(manager, ['u1', 'a1']);
+
+    const item = await manager.trashSession(sessionId);
+
+    expect(item).toMatchObject({ trashId: `session:${sessionId}`, type: 'session', messageCount: 2 });
+    expect(manager.getAllSessions()).toEqual([]);
+    expect(storage.sessions.get(sessionId).deletedAt).toBe(item.deletedAt);
+    expect(await manager.searchSessions(USER_ID, 'u1')).toEqual([]);
+
+    expect(await manager.restoreFromTrash(item.trashId)).toBe(sessionId);
+    expect(manager.getTrash()).toEqual([]);
+    expect(ids(manager.getAllSessions()[0].messages)).toEqual(['u1', 'a1']);
+    expect(storage.sessions.get(sessionId).deletedAt).toBeNull();
+    expect(await manager.searchSessions(USER_ID, 'u1')).toHaveLength(1);
+  });
+
+  test('restores a session to its place in the session list', async () => {
+    const { manager } = await createManager();
+    const sessionIds = [];
+    for (const [index, messageId] of ['u1', 'u2', 'u3'].entries()) {
+      const sessionId = await seedSession(manager, [messageId]);
+      (await manager.getSession(sessionId)).lastAccessedAt = new Date(Date.UTC(2024, 0, index + 1)).toISOString();
+      sessionIds.unshift(sessionId);
+    }
+    const order = () => manager.sortSessions(manager.getAllSessions()).map(session => session.sessionId);
+    expect(order()).toEqual(sessionIds);
+
+    const item = await manager.trashSession(sessionIds[1]);
+    await manager.restoreFromTrash(item.trashId);
+
+    expect(order()).toEqual(sessionIds);
+  });
+
+  test('keeps trashed sessions out of the list after a reload', async () => {
+    const { manager, storage } = await createManager();
+    const kept = await seedSession(manager, ['u1']);
+    const trashed = await seedSession(manager, ['u2']);
+    await manager.trashSession(trashed);
+
+    const { manager: reloaded } = await createManager({ storage });
+
+    expect(reloaded.getAllSessions().map(session => session.sessionId)).toEqual([kept]);
+    expect(reloaded.getTrash().map(item => item.sessionId)).toEqual([trashed]);
+  });
+
+  test('restores a cleared history into its session while it is still empty', async () => {
+    const { manager, storage } = await createManager();
+    const sessionId = await seedSession(manager, ['u1', 'a1']);
+    manager.addBranch(sessionId, 'a1', message('a2', 'ASSISTANT'));
+    await flushWrites();
+
+    const item = await manager.trashHistory(sessionId);
+    expect(item).toMatchObject({ type: 'history', sessionId, messageCount: 2 });
+    expect((await manager.getSession(sessionId)).messages).toEqual([]);
+
+    expect(await manager.restoreFromTrash(item.trashId)).toBe(sessionId);
+    expect(ids((await manager.getSession(sessionId)).messages)).toEqual(['u1', 'a2']);
+    // The branches come back too
+    expect(manager.getBranchInfo(sessionId, 'a2')).toEqual({ index: 1, total: 2 });
+    expect(manager.getTrash()).toEqual([]);
+    expect(storage.sessions.get(sessionId).trashedHistory).toEqual([]);
+  });
+
+  test('restores a cleared history into a new session once the old one is used again', async () => {
+    const { manager } = await createManager();
+    const sessionId = await seedSession(manager, ['u1', 'a1']);
+    await manager.renameSession(sessionId, 'Plans');
+    await manager.updateSessionSettings(sessionId, { temperature: 0.1 });
+    const item = await manager.trashHistory(sessionId);
+    manager.addMessageLocally(sessionId, message('u2', 'USER'));
+
+    const restoredId = await manager.restoreFromTrash(item.trashId);
+
+    expect(restoredId).not.toBe(sessionId);
+    const restored = await manager.getSession(restoredId);
+    expect(restored.title).toBe('Plans (restored)');
+    expect(restored.settings.temperature).toBe(0.1);
+    expect(ids(restored.messages)).toEqual(['u1', 'a1']);
+    expect(ids((await manager.getSession(sessionId)).messages)).toEqual(['u2']);
+  });
+
+  test('deletes trashed sessions and histories for good', async () => {
+    const { manager, storage } = await createManager();
+    const trashedSession = await seedSession(manager, ['u1']);
+    const clearedSession = await seedSession(manager, ['u2']);
+    const sessionItem = await manager.trashSession(trashedSession);
+    const historyItem = await manager.trashHistory(clearedSession);
+
+    expect(await manager.purgeFromTrash(sessionItem.trashId)).toBe(true);
+    expect(storage.sessions.has(trashedSession)).toBe(false);
+    expect(await manager.restoreFromTrash(sessionItem.trashId)).toBeNull();
+
+    expect(await manager.purgeFromTrash(historyItem.trashId)).toBe(true);
+    expect(storage.sessions.get(clearedSession).trashedHistory).toEqual([]);
+    expect(manager.getAllSessions().map(session => session.sessionId)).toEqual([clearedSession]);
+    expect(await manager.purgeFromTrash(historyItem.trashId)).toBe(false);
+  });
+
+  test('empties the trash and purges items past the retention period', async () => {
+    const { manager, storage } = await createManager();
+    const first = await seedSession(manager, ['u1']);
+    const second = await seedSession(manager, ['u2']);
+    await manager.trashSession(first);
+    await manager.trashHistory(second);
+
+    expect(await manager.purgeExpiredTrash(Date.now() + 29 * DAY_MS)).toBe(0);
+    expect(manager.getTrash()).toHaveLength(2);
+
+    expect(await manager.purgeExpiredTrash(Date.now() + 31 * DAY_MS)).toBe(2);
+    expect(manager.getTrash()).toEqual([]);
+    expect(Array.from(storage.sessions.keys())).toEqual([second]);
+
+    const third = await seedSession(manager, ['u3']);
+    await manager.trashSession(third);
+    expect(await manager.emptyTrash()).toBe(1);
+    expect(storage.sessions.has(third)).toBe(false);
+  });
+});
+
+describe('SessionManager retention', () => {
+  // Sessions named after their keys and last used the given number of days
+  // ago; resolves to their IDs by name
+  const ageSessions = async (manager, ages, { pinned = [] } = {}) => {
+    const sessions = {};
+    for (const [name, days] of Object.entries(ages)) {
+      const sessionId = await seedSession(manager);
+      await manager.renameSession(sessionId, name);
+      if (pinned.includes(name)) {
+        await manager.setSessionPinned(sessionId, true);
+      }
+      (await manager.getSession(sessionId)).lastAccessedAt = new Date(Date.now() - days * DAY_MS).toISOString();
+      sessions[name] = sessionId;
+    }
+    return sessions;
+  };
+
+  const preview = async (manager, policy) => (
+    (await manager.previewRetention({ enabled: true, ...policy })).map(item => [item.title, item.reason])
+  );
+
+  test('removes nothing while the rules are disabled', async () => {
+    const { manager } = await createManager();
+    await ageSessions(manager, { old: 400 });
+
+    expect(await manager.previewRetention({ enabled: false, maxAgeDays: 1, maxSessions: 1 })).toEqual([]);
+  });
+
+  test('selects sessions not used within the age limit, oldest first', async () => {
+    const { manager } = await createManager();
+    await ageSessions(manager, { recent: 10, stale: 40, ancient: 100, favourite: 200 }, {
+      pinned: ['favourite']
+    });
+
+    expect(await preview(manager, { maxAgeDays: 30 })).toEqual([
+      ['ancient', 'Not used for over 30 days'],
+      ['stale', 'Not used for over 30 days']
+    ]);
+    expect((await preview(manager, { maxAgeDays: 30, keepPinned: false })).map(([title]) => title))
+      .toEqual(['favourite', 'ancient', 'stale']);
+  });
+
+  test('selects the least recently used sessions over the count limit', async () => {
+    const { manager } = await createManager();
+    await ageSessions(manager, { a: 1, b: 2, pinned: 3, d: 4 }, { pinned: ['pinned'] });
+
+    // The pinned session counts towards the limit but is kept
+    expect(await preview(manager, { maxSessions: 2 })).toEqual([
+      ['d', 'More than 2 sessions'],
+      ['b', 'More than 2 sessions']
+    ]);
+    expect(await preview(manager, { maxSessions: 3, keepPinned: false })).toEqual([
+      ['d', 'More than 3 sessions']
+    ]);
+    expect(await preview(manager, { maxSessions: 10 })).toEqual([]);
+  });
+
+  test('counts only the sessions the age limit keeps towards the count limit', async () => {
+    const { manager } = await createManager();
+    await ageSessions(manager, { a: 1, b: 2, c: 3, old: 50 });
+
+    expect(await preview(manager, { maxAgeDays: 30, maxSessions: 2 })).toEqual([
+      ['old', 'Not used for over 30 days'],
+      ['c', 'More than 2 sessions']
+    ]);
+  });
+
+  test('moves only the previewed sessions to the trash', async () => {
+    const { manager, storage } = await createManager();
+    const sessions = await ageSessions(manager, { recent: 1, stale: 40, ancient: 100 });
+    const [ancient] = await manager.previewRetention({ enabled: true, maxAgeDays: 30 });
+
+    expect(await manager.applyRetention([ancient.sessionId])).toBe(1);
+
+    expect(manager.getAllSessions().map(session => session.title).sort()).toEqual(['recent', 'stale']);
+    expect(manager.getTrash().map(item => item.sessionId)).toEqual([sessions.ancient]);
+    expect(storage.sessions.get(sessions.ancient).deletedAt).toEqual(expect.any(String));
+    expect(storage.sessions.get(sessions.stale).deletedAt).toBeUndefined();
+    expect(await manager.applyRetention([])).toBe(0);
+  });
+
+  test('keeps normalized guest rules on this device', async () => {
+    const { manager, storage } = await createManager();
+
+    expect(await manager.setRetentionPolicy({ enabled: 1, maxAgeDays: '30', maxSessions: -5 })).toEqual({
+      enabled: true,
+      maxAgeDays: 30,
+      maxSessions: null,
+      keepPinned: true
+    });
+
+    const { manager: reloaded } = await createManager({ storage });
+    expect(reloaded.getRetentionPolicy()).toEqual(manager.getRetentionPolicy());
+  });
+});
+
+describe('SessionManager forks', () => {
+  // A named session with custom settings and a failed answer before u2
+  const seedParent = async (manager) => {
+    const sessionId = await seedSession(manager, [
+      message('u1', 'USER'),
+      { ...message('a1', 'ASSISTANT'), metadata: { tokens: 3 } },
+      { ...message('e1', 'ASSISTANT'), isError: true },
+      message('u2', 'USER'),
+      message('a2', 'ASSISTANT')
+    ]);
+    await manager.renameSession(sessionId, 'Trip');
+    await manager.updateSessionSettings(sessionId, { temperature: 0.2, stopSequences: ['###'] });
+    return sessionId;
+  };
+
+  test('copies the active branch up to the chosen message', async () => {
+    const { manager } = await createManager();
+    const sessionId = await seedParent(manager);
+    manager.addBranch(sessionId, 'a1', message('a1b', 'ASSISTANT'));
+    manager.addMessageLocally(sessionId, message('u3', 'USER'));
+    manager.addMessageLocally(sessionId, message('a3', 'ASSISTANT'));
+
+    const fork = await manager.forkSession(sessionId, 'u3');
+
+    expect(ids(fork.messages)).toEqual(['u1', 'a1b', 'u3']);
+    expect(fork.messageTree).toBeUndefined();
+    expect(fork).toMatchObject({ title: 'Trip (fork)', parentSessionId: sessionId, forkedFromMessageId: 'u3' });
+    expect(manager.getSessionLineage(fork.sessionId)).toEqual([
+      { sessionId, title: 'Trip', deleted: false }
+    ]);
+  });
+
+  test('leaves out failed answers and copies the settings', async () => {
+    const { manager, storage } = await createManager();
+    const sessionId = await seedParent(manager);
+
+    const fork = await manager.forkSession(sessionId, 'u2');
+    await flushWrites();
+
+    expect(ids(fork.messages)).toEqual(['u1', 'a1', 'u2']);
+    expect(manager.getSessionSettings(fork.sessionId)).toEqual(manager.getSessionSettings(sessionId));
+    expect(ids(storage.sessions.get(fork.sessionId).messages)).toEqual(['u1', 'a1', 'u2']);
+    expect(storage.sessions.get(fork.sessionId).settings.stopSequences).toEqual(['###']);
+  });
+
+  test('does not share messages or settings with the original', async () => {
+    const { manager } = await createManager();
+    const sessionId = await seedParent(manager);
+    const parent = await manager.getSession(sessionId);
+
+    const fork = await manager.forkSession(sessionId, 'a1');
+    fork.messages[1].metadata.tokens = 99;
+    fork.messages[0].content = 'changed';
+    fork.settings.stopSequences.push('END');
+    await manager.updateSessionSettings(sessionId, { temperature: 1 });
+    manager.addMessageLocally(fork.sessionId, message('u9', 'USER'));
+
+    expect(parent.messages[0].content).toBe('u1');
+    expect(parent.messages[1].metadata.tokens).toBe(3);
+    expect(manager.getSessionSettings(sessionId).stopSequences).toEqual(['###']);
+    expect(manager.getSessionSettings(fork.sessionId).temperature).toBe(0.2);
+    expect(ids(parent.messages)).toEqual(['u1', 'a1', 'e1', 'u2', 'a2']);
+  });
+
+  test('rejects messages outside the visible conversation', async () => {
+    const { manager } = await createManager();
+    const sessionId = await seedParent(manager);
+    manager.addBranch(sessionId, 'a2', message('a2b', 'ASSISTANT'));
+    const sessionCount = manager.getAllSessions().length;
+
+    await expect(manager.forkSession(sessionId, 'a2')).rejects.toThrow('Message not found in the current conversation');
+    await expect(manager.forkSession('missing', 'u1')).rejects.toThrow('Session not found');
+    expect(manager.getAllSessions()).toHaveLength(sessionCount);
+  });
+});
+
+describe('SessionManager guest migration', () => {
+  const ACCOUNT_ID = 'account_1';
+
+  // Guest sessions on this device, then a sign-in to an account
+  const signInWithGuestSessions = async (conversations) => {
+    const { manager: guest, storage: guestStorage } = await createManager();
+    const guestIds = [];
+    for (const messageIds of conversations) {
+      guestIds.push(await seedSession(guest, messageIds));
+    }
+
+    const accountStorage = new MemoryAdapter();
+    const manager = new SessionManager({ getUserProfile: async () => ({}) }, guestStorage, null, accountStorage);
+    await manager.initialize(ACCOUNT_ID, false);
+    return { guest, manager, guestStorage, accountStorage, guestIds };
+  };
+
+  const conversation = (session) => ids(session.messages);
+
+  test('uploads guest sessions with their branches, settings and metadata', async () => {
+    const { guest, manager, guestStorage, accountStorage, guestIds } = await signInWithGuestSessions([
+      ['u1', 'a1'],
+      ['u2', 'a2']
+    ]);
+    const [first] = guestIds;
+    guest.addBranch(first, 'a1', message('a1b', 'ASSISTANT'));
+    await guest.renameSession(first, 'Branched');
+    await guest.setSessionPinned(first, true);
+    await guest.updateSessionSettings(first, { temperature: 0.3 });
+    await flushWrites();
+    const onProgress = jest.fn();
+
+    const pending = await manager.getPendingGuestSessions();
+    const result = await manager.migrateGuestSessions(ACCOUNT_ID, pending, { onProgress });
+
+    expect(result.failed).toEqual([]);
+    expect(result.skipped).toBe(0);
+    expect(result.migrated.map(conversation)).toEqual([['u1', 'a1b'], ['u2', 'a2']]);
+    expect(onProgress).toHaveBeenLastCalledWith({ done: 2, total: 2, session: null });
+
+    const [uploaded] = result.migrated;
+    expect(uploaded).toMatchObject({ title: 'Branched', pinned: true, userId: ACCOUNT_ID });
+    expect(uploaded.settings.temperature).toBe(0.3);
+    expect(accountStorage.sessions.get(uploaded.sessionId).messageTree).toBeDefined();
+    expect(manager.getBranchInfo(uploaded.sessionId, 'a1b')).toEqual({ index: 1, total: 2 });
+
+    // Everything was uploaded, so the guest data is gone
+    expect(guestStorage.sessions.size).toBe(0);
+    expect(await manager.getPendingGuestSessions()).toEqual([]);
+  });
+
+  test('points uploaded forks at the account copy of their parent', async () => {
+    const { guest, manager, guestIds } = await signInWithGuestSessions([['u1', 'a1']]);
+    await guest.forkSession(guestIds[0], 'a1');
+    await flushWrites();
+
+    const { migrated } = await manager.migrateGuestSessions(ACCOUNT_ID, await manager.getPendingGuestSessions());
+
+    const parent = migrated.find(session => !session.forkedFromMessageId);
+    const fork = migrated.find(session => session.forkedFromMessageId);
+    expect(fork.parentSessionId).toBe(parent.sessionId);
+    expect(manager.getSessionLineage(fork.sessionId).map(item => item.sessionId)).toEqual([parent.sessionId]);
+  });
+
+  test('finds guest conversations the account already has, and skips them on request', async () => {
+    const { manager, accountStorage, guestIds } = await signInWithGuestSessions([['u1', 'a1'], ['u2', 'a2']]);
+    const existingId = await seedSession(manager, [message('x1', 'USER', 'u1'), message('x2', 'ASSISTANT', 'a1')]);
+
+    const pending = await manager.getPendingGuestSessions();
+    const conflicts = await manager.findMigrationConflicts(ACCOUNT_ID, pending);
+
+    expect(conflicts.map(({ guestSession, existingSession }) => [guestSession.sessionId, existingSession.sessionId]))
+      .toEqual([[guestIds[0], existingId]]);
+
+    const result = await manager.migrateGuestSessions(ACCOUNT_ID, pending, { skip: new Set([guestIds[0]]) });
+
+    expect(result.skipped).toBe(1);
+    expect(result.migrated.map(conversation)).toEqual([['u2', 'a2']]);
+    expect(accountStorage.sessions.size).toBe(2);
+  });
+
+  test('keeps failed sessions on this device and uploads each session only once', async () => {
+    const { manager, guestStorage, accountStorage, guestIds } = await signInWithGuestSessions([
+      ['u1', 'a1'],
+      ['u2', 'a2'],
+      ['u3', 'a3']
+    ]);
+    const replaceMessages = accountStorage.replaceMessages.bind(accountStorage);
+    jest.spyOn(accountStorage, 'replaceMessages').mockImplementation(async (userId, session) => {
+      if (session.messages[0].messageId === 'u2') throw new Error('Network down');
+      return replaceMessages(userId, session);
+    });
+
+    const first = await manager.migrateGuestSessions(ACCOUNT_ID, await manager.getPendingGuestSessions());
+    await flushWrites();
+
+    expect(first.migrated.map(conversation)).toEqual([['u1', 'a1'], ['u3', 'a3']]);
+    expect(first.failed.map(({ session, error }) => [session.sessionId, error.message]))
+      .toEqual([[guestIds[1], 'Network down']]);
+    // No half-uploaded copy is left in the account
+    expect(accountStorage.sessions.size).toBe(2);
+    expect(manager.getAllSessions()).toHaveLength(2);
+    // The guest data stays until everything is uploaded
+    expect(guestStorage.sessions.size).toBe(3);
+
+    accountStorage.replaceMessages.mockRestore();
+    const pending = await manager.getPendingGuestSessions();
+    expect(pending.map(session => session.sessionId)).toEqual([guestIds[1]]);
+
+    const retry = await manager.migrateGuestSessions(ACCOUNT_ID, pending);
+
+    expect(retry.migrated.map(conversation)).toEqual([['u2', 'a2']]);
+    expect(accountStorage.sessions.size).toBe(3);
+    expect(guestStorage.sessions.size).toBe(0);
+  });
+
+  test('refuses to migrate while in guest mode', async () => {
+    const { guest } = await signInWithGuestSessions([['u1']]);
+
+    await expect(guest.migrateGuestSessions(USER_ID, [])).rejects.toThrow('Sign in before migrating guest sessions');
+  });
+});
+
+describe('SessionManager titles', () => {
+  // A session holding a question and, unless it is null, its answer
+  const createExchange = async (question, answer = 'Sure.', apiService = {}) => {
+    const { manager } = await createManager({ apiService });
+    const messages = [message('u1', 'USER', question), message('a1', 'ASSISTANT', answer)];
+    const sessionId = await seedSession(manager, answer === null ? messages.slice(0, 1) : messages);
+    return { manager, sessionId };
+  };
+
+  test('titles a session after its first answer', async () => {
+    const { manager, sessionId } = await createExchange('Hello! How do I **reverse** a `list` in Python? Thanks.');
+
+    expect(await manager.generateTitle(sessionId)).toBe('How do I reverse a list in Python');
+    expect(await manager.getSession(sessionId)).toMatchObject({
+      title: 'How do I reverse a list in Python',
+      titleSource: 'auto'
+    });
+  });
+
+  test('waits for an answer and never replaces an existing title', async () => {
+    const unanswered = await createExchange('What is Rust?', null);
+    expect(await unanswered.manager.generateTitle(unanswered.sessionId)).toBeNull();
+
+    const failed = await createExchange('What is Rust?', null);
+    failed.manager.addMessageLocally(failed.sessionId, { ...message('e1', 'ASSISTANT', 'Error'), isError: true });
+    expect(await failed.manager.generateTitle(failed.sessionId)).toBeNull();
+
+    const renamed = await createExchange('What is Rust?');
+    await renamed.manager.renameSession(renamed.sessionId, 'Mine');
+    expect(await renamed.manager.generateTitle(renamed.sessionId)).toBeNull();
+    expect((await renamed.manager.getSession(renamed.sessionId)).title).toBe('Mine');
+  });
+
+  test('skips code and links, and gives up on messages with no words', async () => {
+    const { manager, sessionId } = await createExchange('Fix this:\n```js\nconst x = 1;\n```\nsee [docs](https://x.dev)');
+    expect(await manager.generateTitle(sessionId)).toBe('Fix this: see docs');
+
+    const codeOnly = await createExchange('```\n...\n```');
+    expect(await codeOnly.manager.generateTitle(codeOnly.sessionId)).toBeNull();
+  });
+
+  test('cuts long titles at a word boundary', async () => {
+    const { manager, sessionId } = await createExchange(
+      'explain the difference between processes and threads in operating systems'
+    );
+
+    const title = await manager.generateTitle(sessionId);
+
+    expect(title).toBe('Explain the difference between processes and…');
+    expect(title.length).toBeLessThanOrEqual(49);
+
+    const oneWord = await createExchange('x'.repeat(60));
+    expect(await oneWord.manager.generateTitle(oneWord.sessionId)).toBe(`X${'x'.repeat(47)}…`);
+  });
+
+  test('replaces the heuristic title with a cleaned-up model title', async () => {
+    const apiService = {
+      sendInferenceRequest: jest.fn(async () => ({ response: '<think>Hmm.</think>\nTitle: "rust ownership basics."' }))
+    };
+    const { manager, sessionId } = await createExchange('What is ownership in Rust?', 'It is...', apiService);
+    await manager.generateTitle(sessionId);
+
+    expect(await manager.refineTitleWithModel(sessionId)).toBe('Rust ownership basics');
+
+    const [requestSessionId, history, , options] = apiService.sendInferenceRequest.mock.calls[0];
+    expect(requestSessionId).toBeNull();
+    expect(history[1].content).toBe('User: What is ownership in Rust?\nAssistant: It is...');
+    expect(options).toEqual({ provider: 'pocketllm', model: DEFAULT_GENERATION_SETTINGS.modelId });
+    expect((await manager.getSession(sessionId)).titleSource).toBe('model');
+    // Only heuristic titles are refined
+    expect(await manager.refineTitleWithModel(sessionId)).toBeNull();
+  });
+
+  test('keeps a title the user set while the model was answering', async () => {
+    let answer;
+    const apiService = { sendInferenceRequest: () => new Promise(resolve => { answer = resolve; }) };
+    const { manager, sessionId } = await createExchange('What is Rust?', 'A language.', apiService);
+    await manager.generateTitle(sessionId);
+
+    const refining = manager.refineTitleWithModel(sessionId);
+    await manager.renameSession(sessionId, 'Mine');
+    answer({ response: 'Rust overview' });
+
+    expect(await refining).toBeNull();
+    expect((await manager.getSession(sessionId)).title).toBe('Mine');
+  });
+});
+
+describe('SessionManager context summaries', () => {
+  const turns = [
+    { role: 'user', content: 'Plan a trip to Japan.' },
+    { role: 'assistant', content: '<think>Spring?</think>Day 1: Tokyo. Day 2: Kyoto.' },
+    { role: 'user', content: 'Add Osaka.' },
+    { role: 'assistant', content: 'Day 3: Osaka.' }
+  ];
+
+  const createSummarizing = async (...responses) => {
+    const apiService = { sendInferenceRequest: jest.fn() };
+    responses.forEach(response => apiService.sendInferenceRequest.mockResolvedValueOnce({ response }));
+    const { manager, storage } = await createManager({ apiService });
+    const sessionId = await seedSession(manager);
+    return { manager, storage, sessionId, apiService };
+  };
+
+  test('asks the model for a summary and keeps it on the session', async () => {
+    const { manager, storage, sessionId, apiService } = await createSummarizing('<think>Hmm.</think>\nA trip to Tokyo and Kyoto.');
+
+    const summary = await manager.summarizeContext(sessionId, turns.slice(0, 2), { maxTokens: 80 });
+
+    expect(summary).toMatchObject({ content: 'A trip to Tokyo and Kyoto.', coveredTurns: 2 });
+    const [requestSessionId, history, parameters, options] = apiService.sendInferenceRequest.mock.calls[0];
+    expect(requestSessionId).toBeNull();
+    expect(history[1].content).toBe('User: Plan a trip to Japan.\nAssistant: Day 1: Tokyo. Day 2: Kyoto.');
+    expect(parameters).toEqual({ temperature: 0.2, maxTokens: 80 });
+    expect(options).toEqual({ provider: 'pocketllm', model: DEFAULT_GENERATION_SETTINGS.modelId });
+    expect(manager.getContextSummary(sessionId)).toEqual(summary);
+
+    // Saved with the session
+    const reloaded = (await createManager({ storage })).manager;
+    expect(reloaded.getContextSummary(sessionId)).toEqual(summary);
+  });
+
+  test('extends the summary with newly dropped turns only', async () => {
+    const { manager, sessionId, apiService } = await createSummarizing('A trip to Tokyo and Kyoto.', 'A trip to Tokyo, Kyoto and Osaka.');
+    await manager.summarizeContext(sessionId, turns.slice(0, 2), { maxTokens: 80 });
+
+    const summary = await manager.summarizeContext(sessionId, turns, { maxTokens: 80 });
+
+    expect(summary).toMatchObject({ content: 'A trip to Tokyo, Kyoto and Osaka.', coveredTurns: 4 });
+    expect(apiService.sendInferenceRequest.mock.calls[1][1][1].content)
+      .toBe('Summary so far: A trip to Tokyo and Kyoto.\n\nUser: Add Osaka.\nAssistant: Day 3: Osaka.');
+
+    // Nothing new to summarize
+    expect(await manager.summarizeContext(sessionId, turns, { maxTokens: 80 })).toEqual(summary);
+    expect(apiService.sendInferenceRequest).toHaveBeenCalledTimes(2);
+  });
+
+  test('summarizes everything again once the older turns changed', async () => {
+    const { manager, sessionId, apiService } = await createSummarizing('A trip to Japan.', 'A trip to Korea.');
+    await manager.summarizeContext(sessionId, turns.slice(0, 2), { maxTokens: 80 });
+
+    const edited = [{ role: 'user', content: 'Plan a trip to Korea.' }, ...turns.slice(1)];
+    await manager.summarizeContext(sessionId, edited, { maxTokens: 80 });
+
+    expect(apiService.sendInferenceRequest.mock.calls[1][1][1].content).toMatch(/^User: Plan a trip to Korea\./);
+    expect(manager.getContextSummary(sessionId)).toMatchObject({ content: 'A trip to Korea.', coveredTurns: 4 });
+  });
+
+  test('keeps the old summary when the model fails', async () => {
+    const { manager, sessionId, apiService } = await createSummarizing('A trip to Japan.');
+    await manager.summarizeContext(sessionId, turns.slice(0, 2), { maxTokens: 80 });
+    apiService.sendInferenceRequest.mockRejectedValueOnce(new Error('Model offline'));
+
+    expect(await manager.summarizeContext(sessionId, turns, { maxTokens: 80 })).toBeNull();
+    expect(manager.getContextSummary(sessionId)).toMatchObject({ content: 'A trip to Japan.', coveredTurns: 2 });
+  });
+});
+
+describe('SessionManager cross-tab sync', () => {
+  let uninstall;
+
+  beforeEach(() => {
+    uninstall = installFakeBroadcastChannel();
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  // Two tabs of the app on the same guest storage, and the changes each was told about
+  const openTabs = async () => {
+    const storage = new MemoryAdapter();
+    const open = async () => {
+      const { manager } = await createManager({ storage, tabSync: new TabSync() });
+      const changes = [];
+      manager.onSessionsChanged(change => changes.push(change));
+      return { manager, changes };
+    };
+    return { first: await open(), second: await open() };
+  };
+
+  test('shows sessions and messages from another tab, but not its own changes again', async () => {
+    const { first, second } = await openTabs();
+
+    const sessionId = await seedSession(first.manager, [message('u1', 'USER', 'Hello from the first tab')]);
+
+    expect(ids(second.manager.getAllSessions()[0].messages)).toEqual(['u1']);
+    expect(second.manager.searchIndex.search('first tab')).toHaveLength(1);
+    expect(second.changes).toEqual([
+      { type: SYNC_EVENTS.SESSION_CREATED, sessionId },
+      { type: SYNC_EVENTS.MESSAGE_ADDED, sessionId }
+    ]);
+    expect(first.changes).toEqual([]);
+  });
+
+  test('keeps the local copy when an older one arrives', async () => {
+    const { first, second } = await openTabs();
+    const sessionId = await seedSession(first.manager);
+    const held = second.manager.getAllSessions()[0];
+    const otherTab = new TabSync();
+    const publishSnapshot = (changes) => otherTab.publish(SYNC_EVENTS.SESSION_UPDATED, {
+      session: { ...held, ...changes },
+      scope: 'guest'
+    });
+
+    publishSnapshot({ title: 'Stale', lastAccessedAt: '2000-01-01T00:00:00.000Z' });
+    await flushWrites();
+    expect(held.title).toBeUndefined();
+
+    publishSnapshot({ title: 'Newer', lastAccessedAt: '2999-01-01T00:00:00.000Z' });
+    await flushWrites();
+    // Updated in place, so code holding the session sees the change
+    expect(second.manager.getAllSessions()[0]).toBe(held);
+    expect(held.title).toBe('Newer');
+    expect(second.changes).toEqual([
+      { type: SYNC_EVENTS.SESSION_CREATED, sessionId },
+      { type: SYNC_EVENTS.SESSION_UPDATED, sessionId }
+    ]);
+  });
+
+  test('ignores changes to sessions of another account', async () => {
+    const { second } = await openTabs();
+
+    new TabSync().publish(SYNC_EVENTS.SESSION_CREATED, {
+      session: { sessionId: 'theirs', messages: [] },
+      scope: 'user:someone_else'
+    });
+    await flushWrites();
+
+    expect(second.manager.getAllSessions()).toEqual([]);
+    expect(second.changes).toEqual([]);
+  });
+
+  test('moves sessions into and out of the trash in other tabs', async () => {
+    const { first, second } = await openTabs();
+    const sessionId = await seedSession(first.manager);
+
+    const { trashId } = await first.manager.trashSession(sessionId);
+    await flushWrites();
+    expect(second.manager.getAllSessions()).toEqual([]);
+    expect(second.manager.getTrash().map(item => item.sessionId)).toEqual([sessionId]);
+    expect(second.changes[second.changes.length - 1]).toEqual({ type: SYNC_EVENTS.SESSION_DELETED, sessionId });
+
+    await first.manager.restoreFromTrash(trashId);
+    await flushWrites();
+    expect(second.manager.getAllSessions().map(session => session.sessionId)).toEqual([sessionId]);
+    expect(second.manager.getTrash()).toEqual([]);
+
+    await first.manager.trashSession(sessionId);
+    await first.manager.purgeFromTrash(trashId);
+    await flushWrites();
+    expect(second.manager.getAllSessions()).toEqual([]);
+    expect(second.manager.getTrash()).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * TabSync - Broadcasts session and auth changes to other tabs of the app
+ * Built on BroadcastChannel; does nothing in browsers without it.
+ */
+
+const CHANNEL_NAME = 'pocketllm-sync';
+
+export const SYNC_EVENTS = {
+  SESSION_CREATED: 'SESSION_CREATED',
+  SESSION_UPDATED: 'SESSION_UPDATED',
+  SESSION_DELETED: 'SESSION_DELETED',
+  MESSAGE_ADDED: 'MESSAGE_ADDED',
+  SIGNED_IN: 'SIGNED_IN',
+  SIGNED_OUT: 'SIGNED_OUT'
+};
+
+export class TabSync {
+  constructor(channelName = CHANNEL_NAME) {
+    this.tabId = `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.callbacks = [];
+    this.channel = null;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(channelName);
+      this.channel.onmessage = (event) => this._handleMessage(event.data);
+    }
+  }
+
+  /**
+   * Check whether other tabs can be reached
+   */
+  isAvailable() {
+    return this.channel !== null;
+  }
+
+  /**
+   * Send an event to every other tab
+   */
+  publish(type, payload = {}) {
+    if (!this.channel) return;
+
+    try {
+      this.channel.postMessage({ type, payload, tabId: this.tabId, sentAt: Date.now() });
+    } catch (error) {
+      console.error('Failed to broadcast tab sync event:', error);
+    }
+  }
+
+  /**
+   * Listen for events from other tabs
+   * @param {function} callback - Called with ({ type, payload, tabId, sentAt })
+   * @returns {function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.callbacks.push(callback);
+
+    return () => {
+      this.callbacks = this.callbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * @private
+   */
+  _handleMessage(event) {
+    if (!event || event.tabId === this.tabId) return;
+
+    this.callbacks.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('Tab sync listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Stop listening and release the channel
+   */
+  close() {
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    this.callbacks = [];
+  }
+}
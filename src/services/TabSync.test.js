@@ -0,0 +1,94 @@
+import { TabSync, SYNC_EVENTS } from './TabSync';
+import { installFakeBroadcastChannel } from './testing/FakeBroadcastChannel';
+
+// Let the fake channel deliver what was posted
+const deliver = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// A tab and the events it received
+const openTab = () => {
+  const sync = new TabSync();
+  const received = [];
+  sync.subscribe(event => received.push(event));
+  return { sync, received };
+};
+
+describe('TabSync', () => {
+  let uninstall;
+
+  beforeEach(() => {
+    uninstall = installFakeBroadcastChannel();
+  });
+
+  afterEach(() => {
+    uninstall();
+    jest.restoreAllMocks();
+  });
+
+  test('delivers events to every other tab, never back to the sender', async () => {
+    const [sender, first, second] = [openTab(), openTab(), openTab()];
+
+    sender.sync.publish(SYNC_EVENTS.SESSION_DELETED, { sessionId: 's1' });
+    await deliver();
+
+    [first, second].forEach(({ received }) => {
+      expect(received).toEqual([{
+        type: SYNC_EVENTS.SESSION_DELETED,
+        payload: { sessionId: 's1' },
+        tabId: sender.sync.tabId,
+        sentAt: expect.any(Number)
+      }]);
+    });
+    expect(sender.received).toEqual([]);
+  });
+
+  test('ignores messages carrying its own tab ID', () => {
+    const tab = openTab();
+
+    tab.sync.channel.onmessage({ data: { type: SYNC_EVENTS.SIGNED_OUT, payload: {}, tabId: tab.sync.tabId } });
+    tab.sync.channel.onmessage({ data: null });
+
+    expect(tab.received).toEqual([]);
+  });
+
+  test('stops delivering after unsubscribing or closing', async () => {
+    const sender = openTab();
+    const unsubscribed = new TabSync();
+    const listener = jest.fn();
+    unsubscribed.subscribe(listener)();
+    const closed = openTab();
+    closed.sync.close();
+
+    sender.sync.publish(SYNC_EVENTS.SIGNED_IN);
+    await deliver();
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(closed.received).toEqual([]);
+    expect(closed.sync.isAvailable()).toBe(false);
+  });
+
+  test('keeps calling listeners after one throws', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const sender = openTab();
+    const receiver = new TabSync();
+    const later = jest.fn();
+    receiver.subscribe(() => { throw new Error('Listener failed'); });
+    receiver.subscribe(later);
+
+    sender.sync.publish(SYNC_EVENTS.SIGNED_OUT);
+    await deliver();
+
+    expect(later).toHaveBeenCalledTimes(1);
+  });
+
+  test('does nothing in browsers without BroadcastChannel', () => {
+    uninstall();
+    const original = global.BroadcastChannel;
+    delete global.BroadcastChannel;
+
+    const sync = new TabSync();
+
+    expect(sync.isAvailable()).toBe(false);
+    expect(() => sync.publish(SYNC_EVENTS.SIGNED_IN)).not.toThrow();
+    global.BroadcastChannel = original;
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Request interceptors for APIService
+ *
+ * An interceptor is a plain object with any of these hooks (all may be async):
+ * - onRequest(request) - change the outgoing request; return it (or a copy)
+ * - onResponse(response, request) - see the successful fetch Response; return
+ *   it or a replacement
+ * - onError(error, request) - see a failed request; return an error to throw
+ *   instead, or nothing to keep the original
+ *
+ * `request` is { method, endpoint, url, headers, body, signal, telemetry, external, meta }.
+ * `body` is the unserialized payload and `meta` is free for interceptors to
+ * keep per-request state in. `external` requests go to another server than
+ * the backend (an inference provider); the built-in interceptors leave their
+ * headers alone. Hooks run in registration order; register
+ * with apiService.use(interceptor), which returns an unregister function.
+ */
+
+/**
+ * Send the signed-in user's ID token
+ */
+export const createAuthInterceptor = (apiService) => ({
+  name: 'auth',
+  onRequest(request) {
+    const token = apiService.getIdToken();
+    // Never hand the user's token to another server
+    if (token && !request.external) {
+      request.headers['Authorization'] = `Bearer ${token}`;
+    }
+    return request;
+  }
+});
+
+/**
+ * Record the telemetry event a request was tagged with
+ * Callers pass { telemetry: { action, summary } } to _request, where
+ * `summary` is a string or a function of the JSON response; requests
+ * without a tag are not logged. Inference telemetry is logged by
+ * sendInferenceRequest, which sees the streamed answer.
+ */
+export const createTelemetryInterceptor = (apiService) => ({
+  name: 'telemetry',
+  onRequest(request) {
+    // Kept across a replay after a token refresh, so latency covers both
+    request.meta.startedAt = request.meta.startedAt || Date.now();
+    return request;
+  },
+  async onResponse(response, request) {
+    if (request.telemetry) {
+      const { action } = request.telemetry;
+      const latency = Date.now() - request.meta.startedAt;
+      let { summary } = request.telemetry;
+      if (typeof summary === 'function') {
+        summary = summary(await response.clone().json().catch(() => ({})));
+      }
+      apiService._logTelemetry(action, [], summary, latency, false);
+    }
+    return response;
+  }
+});
+
+/**
+ * Add fixed headers, e.g. tenant ID or app version
+ * @param {object|function} headers - Headers, or a function returning them
+ *   (called per request); empty values are left out
+ */
+export const createHeadersInterceptor = (headers) => ({
+  name: 'headers',
+  onRequest(request) {
+    // Custom headers would fail CORS preflight on servers that don't expect them
+    if (request.external) return request;
+    const values = typeof headers === 'function' ? headers(request) : headers;
+    Object.entries(values || {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        request.headers[name] = String(value);
+      }
+    });
+    return request;
+  }
+});
+
+/**
+ * Give every request a trace ID the backend can log
+ * Replays after a token refresh keep the ID of the original request.
+ */
+export const createTraceInterceptor = (headerName = 'X-Trace-Id') => ({
+  name: 'trace',
+  onRequest(request) {
+    if (request.external) return request;
+    request.meta.traceId = request.meta.traceId || (
+      typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+    );
+    request.headers[headerName] = request.meta.traceId;
+    return request;
+  }
+});
@@ -0,0 +1,139 @@
+/**
+ * Mock Authentication Service
+ * Drop-in replacement for AuthService when running against MockBackend:
+ * "Sign in with Google" signs in a fixed local account without Firebase.
+ * ID tokens look like mock-token:<uid>:<n>; refreshing bumps <n>.
+ */
+
+const STORAGE_KEY = 'mockAuthUser';
+
+export const MOCK_USER = {
+  uid: 'mock-user',
+  email: 'dev@pocketllm.local',
+  displayName: 'Mock User',
+  photoURL: null
+};
+
+export class MockAuthService {
+  constructor() {
+    this.currentUser = null;
+    this.authStateCallbacks = [];
+    this.tokenVersion = 1;
+  }
+
+  /**
+   * Restore the signed-in user from the last visit
+   * "Remember me" keeps it in localStorage, otherwise in sessionStorage.
+   */
+  async initialize() {
+    const stored = localStorage.getItem(STORAGE_KEY) || sessionStorage.getItem(STORAGE_KEY);
+    this._setUser(stored ? JSON.parse(stored) : null);
+    return this.currentUser;
+  }
+
+  /**
+   * Subscribe to auth state changes
+   */
+  onAuthStateChange(callback) {
+    this.authStateCallbacks.push(callback);
+
+    // Return unsubscribe function
+    return () => {
+      this.authStateCallbacks = this.authStateCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Sign in the mock account
+   * @param {boolean} rememberMe - If true, persists auth state across browser sessions
+   */
+  async signInWithGoogle(rememberMe = true) {
+    const storage = rememberMe ? localStorage : sessionStorage;
+    storage.setItem(STORAGE_KEY, JSON.stringify(MOCK_USER));
+    this._setUser({ ...MOCK_USER });
+
+    return {
+      user: { ...MOCK_USER },
+      idToken: await this.getIdToken()
+    };
+  }
+
+  /**
+   * Continue as guest (no authentication)
+   */
+  async continueAsGuest() {
+    const guestId = `guest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    return {
+      user: {
+        uid: guestId,
+        email: 'guest@pocketllm.local',
+        displayName: 'Guest User',
+        photoURL: null,
+        isGuest: true
+      },
+      idToken: null // No token for guest users
+    };
+  }
+
+  /**
+   * Sign out
+   */
+  async signOut() {
+    localStorage.removeItem(STORAGE_KEY);
+    sessionStorage.removeItem(STORAGE_KEY);
+    this._setUser(null);
+
+    // Clear any guest data from localStorage
+    localStorage.removeItem('guestUser');
+    localStorage.removeItem('guestSessions');
+
+    return true;
+  }
+
+  /**
+   * Get current user
+   */
+  getCurrentUser() {
+    return this.currentUser;
+  }
+
+  /**
+   * Check if user is authenticated
+   */
+  isAuthenticated() {
+    return this.currentUser !== null;
+  }
+
+  /**
+   * Get ID token for current user
+   */
+  async getIdToken(forceRefresh = false) {
+    if (!this.currentUser) {
+      return null;
+    }
+    if (forceRefresh) {
+      this.tokenVersion++;
+    }
+    return `mock-token:${this.currentUser.uid}:${this.tokenVersion}`;
+  }
+
+  /**
+   * Refresh ID token
+   */
+  async refreshIdToken() {
+    return await this.getIdToken(true);
+  }
+
+  /**
+   * @private
+   */
+  _setUser(user) {
+    this.currentUser = user;
+    for (const callback of this.authStateCallbacks) {
+      callback(user);
+    }
+  }
+}
+
+export default MockAuthService;
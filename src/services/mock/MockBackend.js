@@ -0,0 +1,534 @@
+/**
+ * MockBackend - In-memory stand-in for the PocketLLM backend
+ *
+ * Answers every route APIService (and the admin console) calls, so the portal
+ * runs without network, Firebase or a model. Responses are deterministic:
+ * IDs come from a counter and fake inference picks its canned answer from a
+ * hash of the prompt, streaming it word by word as NDJSON.
+ *
+ * Installed as a fetch() wrapper: requests under `baseURL` are handled here,
+ * everything else goes to the real fetch.
+ */
+
+import { hashString } from '../../utils/hash';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MOCK_MODEL = 'deepseek-r1:1.5b';
+const MOCK_TOKEN_PREFIX = 'mock-token:';
+
+const CANNED_REPLIES = [
+  'This answer comes from the offline mock backend, so no model was run. You asked: "{prompt}". Set REACT_APP_MOCK_BACKEND=false to talk to the real backend.',
+  'Here is a mock answer to "{prompt}":\n\n1. The mock backend keeps everything in memory.\n2. Answers are picked from a short list of canned replies.\n3. The same prompt always gets the same reply.',
+  'A mock reply with some code for "{prompt}":\n\n```javascript\nfunction greet(name) {\n  return "Hello, " + name + "!";\n}\n```\n\nNothing was executed.',
+  'Mock backend here. "{prompt}" is a good question; a real model would have something more useful to say about it.'
+];
+
+/**
+ * Error answered with a status code and a JSON error body
+ */
+class MockHttpError extends Error {
+  constructor(status, message, code = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const STATUS_TEXT = { 200: 'OK', 400: 'Bad Request', 401: 'Unauthorized', 404: 'Not Found', 500: 'Internal Server Error' };
+
+/**
+ * Build a fetch Response
+ * Uses the real Response class when there is one; test environments without
+ * the Fetch API get a minimal stand-in with the parts APIService reads.
+ */
+const createResponse = (status, body, headers) => {
+  const init = { status, statusText: STATUS_TEXT[status] || '', headers };
+  if (typeof Response !== 'undefined') {
+    return new Response(body, init);
+  }
+
+  const lowerCaseHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: init.statusText,
+    headers: { get: (name) => lowerCaseHeaders[name.toLowerCase()] ?? null },
+    body: null,
+    json: async () => JSON.parse(body),
+    text: async () => body,
+    clone: () => createResponse(status, body, headers)
+  };
+};
+
+const jsonResponse = (status, data) => createResponse(status, JSON.stringify(data), {
+  'Content-Type': 'application/json'
+});
+
+const abortError = () => new DOMException('The request was aborted', 'AbortError');
+
+/**
+ * Wait like a network would, unless the request is aborted first
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+export class MockBackend {
+  /**
+   * @param {object} options
+   * @param {number} options.latencyMs - Delay before each response
+   * @param {number} options.tokenDelayMs - Delay between streamed tokens
+   */
+  constructor({ latencyMs = 150, tokenDelayMs = 30 } = {}) {
+    this.latencyMs = latencyMs;
+    this.tokenDelayMs = tokenDelayMs;
+    this.routes = this._buildRoutes();
+    this.reset();
+  }
+
+  /**
+   * Forget all users, sessions, cache entries and logs
+   */
+  reset() {
+    this.nextId = 1;
+    this.users = new Map();
+    this.sessions = new Map();
+    this.cache = new Map();
+    this.cacheStats = { hits: 0, misses: 0, sets: 0, deletes: 0, evictions: 0, expirations: 0 };
+    this.cacheConfig = { default_ttl: 3600, max_size: 1000 };
+    this.model = MOCK_MODEL;
+    this.logs = [];
+    this._log('INFO', 'Mock backend started');
+  }
+
+  /**
+   * Handle one request like fetch() would
+   * @param {string} url - Path relative to the API base URL, with query string
+   */
+  async handle(url, { method = 'GET', headers = {}, body = null, signal } = {}) {
+    await delay(this.latencyMs, signal);
+
+    const [path, queryString = ''] = url.split('?');
+    const query = new URLSearchParams(queryString);
+    const data = body ? JSON.parse(body) : {};
+    const authorization = headers.Authorization || headers.authorization || '';
+
+    for (const route of this.routes) {
+      const match = route.method === method.toUpperCase() && path.match(route.pattern);
+      if (!match) continue;
+
+      try {
+        const userId = route.auth ? this._authenticate(authorization) : null;
+        const result = await route.handler({ params: match.slice(1), query, data, userId, signal });
+        // Handlers return plain data, or a ready Response when streaming
+        return typeof result?.json === 'function' ? result : jsonResponse(200, result);
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        if (error instanceof MockHttpError) {
+          return jsonResponse(error.status, { error: error.message, code: error.code });
+        }
+        return jsonResponse(500, { error: error.message, code: 'MOCK_ERROR' });
+      }
+    }
+
+    return jsonResponse(404, { error: `No mock route for ${method} ${path}`, code: 'NOT_FOUND' });
+  }
+
+  // ============================================
+  // ROUTES
+  // ============================================
+
+  /**
+   * Routes in match order; `auth` routes need a mock ID token
+   * @private
+   */
+  _buildRoutes() {
+    const route = (method, pattern, handler, auth = true) => ({ method, pattern, handler, auth });
+
+    return [
+      // Auth
+      route('POST', /^\/auth\/login$/, ({ data }) => {
+        const userId = this._authenticate(`Bearer ${data.idToken}`);
+        return { message: 'Login successful', user: this._getUser(userId) };
+      }, false),
+      route('POST', /^\/auth\/verify$/, ({ data }) => {
+        const userId = this._userIdFromToken(data.idToken);
+        return userId ? { valid: true, uid: userId } : { valid: false };
+      }, false),
+      route('GET', /^\/auth\/profile$/, ({ userId }) => this._getUser(userId)),
+      route('PATCH', /^\/auth\/profile$/, ({ userId, data }) => Object.assign(this._getUser(userId), data)),
+      route('POST', /^\/auth\/logout$/, () => ({ message: 'Logged out' }), false),
+
+      // Sessions (specific paths before /sessions/:id)
+      route('GET', /^\/sessions$/, ({ userId }) => ({
+        sessions: this._userSessions(userId)
+      })),
+      route('POST', /^\/sessions$/, ({ userId }) => this._createSession(userId)),
+      route('GET', /^\/sessions\/search$/, ({ userId, query }) => ({
+        results: this._search(userId, query.get('q') || '', Number(query.get('limit')) || 50)
+      })),
+      route('POST', /^\/sessions\/retention$/, ({ userId, data }) => ({
+        sessions: this._applyRetention(userId, data)
+      })),
+      route('GET', /^\/sessions\/([^/]+)\/([^/]+)\/messages$/, ({ userId, params }) => ({
+        messages: this._getSession(userId, params[1]).messages
+      })),
+      route('POST', /^\/sessions\/([^/]+)\/([^/]+)\/messages$/, ({ userId, params, data }) => {
+        const session = this._getSession(userId, params[1]);
+        session.messages.push(...(data.messages || []).map(message => ({ ...message })));
+        return { message: 'Messages added', count: session.messages.length };
+      }),
+      route('DELETE', /^\/sessions\/([^/]+)\/([^/]+)$/, ({ userId, params }) => {
+        this._getSession(userId, params[1]);
+        this.sessions.delete(params[1]);
+        return { message: 'Session deleted' };
+      }),
+      route('POST', /^\/sessions\/([^/]+)\/clear$/, ({ userId, params }) => {
+        const session = this._getSession(userId, params[0]);
+        session.messages = [];
+        return { message: 'History cleared' };
+      }),
+      route('GET', /^\/sessions\/([^/]+)$/, ({ userId, params }) => this._getSession(userId, params[0])),
+      route('PATCH', /^\/sessions\/([^/]+)$/, ({ userId, params, data }) => {
+        const session = this._getSession(userId, params[0]);
+        return Object.assign(session, data, { lastAccessedAt: new Date().toISOString() });
+      }),
+
+      // Inference (guests call it without a token)
+      route('POST', /^\/inference$/, (request) => this._inference(request), false),
+
+      // Health and cache
+      route('GET', /^\/health$/, () => ({
+        status: 'healthy',
+        cpuUsage: 12.5,
+        memoryUsage: 41.2,
+        activeSessions: this.sessions.size,
+        model: this.model,
+        mock: true
+      }), false),
+      route('GET', /^\/cache\/stats$/, () => this._cacheStats(), false),
+      route('GET', /^\/cache\/config$/, () => ({ ...this.cacheConfig }), false),
+
+      // Admin
+      route('POST', /^\/admin\/cache\/config$/, ({ data }) => this._setCacheConfig(data)),
+      route('POST', /^\/admin\/cache\/clear$/, () => this._clearCache()),
+      route('POST', /^\/admin\/model\/reload$/, ({ data }) => {
+        this.model = data.modelName || this.model;
+        this._log('INFO', `Model reloaded: ${this.model}`);
+        return { message: `Model ${this.model} reloaded`, model: this.model };
+      }),
+      route('GET', /^\/admin\/logs$/, ({ query }) => ({
+        logs: this.logs.slice(-(Number(query.get('limit')) || 100))
+      }))
+    ];
+  }
+
+  // ============================================
+  // USERS & SESSIONS
+  // ============================================
+
+  /**
+   * @private
+   */
+  _userIdFromToken(token) {
+    // Tokens look like mock-token:<uid>:<n>, see MockAuthService
+    if (typeof token !== 'string' || !token.startsWith(MOCK_TOKEN_PREFIX)) return null;
+    return token.slice(MOCK_TOKEN_PREFIX.length).split(':')[0] || null;
+  }
+
+  /**
+   * @private
+   */
+  _authenticate(authorization) {
+    const userId = this._userIdFromToken(authorization.replace(/^Bearer /, ''));
+    if (!userId) {
+      throw new MockHttpError(401, 'Invalid or missing ID token', 'UNAUTHORIZED');
+    }
+    return userId;
+  }
+
+  /**
+   * @private
+   */
+  _getUser(userId) {
+    if (!this.users.has(userId)) {
+      this.users.set(userId, {
+        uid: userId,
+        email: `${userId}@pocketllm.local`,
+        displayName: 'Mock User',
+        createdAt: new Date().toISOString()
+      });
+    }
+    return this.users.get(userId);
+  }
+
+  /**
+   * @private
+   */
+  _userSessions(userId) {
+    return [...this.sessions.values()].filter(session => session.userId === userId);
+  }
+
+  /**
+   * @private
+   */
+  _createSession(userId) {
+    const now = new Date().toISOString();
+    const session = {
+      sessionId: `mock_session_${this.nextId++}`,
+      userId,
+      messages: [],
+      createdAt: now,
+      lastAccessedAt: now
+    };
+    this.sessions.set(session.sessionId, session);
+    return session;
+  }
+
+  /**
+   * @private
+   */
+  _getSession(userId, sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.userId !== userId) {
+      throw new MockHttpError(404, 'Session not found', 'SESSION_NOT_FOUND');
+    }
+    return session;
+  }
+
+  /**
+   * @private
+   */
+  _search(userId, query, limit) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+
+    const results = [];
+    for (const session of this._userSessions(userId)) {
+      for (const message of session.messages) {
+        const index = (message.content || '').toLowerCase().indexOf(needle);
+        if (index < 0) continue;
+        results.push({
+          sessionId: session.sessionId,
+          messageId: message.messageId,
+          snippet: message.content.slice(Math.max(0, index - 40), index + needle.length + 40)
+        });
+      }
+    }
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Same rules as SessionManager's local retention
+   * @private
+   */
+  _applyRetention(userId, { policy = {}, dryRun = true, sessionIds = null }) {
+    const now = Date.now();
+    const lastUsed = (session) => new Date(session.lastAccessedAt || session.createdAt || 0).getTime() || 0;
+    const sessions = this._userSessions(userId)
+      .filter(session => !session.deletedAt && !(policy.keepPinned && session.pinned))
+      .sort((a, b) => lastUsed(b) - lastUsed(a));
+    const expired = new Map();
+
+    if (policy.maxAgeDays) {
+      sessions
+        .filter(session => lastUsed(session) < now - policy.maxAgeDays * DAY_MS)
+        .forEach(session => expired.set(session.sessionId, `Not used for over ${policy.maxAgeDays} days`));
+    }
+    if (policy.maxSessions) {
+      sessions.slice(policy.maxSessions)
+        .filter(session => !expired.has(session.sessionId))
+        .forEach(session => expired.set(session.sessionId, `More than ${policy.maxSessions} chats`));
+    }
+
+    const matches = [...expired]
+      .filter(([sessionId]) => !sessionIds || sessionIds.includes(sessionId))
+      .map(([sessionId, reason]) => {
+        const session = this.sessions.get(sessionId);
+        return {
+          sessionId,
+          title: session.title || null,
+          lastAccessedAt: session.lastAccessedAt,
+          messageCount: session.messages.length,
+          reason
+        };
+      });
+
+    if (!dryRun) {
+      matches.forEach(({ sessionId }) => this.sessions.delete(sessionId));
+      this._log('INFO', `Retention removed ${matches.length} sessions for ${userId}`);
+    }
+    return matches;
+  }
+
+  // ============================================
+  // INFERENCE
+  // ============================================
+
+  /**
+   * Answer with a canned reply, streamed when the client asks for it
+   * @private
+   */
+  async _inference({ data, signal }) {
+    const messages = Array.isArray(data.messages) ? data.messages : [];
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    if (!lastUser) {
+      throw new MockHttpError(400, 'messages must include a user message', 'INVALID_MESSAGES');
+    }
+
+    const prompt = lastUser.content.trim();
+    const cacheKey = hashString(JSON.stringify(messages));
+    const isCached = this.cache.has(cacheKey);
+    if (isCached) {
+      this.cacheStats.hits++;
+    } else {
+      this.cacheStats.misses++;
+      this.cacheStats.sets++;
+    }
+
+    const template = CANNED_REPLIES[parseInt(hashString(prompt).slice(0, 8), 16) % CANNED_REPLIES.length];
+    const reply = template.replace('{prompt}', prompt.length > 80 ? `${prompt.slice(0, 77)}...` : prompt);
+    this.cache.set(cacheKey, reply);
+    const tokens = reply.split(/(\s+)/).filter(Boolean);
+    this._saveMessage(data.sessionId, 'USER', prompt);
+
+    const result = { response: reply, isCached, tokens: tokens.length, model: data.model || this.model };
+    const canStream = typeof Response !== 'undefined'
+      && typeof ReadableStream !== 'undefined'
+      && typeof TextEncoder !== 'undefined';
+    if (!data.stream || !canStream) {
+      this._saveMessage(data.sessionId, 'ASSISTANT', reply);
+      return result;
+    }
+
+    const encoder = new TextEncoder();
+    const tokenDelayMs = isCached ? 0 : this.tokenDelayMs;
+    let index = 0;
+    const stream = new ReadableStream({
+      pull: async (controller) => {
+        try {
+          if (index < tokens.length) {
+            await delay(tokenDelayMs, signal);
+            controller.enqueue(encoder.encode(`${JSON.stringify({ token: tokens[index++] })}\n`));
+          } else {
+            // Only finished answers are saved; the client saves one cut short by Stop
+            this._saveMessage(data.sessionId, 'ASSISTANT', reply);
+            controller.enqueue(encoder.encode(`${JSON.stringify({ ...result, done: true })}\n`));
+            controller.close();
+          }
+        } catch (error) {
+          controller.error(error);
+        }
+      }
+    });
+
+    return createResponse(200, stream, { 'Content-Type': 'application/x-ndjson' });
+  }
+
+  /**
+   * The real backend stores the messages of every exchange in the session
+   * @private
+   */
+  _saveMessage(sessionId, type, content) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return; // Guest sessions are stored on the device
+
+    const timestamp = new Date().toISOString();
+    session.messages.push({ messageId: `mock_msg_${this.nextId++}`, type, content, timestamp });
+    session.lastAccessedAt = timestamp;
+  }
+
+  // ============================================
+  // CACHE & LOGS
+  // ============================================
+
+  /**
+   * @private
+   */
+  _cacheStats() {
+    const lookups = this.cacheStats.hits + this.cacheStats.misses;
+    return {
+      entries: this.cache.size,
+      max_size: this.cacheConfig.max_size,
+      ...this.cacheStats,
+      hit_rate: lookups > 0 ? `${((this.cacheStats.hits / lookups) * 100).toFixed(2)}%` : '0%'
+    };
+  }
+
+  /**
+   * @private
+   */
+  _setCacheConfig(data) {
+    const ttl = Number(data.ttl ?? data.default_ttl);
+    const maxSize = Number(data.maxSize ?? data.max_size);
+    if (Number.isNaN(ttl) || ttl < 1 || Number.isNaN(maxSize) || maxSize < 1) {
+      throw new MockHttpError(400, 'ttl and maxSize must be positive numbers', 'INVALID_CACHE_CONFIG');
+    }
+
+    this.cacheConfig = { default_ttl: ttl, max_size: maxSize };
+    this._log('INFO', `Cache config updated: TTL=${ttl}s, max size=${maxSize}`);
+    return { message: 'Cache configuration updated', config: { ...this.cacheConfig } };
+  }
+
+  /**
+   * @private
+   */
+  _clearCache() {
+    this.cacheStats.deletes += this.cache.size;
+    this.cache.clear();
+    this._log('INFO', 'Cache cleared');
+    return { message: 'Cache cleared' };
+  }
+
+  /**
+   * @private
+   */
+  _log(level, message) {
+    this.logs.push({ timestamp: new Date().toISOString(), level, message });
+    if (this.logs.length > 1000) {
+      this.logs.shift();
+    }
+  }
+}
+
+/**
+ * Route fetch() calls for `baseURL` to a MockBackend
+ * Installing again returns the backend that is already installed.
+ * @returns {MockBackend}
+ */
+export const installMockBackend = ({ baseURL, ...options }) => {
+  if (window.fetch?.mockBackend) {
+    return window.fetch.mockBackend;
+  }
+
+  const backend = new MockBackend(options);
+  const realFetch = window.fetch;
+  const mockFetch = (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!url.startsWith(baseURL)) {
+      return realFetch
+        ? realFetch(input, init)
+        : Promise.reject(new TypeError(`Offline mock backend: no network for ${url}`));
+    }
+    return backend.handle(url.slice(baseURL.length), init);
+  };
+  mockFetch.mockBackend = backend;
+  window.fetch = mockFetch;
+
+  console.info(`🧪 Mock backend answering requests to ${baseURL}`);
+  return backend;
+};
@@ -0,0 +1,63 @@
+import { MockBackend } from './MockBackend';
+
+const AUTH = { Authorization: 'Bearer mock-token:alice:1' };
+
+const call = async (backend, method, url, data, headers = AUTH) => {
+  const response = await backend.handle(url, {
+    method,
+    headers,
+    body: data ? JSON.stringify(data) : null
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+describe('MockBackend', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = new MockBackend({ latencyMs: 0, tokenDelayMs: 0 });
+  });
+
+  test('requires a mock token for account routes', async () => {
+    expect((await call(backend, 'GET', '/sessions?uid=alice', null, {})).status).toBe(401);
+    expect((await call(backend, 'GET', '/health', null, {})).status).toBe(200);
+  });
+
+  test('stores sessions per user and answers inference deterministically', async () => {
+    const { body: session } = await call(backend, 'POST', '/sessions', { userId: 'alice' });
+    expect(session.sessionId).toBe('mock_session_1');
+
+    const request = { sessionId: session.sessionId, messages: [{ role: 'user', content: 'Hello' }] };
+    const first = await call(backend, 'POST', '/inference', request);
+    const second = await call(backend, 'POST', '/inference', request);
+    expect(second.body.response).toBe(first.body.response);
+    expect([first.body.isCached, second.body.isCached]).toEqual([false, true]);
+
+    const { body } = await call(backend, 'GET', `/sessions/alice/${session.sessionId}/messages`);
+    expect(body.messages.map(message => message.type)).toEqual(['USER', 'ASSISTANT', 'USER', 'ASSISTANT']);
+
+    const other = await call(backend, 'GET', `/sessions/${session.sessionId}`, null, {
+      Authorization: 'Bearer mock-token:bob:1'
+    });
+    expect(other.status).toBe(404);
+  });
+
+  test('applies retention only when not a dry run', async () => {
+    await call(backend, 'POST', '/sessions', { userId: 'alice' });
+    await call(backend, 'POST', '/sessions', { userId: 'alice' });
+    const policy = { maxSessions: 1 };
+
+    const preview = await call(backend, 'POST', '/sessions/retention', { uid: 'alice', policy, dryRun: true });
+    expect(preview.body.sessions).toHaveLength(1);
+    expect((await call(backend, 'GET', '/sessions?uid=alice')).body.sessions).toHaveLength(2);
+
+    await call(backend, 'POST', '/sessions/retention', { uid: 'alice', policy, dryRun: false });
+    expect((await call(backend, 'GET', '/sessions?uid=alice')).body.sessions).toHaveLength(1);
+  });
+
+  test('reports unknown routes as 404', async () => {
+    const { status, body } = await call(backend, 'GET', '/nope');
+    expect(status).toBe(404);
+    expect(body.code).toBe('NOT_FOUND');
+  });
+});
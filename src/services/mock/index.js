@@ -0,0 +1,7 @@
+/**
+ * Offline mock of the PocketLLM backend and Google sign-in
+ * Enabled with REACT_APP_MOCK_BACKEND=true (see config/backend.js).
+ */
+
+export { MockBackend, installMockBackend } from './MockBackend';
+export { MockAuthService, MOCK_USER } from './MockAuthService';
@@ -0,0 +1,132 @@
+/**
+ * Inference providers
+ *
+ * A provider translates the portal's inference request (chat `messages` plus
+ * the session's `parameters`: temperature, topP, maxTokens, stopSequences,
+ * seed) to another server's chat API and its answer back. Sessions pick one
+ * in their generation settings; PocketLLM's own /inference endpoint is the
+ * default and is handled by APIService itself.
+ *
+ * A provider is a plain object:
+ * - id, name, baseURL, endpoint, headers
+ * - streamFormat - 'sse' or 'ndjson'
+ * - buildRequest(messages, parameters, { model, stream }) - the request body
+ * - parseResponse(json) - { response, tokens } from a non-streamed answer
+ * - parseStreamEvent(json) - { token, done, meta } for one streamed event;
+ *   `meta.tokens` on the last event is the number of generated tokens
+ */
+
+import { providerConfig } from '../config/providers';
+
+export const PROVIDERS = {
+  POCKETLLM: 'pocketllm',
+  OPENAI: 'openai',
+  OLLAMA: 'ollama'
+};
+
+// For the provider picker in the generation settings
+export const PROVIDER_OPTIONS = [
+  { id: PROVIDERS.POCKETLLM, name: 'PocketLLM backend' },
+  { id: PROVIDERS.OPENAI, name: 'OpenAI-compatible (llama.cpp, vLLM, ...)' },
+  { id: PROVIDERS.OLLAMA, name: 'Ollama' }
+];
+
+/**
+ * Leave out parameters the session did not set
+ */
+const definedOnly = (values) => Object.fromEntries(
+  Object.entries(values).filter(([, value]) => value !== undefined && value !== null)
+);
+
+/**
+ * OpenAI chat completions API (/v1/chat/completions)
+ * Also spoken by llama.cpp's server, vLLM and LM Studio.
+ */
+export const createOpenAIProvider = ({ baseURL, apiKey = '' }) => ({
+  id: PROVIDERS.OPENAI,
+  name: 'OpenAI-compatible',
+  baseURL: baseURL.replace(/\/+$/, ''),
+  endpoint: '/v1/chat/completions',
+  headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+  streamFormat: 'sse',
+
+  buildRequest(messages, parameters, { model, stream }) {
+    return definedOnly({
+      model,
+      messages,
+      stream,
+      temperature: parameters.temperature,
+      top_p: parameters.topP,
+      max_tokens: parameters.maxTokens,
+      stop: parameters.stopSequences,
+      seed: parameters.seed
+    });
+  },
+
+  parseResponse(json) {
+    return {
+      response: json.choices?.[0]?.message?.content ?? '',
+      tokens: json.usage?.completion_tokens || 0
+    };
+  },
+
+  parseStreamEvent(json) {
+    const token = json.choices?.[0]?.delta?.content ?? '';
+    // Servers that report usage do so in the last event; the others end with [DONE]
+    if (json.usage) {
+      return { token, done: true, meta: { tokens: json.usage.completion_tokens || 0 } };
+    }
+    return { token, done: false, meta: {} };
+  }
+});
+
+/**
+ * Ollama chat API (/api/chat), streamed as NDJSON
+ */
+export const createOllamaProvider = ({ baseURL }) => ({
+  id: PROVIDERS.OLLAMA,
+  name: 'Ollama',
+  baseURL: baseURL.replace(/\/+$/, ''),
+  endpoint: '/api/chat',
+  headers: {},
+  streamFormat: 'ndjson',
+
+  buildRequest(messages, parameters, { model, stream }) {
+    return {
+      model,
+      messages,
+      // Ollama streams unless told not to
+      stream,
+      options: definedOnly({
+        temperature: parameters.temperature,
+        top_p: parameters.topP,
+        num_predict: parameters.maxTokens,
+        stop: parameters.stopSequences,
+        seed: parameters.seed
+      })
+    };
+  },
+
+  parseResponse(json) {
+    return {
+      response: json.message?.content ?? '',
+      tokens: json.eval_count || 0
+    };
+  },
+
+  parseStreamEvent(json) {
+    return {
+      token: json.message?.content ?? '',
+      done: Boolean(json.done),
+      meta: json.done ? { tokens: json.eval_count || 0 } : {}
+    };
+  }
+});
+
+/**
+ * Build the providers other than the PocketLLM backend, keyed by ID
+ */
+export const createProviders = (config = providerConfig) => ({
+  [PROVIDERS.OPENAI]: createOpenAIProvider(config.openai),
+  [PROVIDERS.OLLAMA]: createOllamaProvider(config.ollama)
+});
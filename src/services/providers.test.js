@@ -0,0 +1,58 @@
+import { createOpenAIProvider, createOllamaProvider } from './providers';
+
+const messages = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'user', content: 'Hi' }
+];
+const parameters = { temperature: 0.2, topP: 0.9, maxTokens: 64, stopSequences: ['\n\n'] };
+
+describe('OpenAI-compatible provider', () => {
+  const provider = createOpenAIProvider({ baseURL: 'http://localhost:8080/', apiKey: 'sk-local' });
+
+  test('translates messages and parameters to a chat completion request', () => {
+    expect(provider.baseURL).toBe('http://localhost:8080');
+    expect(provider.headers).toEqual({ Authorization: 'Bearer sk-local' });
+    expect(provider.buildRequest(messages, parameters, { model: 'llama3', stream: true })).toEqual({
+      model: 'llama3',
+      messages,
+      stream: true,
+      temperature: 0.2,
+      top_p: 0.9,
+      max_tokens: 64,
+      stop: ['\n\n']
+    });
+  });
+
+  test('reads answers and streamed deltas', () => {
+    expect(provider.parseResponse({
+      choices: [{ message: { role: 'assistant', content: 'Hello!' } }],
+      usage: { completion_tokens: 3 }
+    })).toEqual({ response: 'Hello!', tokens: 3 });
+    expect(provider.parseStreamEvent({ choices: [{ delta: { content: 'Hel' } }] }))
+      .toEqual({ token: 'Hel', done: false, meta: {} });
+    expect(provider.parseStreamEvent({ choices: [], usage: { completion_tokens: 3 } }))
+      .toEqual({ token: '', done: true, meta: { tokens: 3 } });
+  });
+});
+
+describe('Ollama provider', () => {
+  const provider = createOllamaProvider({ baseURL: 'http://localhost:11434' });
+
+  test('puts sampling parameters in options', () => {
+    expect(provider.buildRequest(messages, { ...parameters, seed: 7 }, { model: 'llama3', stream: false })).toEqual({
+      model: 'llama3',
+      messages,
+      stream: false,
+      options: { temperature: 0.2, top_p: 0.9, num_predict: 64, stop: ['\n\n'], seed: 7 }
+    });
+  });
+
+  test('reads answers and streamed chunks', () => {
+    expect(provider.parseResponse({ message: { content: 'Hello!' }, eval_count: 4, done: true }))
+      .toEqual({ response: 'Hello!', tokens: 4 });
+    expect(provider.parseStreamEvent({ message: { content: 'Hel' }, done: false }))
+      .toEqual({ token: 'Hel', done: false, meta: {} });
+    expect(provider.parseStreamEvent({ message: { content: '' }, done: true, eval_count: 4 }))
+      .toEqual({ token: '', done: true, meta: { tokens: 4 } });
+  });
+});
@@ -0,0 +1,369 @@
+/**
+ * IndexedDBAdapter - Stores sessions in the browser's IndexedDB
+ *
+ * Keeps one record per session, one per message and one per branch tree
+ * node, so adding a message writes only that message and the tree nodes it
+ * changes instead of re-serializing the session with its history.
+ */
+
+import { StorageAdapter } from './StorageAdapter';
+
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+const MESSAGE_STORE = 'messages';
+const NODE_STORE = 'treeNodes';
+
+/**
+ * Session record without messages or branch tree
+ */
+const toSessionRecord = (session) => {
+  const { messages, messageTree, ...record } = session;
+  return record;
+};
+
+/**
+ * Record of one branch tree node; its message lives in the message store
+ */
+const toNodeRecord = (sessionId, nodeId, node) => ({
+  sessionId,
+  nodeId,
+  parentId: node.parentId,
+  children: node.children,
+  activeChild: node.activeChild
+});
+
+/**
+ * Group message or node records by session id
+ */
+const groupBySession = (records) => {
+  const groups = new Map();
+  records.forEach(record => {
+    if (!groups.has(record.sessionId)) {
+      groups.set(record.sessionId, []);
+    }
+    groups.get(record.sessionId).push(record);
+  });
+  return groups;
+};
+
+/**
+ * Rebuild a session from its session, message and node records
+ * For branched sessions `messages` holds every version; the caller derives
+ * the visible path from the tree.
+ */
+const fromRecords = (record, messageRecords, nodeRecords) => {
+  const ordered = [...messageRecords].sort((a, b) => a.position - b.position);
+  const session = { ...record, messages: ordered.map(r => r.message) };
+
+  // Appending a message doesn't rewrite the session record
+  ordered.forEach(({ savedAt }) => {
+    if (savedAt && (!session.lastAccessedAt || savedAt > session.lastAccessedAt)) {
+      session.lastAccessedAt = savedAt;
+    }
+  });
+
+  if (nodeRecords.length > 0) {
+    const byId = new Map(ordered.map(r => [r.message.messageId, r.message]));
+    const nodes = {};
+
+    nodeRecords.forEach(({ nodeId, parentId, children, activeChild }) => {
+      if (parentId === null) {
+        nodes[nodeId] = { parentId, children, activeChild };
+      } else if (byId.has(nodeId)) {
+        nodes[nodeId] = { message: byId.get(nodeId), parentId, children, activeChild };
+      }
+    });
+    session.messageTree = { nodes };
+  }
+
+  return session;
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export class IndexedDBAdapter extends StorageAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.dbName - Database name
+   * @param {string|null} options.legacyKey - localStorage key whose sessions
+   *   are copied into the database once, then removed
+   * @param {IDBFactory} options.indexedDB - Defaults to the browser's
+   * @param {function} options.keyRange - IDBKeyRange matching the factory
+   */
+  constructor({
+    dbName,
+    legacyKey = null,
+    indexedDB = window.indexedDB,
+    keyRange = window.IDBKeyRange
+  }) {
+    super();
+    this.dbName = dbName;
+    this.legacyKey = legacyKey;
+    this.indexedDB = indexedDB;
+    this.keyRange = keyRange;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating stores and migrating legacy data once
+   * @private
+   */
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = (async () => {
+        const request = this.indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(SESSION_STORE)) {
+            db.createObjectStore(SESSION_STORE, { keyPath: 'sessionId' });
+          }
+          if (!db.objectStoreNames.contains(MESSAGE_STORE)) {
+            db.createObjectStore(MESSAGE_STORE, { keyPath: ['sessionId', 'messageId'] });
+          }
+          if (!db.objectStoreNames.contains(NODE_STORE)) {
+            db.createObjectStore(NODE_STORE, { keyPath: ['sessionId', 'nodeId'] });
+          }
+        };
+
+        const db = await promisifyRequest(request);
+        await this._migrateLegacyStorage(db);
+        return db;
+      })();
+
+      // Allow a later call to retry if opening failed
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run `work` in a transaction and resolve once it has committed
+   * `work` may return a function whose result becomes the resolved value.
+   * @private
+   */
+  _run(db, storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const getResult = work(tx);
+      tx.oncomplete = () => resolve(typeof getResult === 'function' ? getResult() : undefined);
+      tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _transaction(storeNames, mode, work) {
+    const db = await this._open();
+    return this._run(db, storeNames, mode, work);
+  }
+
+  /**
+   * Copy sessions from the old localStorage key, then remove it
+   * The key is only removed after the copy has committed.
+   * @private
+   */
+  async _migrateLegacyStorage(db) {
+    const stored = this.legacyKey && localStorage.getItem(this.legacyKey);
+    if (!stored) return;
+
+    let sessions;
+    try {
+      sessions = JSON.parse(stored);
+    } catch (error) {
+      console.error('Discarding unreadable legacy sessions:', error);
+      localStorage.removeItem(this.legacyKey);
+      return;
+    }
+
+    await this._run(db, [SESSION_STORE, MESSAGE_STORE, NODE_STORE], 'readwrite', (tx) => {
+      sessions.forEach(session => this._putSession(tx, session, true));
+    });
+    localStorage.removeItem(this.legacyKey);
+  }
+
+  /**
+   * Write a session record, and optionally all of its messages and tree nodes
+   * @private
+   */
+  _putSession(tx, session, withMessages) {
+    tx.objectStore(SESSION_STORE).put(toSessionRecord(session));
+    if (!withMessages) return;
+
+    // Inactive branch versions live only in the tree
+    const messages = new Map();
+    (session.messages || []).forEach(message => messages.set(message.messageId, message));
+    Object.values(session.messageTree?.nodes || {}).forEach(node => {
+      if (node.message && !messages.has(node.message.messageId)) {
+        messages.set(node.message.messageId, node.message);
+      }
+    });
+
+    Array.from(messages.values()).forEach((message, position) => {
+      tx.objectStore(MESSAGE_STORE).put({
+        sessionId: session.sessionId,
+        messageId: message.messageId,
+        position,
+        message
+      });
+    });
+    this._putTree(tx, session);
+  }
+
+  /**
+   * Write every node of a session's branch tree
+   * @private
+   */
+  _putTree(tx, session) {
+    Object.entries(session.messageTree?.nodes || {}).forEach(([nodeId, node]) => {
+      tx.objectStore(NODE_STORE).put(toNodeRecord(session.sessionId, nodeId, node));
+    });
+  }
+
+  /**
+   * Key range of every [sessionId, id] key of one session
+   * @private
+   */
+  _sessionRange(sessionId) {
+    return this.keyRange.bound([sessionId], [sessionId, []]);
+  }
+
+  async loadSessions() {
+    return this._transaction([SESSION_STORE, MESSAGE_STORE, NODE_STORE], 'readonly', (tx) => {
+      const sessionsRequest = tx.objectStore(SESSION_STORE).getAll();
+      const messagesRequest = tx.objectStore(MESSAGE_STORE).getAll();
+      const nodesRequest = tx.objectStore(NODE_STORE).getAll();
+
+      return () => {
+        const messagesBySession = groupBySession(messagesRequest.result);
+        const nodesBySession = groupBySession(nodesRequest.result);
+
+        return sessionsRequest.result.map(record => fromRecords(
+          record,
+          messagesBySession.get(record.sessionId) || [],
+          nodesBySession.get(record.sessionId) || []
+        ));
+      };
+    });
+  }
+
+  async loadSession(userId, sessionId) {
+    return this._transaction([SESSION_STORE, MESSAGE_STORE, NODE_STORE], 'readonly', (tx) => {
+      const sessionRequest = tx.objectStore(SESSION_STORE).get(sessionId);
+      const messagesRequest = tx.objectStore(MESSAGE_STORE).getAll(this._sessionRange(sessionId));
+      const nodesRequest = tx.objectStore(NODE_STORE).getAll(this._sessionRange(sessionId));
+
+      return () => (
+        sessionRequest.result
+          ? fromRecords(sessionRequest.result, messagesRequest.result, nodesRequest.result)
+          : null
+      );
+    });
+  }
+
+  async loadMessages(userId, sessionId) {
+    const session = await this.loadSession(userId, sessionId);
+    return session ? session.messages : [];
+  }
+
+  async createSession(userId, session) {
+    await this.replaceMessages(userId, session);
+    return session;
+  }
+
+  /**
+   * The branch tree is only rewritten when `changes` includes it (or is not given)
+   */
+  async updateSession(userId, session, changes) {
+    return this._transaction([SESSION_STORE, NODE_STORE], 'readwrite', (tx) => {
+      this._putSession(tx, session, false);
+      if (!changes || 'messageTree' in changes) {
+        tx.objectStore(NODE_STORE).delete(this._sessionRange(session.sessionId));
+        this._putTree(tx, session);
+      }
+    });
+  }
+
+  /**
+   * Write the message record and the tree nodes it changed (its own and its
+   * parent's); the session record is left alone
+   */
+  async appendMessage(userId, session, message) {
+    const messages = session.messages || [];
+    const index = messages.indexOf(message);
+    const position = index >= 0 ? index : messages.length;
+    const tree = session.messageTree;
+
+    return this._transaction([MESSAGE_STORE, NODE_STORE], 'readwrite', (tx) => {
+      tx.objectStore(MESSAGE_STORE).put({
+        sessionId: session.sessionId,
+        messageId: message.messageId,
+        position,
+        savedAt: session.lastAccessedAt,
+        message
+      });
+      if (!tree) return;
+
+      // A tree that has no stored nodes yet was just created: write all of it
+      const nodes = tx.objectStore(NODE_STORE);
+      const countRequest = nodes.count(this._sessionRange(session.sessionId));
+      countRequest.onsuccess = () => {
+        if (countRequest.result === 0) {
+          this._putTree(tx, session);
+          return;
+        }
+        const node = tree.nodes[message.messageId];
+        [message.messageId, node?.parentId]
+          .filter(nodeId => tree.nodes[nodeId])
+          .forEach(nodeId => nodes.put(toNodeRecord(session.sessionId, nodeId, tree.nodes[nodeId])));
+      };
+    });
+  }
+
+  async replaceMessages(userId, session) {
+    return this._transaction([SESSION_STORE, MESSAGE_STORE, NODE_STORE], 'readwrite', (tx) => {
+      this._deleteSessionData(tx, session.sessionId);
+      this._putSession(tx, session, true);
+    });
+  }
+
+  async clearMessages(userId, session) {
+    const { messageTree, ...rest } = session;
+    return this.replaceMessages(userId, { ...rest, messages: [] });
+  }
+
+  async deleteSession(userId, sessionId) {
+    return this._transaction([SESSION_STORE, MESSAGE_STORE, NODE_STORE], 'readwrite', (tx) => {
+      tx.objectStore(SESSION_STORE).delete(sessionId);
+      this._deleteSessionData(tx, sessionId);
+    });
+  }
+
+  /**
+   * Delete the message and node records of a session
+   * @private
+   */
+  _deleteSessionData(tx, sessionId) {
+    tx.objectStore(MESSAGE_STORE).delete(this._sessionRange(sessionId));
+    tx.objectStore(NODE_STORE).delete(this._sessionRange(sessionId));
+  }
+
+  async clear() {
+    if (this.legacyKey) {
+      localStorage.removeItem(this.legacyKey);
+    }
+    return this._transaction([SESSION_STORE, MESSAGE_STORE, NODE_STORE], 'readwrite', (tx) => {
+      tx.objectStore(SESSION_STORE).clear();
+      tx.objectStore(MESSAGE_STORE).clear();
+      tx.objectStore(NODE_STORE).clear();
+    });
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * LocalStorageAdapter - Stores all sessions as one JSON array under a localStorage key
+ * Fallback for browsers without IndexedDB. Every change rewrites the whole key.
+ */
+
+import { StorageAdapter } from './StorageAdapter';
+
+export class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.storageKey - localStorage key holding the sessions
+   */
+  constructor({ storageKey }) {
+    super();
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * @private
+   */
+  _readAll() {
+    const stored = localStorage.getItem(this.storageKey);
+    return stored ? JSON.parse(stored) : [];
+  }
+
+  /**
+   * The key is re-read first so changes saved by other tabs are kept
+   * @private
+   */
+  _update(change) {
+    localStorage.setItem(this.storageKey, JSON.stringify(change(this._readAll())));
+  }
+
+  /**
+   * @private
+   */
+  _save(session) {
+    this._update(sessions => [
+      ...sessions.filter(stored => stored.sessionId !== session.sessionId),
+      session
+    ]);
+  }
+
+  async loadSessions() {
+    return this._readAll();
+  }
+
+  async loadSession(userId, sessionId) {
+    return this._readAll().find(session => session.sessionId === sessionId) || null;
+  }
+
+  async loadMessages(userId, sessionId) {
+    const session = await this.loadSession(userId, sessionId);
+    return session ? session.messages || [] : [];
+  }
+
+  async createSession(userId, session) {
+    this._save(session);
+    return session;
+  }
+
+  async updateSession(userId, session) {
+    this._save(session);
+  }
+
+  async appendMessage(userId, session) {
+    this._save(session);
+  }
+
+  async replaceMessages(userId, session) {
+    this._save(session);
+  }
+
+  async clearMessages(userId, session) {
+    const { messageTree, ...rest } = session;
+    this._save({ ...rest, messages: [] });
+  }
+
+  async deleteSession(userId, sessionId) {
+    this._update(sessions => sessions.filter(stored => stored.sessionId !== sessionId));
+  }
+
+  async clear() {
+    localStorage.removeItem(this.storageKey);
+  }
+}
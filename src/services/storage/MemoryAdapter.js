@@ -0,0 +1,60 @@
+/**
+ * MemoryAdapter - Keeps sessions in memory only (tests, private browsing)
+ * Sessions are copied on the way in and out, like a real backend, so later
+ * changes to the caller's objects are only stored when saved again.
+ */
+
+import { StorageAdapter } from './StorageAdapter';
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+export class MemoryAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.sessions = new Map();
+  }
+
+  async loadSessions() {
+    return Array.from(this.sessions.values()).map(copy);
+  }
+
+  async loadSession(userId, sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? copy(session) : null;
+  }
+
+  async loadMessages(userId, sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? copy(session.messages || []) : [];
+  }
+
+  async createSession(userId, session) {
+    this.sessions.set(session.sessionId, copy(session));
+    return session;
+  }
+
+  async updateSession(userId, session) {
+    this.sessions.set(session.sessionId, copy(session));
+  }
+
+  async appendMessage(userId, session) {
+    this.sessions.set(session.sessionId, copy(session));
+  }
+
+  async replaceMessages(userId, session) {
+    this.sessions.set(session.sessionId, copy(session));
+  }
+
+  async clearMessages(userId, session) {
+    const { messageTree, ...rest } = session;
+    this.sessions.set(session.sessionId, copy({ ...rest, messages: [] }));
+  }
+
+  async deleteSession(userId, sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  async clear() {
+    this.sessions.clear();
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * RestAdapter - Stores sessions of signed-in users on the PocketLLM backend
+ * The backend assigns session IDs and saves messages itself while handling
+ * inference requests, so only branch trees are sent when a message is added.
+ * Messages the backend never saw - answers from another inference provider
+ * or from the local response cache - are sent by the client, and so are
+ * answers cut short by Stop, which the backend did not finish.
+ */
+
+import { StorageAdapter } from './StorageAdapter';
+import { PROVIDERS } from '../providers';
+
+export class RestAdapter extends StorageAdapter {
+  /**
+   * @param {object} options
+   * @param {APIService} options.apiService - Authenticated API client
+   */
+  constructor({ apiService }) {
+    super();
+    this.apiService = apiService;
+  }
+
+  get capabilities() {
+    return { local: false, search: true, serverSavesMessages: true, retention: true };
+  }
+
+  async loadSessions(userId) {
+    return this.apiService.getUserSessions(userId);
+  }
+
+  async loadSession(userId, sessionId) {
+    return this.apiService.getSession(sessionId);
+  }
+
+  async loadMessages(userId, sessionId) {
+    return this.apiService.getSessionMessages(userId, sessionId);
+  }
+
+  /**
+   * Create the session on the backend; its ID and fields replace the template's
+   */
+  async createSession(userId, session) {
+    const created = await this.apiService.createSession(userId);
+    return { ...session, ...created, messages: created.messages || [] };
+  }
+
+  async updateSession(userId, session, changes) {
+    await this.apiService.updateSession(session.sessionId, changes);
+  }
+
+  async appendMessage(userId, session, message) {
+    const provider = session.settings?.provider || PROVIDERS.POCKETLLM;
+    if (provider !== PROVIDERS.POCKETLLM) {
+      await this.apiService.appendSessionMessages(userId, session.sessionId, [message]);
+    } else if (message.cachedLocally) {
+      // The prompt of a cached answer never reached the backend either
+      const messages = session.messages || [];
+      const prompt = messages[messages.indexOf(message) - 1];
+      const unsaved = prompt?.type === 'USER' ? [prompt, message] : [message];
+      await this.apiService.appendSessionMessages(userId, session.sessionId, unsaved);
+    } else if (message.stopped) {
+      await this.apiService.appendSessionMessages(userId, session.sessionId, [message]);
+    }
+    if (session.messageTree) {
+      await this.apiService.updateSession(session.sessionId, { messageTree: session.messageTree });
+    }
+  }
+
+  async replaceMessages(userId, session) {
+    await this.apiService.clearSessionHistory(session.sessionId);
+    await this.apiService.appendSessionMessages(userId, session.sessionId, session.messages || []);
+    await this.apiService.updateSession(session.sessionId, { messageTree: session.messageTree || null });
+  }
+
+  async clearMessages(userId, session) {
+    await this.apiService.clearSessionHistory(session.sessionId);
+    if (session.messageTree) {
+      await this.apiService.updateSession(session.sessionId, { messageTree: null });
+    }
+  }
+
+  async deleteSession(userId, sessionId) {
+    await this.apiService.deleteSession(userId, sessionId);
+  }
+
+  async search(userId, query) {
+    return this.apiService.searchSessions(userId, query);
+  }
+
+  async applyRetention(userId, policy, options) {
+    return this.apiService.applyRetentionPolicy(userId, policy, options);
+  }
+
+  /**
+   * Account data is never wiped from the client
+   */
+  async clear() {}
+}
@@ -0,0 +1,133 @@
+/**
+ * StorageAdapter - Interface every session storage backend implements
+ *
+ * SessionManager keeps sessions in memory and calls the adapter to persist
+ * them. All methods return promises. Sessions are plain objects
+ * ({ sessionId, userId, messages, messageTree?, settings, title, ... });
+ * `userId` is the owner, which server backends need and device backends ignore.
+ */
+
+export class StorageAdapter {
+  /**
+   * What the backend can do beyond the common interface
+   * - local: data stays on this device
+   * - search: search() queries the backend instead of returning null
+   * - serverSavesMessages: messages sent for inference are saved by the
+   *   server, so appendMessage() only needs to store the branch tree
+   *   (unless the session uses another inference provider)
+   * - retention: applyRetention() is enforced by the backend
+   */
+  get capabilities() {
+    return { local: true, search: false, serverSavesMessages: false, retention: false };
+  }
+
+  /**
+   * Load every session with its messages (branched sessions include all versions)
+   * @returns {Promise<array>}
+   */
+  async loadSessions(userId) {
+    throw new Error(`${this.constructor.name} does not implement loadSessions`);
+  }
+
+  /**
+   * Load one session
+   * @returns {Promise<object|null>} null when it does not exist
+   */
+  async loadSession(userId, sessionId) {
+    throw new Error(`${this.constructor.name} does not implement loadSession`);
+  }
+
+  /**
+   * Load the messages of one session
+   * @returns {Promise<array>}
+   */
+  async loadMessages(userId, sessionId) {
+    throw new Error(`${this.constructor.name} does not implement loadMessages`);
+  }
+
+  /**
+   * Store a new session
+   * @param {object} session - Template built by SessionManager; backends that
+   *   assign their own IDs return a session with the server's sessionId
+   * @returns {Promise<object>} The stored session
+   */
+  async createSession(userId, session) {
+    throw new Error(`${this.constructor.name} does not implement createSession`);
+  }
+
+  /**
+   * Save changed session fields (title, settings, branch tree...), not messages
+   * @param {object} session - The session with the changes already applied
+   * @param {object} changes - Only the fields that changed
+   */
+  async updateSession(userId, session, changes) {
+    throw new Error(`${this.constructor.name} does not implement updateSession`);
+  }
+
+  /**
+   * Save one new message of a session
+   * @param {object} session - The session, already holding the message
+   */
+  async appendMessage(userId, session, message) {
+    throw new Error(`${this.constructor.name} does not implement appendMessage`);
+  }
+
+  /**
+   * Store a session's messages, replacing what was stored (import, migration)
+   */
+  async replaceMessages(userId, session) {
+    throw new Error(`${this.constructor.name} does not implement replaceMessages`);
+  }
+
+  /**
+   * Delete every message of a session and its branch tree
+   */
+  async clearMessages(userId, session) {
+    throw new Error(`${this.constructor.name} does not implement clearMessages`);
+  }
+
+  /**
+   * Delete a session and its messages
+   */
+  async deleteSession(userId, sessionId) {
+    throw new Error(`${this.constructor.name} does not implement deleteSession`);
+  }
+
+  /**
+   * Full-text search on the backend
+   * @returns {Promise<array|null>} [{ sessionId, messageId, snippet }], or null
+   *   when the backend can't search (SessionManager then uses its local index)
+   */
+  async search(userId, query) {
+    return null;
+  }
+
+  /**
+   * Apply retention rules on the backend
+   * @param {object} policy - See DEFAULT_RETENTION_POLICY in SessionManager
+   * @param {object} options - { dryRun, sessionIds }
+   * @returns {Promise<array|null>} [{ sessionId, reason }] of sessions that
+   *   would be (or were) removed, or null when the backend has no retention
+   *   support (SessionManager then applies the rules itself)
+   */
+  async applyRetention(userId, policy, options) {
+    return null;
+  }
+
+  /**
+   * Delete everything stored by this adapter (no-op for server backends)
+   */
+  async clear() {
+    throw new Error(`${this.constructor.name} does not implement clear`);
+  }
+}
+
+/**
+ * Check whether a storage error means the browser's quota is used up
+ */
+export const isQuotaExceededError = (error) => Boolean(error) && (
+  error.name === 'QuotaExceededError' ||
+  error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  error.code === 22 ||
+  error.code === 1014
+);
@@ -0,0 +1,71 @@
+/**
+ * Session storage backends and the factory that picks one from configuration
+ */
+
+import { storageConfig } from '../../config/storage';
+import { IndexedDBAdapter } from './IndexedDBAdapter';
+import { LocalStorageAdapter } from './LocalStorageAdapter';
+import { MemoryAdapter } from './MemoryAdapter';
+import { RestAdapter } from './RestAdapter';
+
+export { StorageAdapter, isQuotaExceededError } from './StorageAdapter';
+export { IndexedDBAdapter, LocalStorageAdapter, MemoryAdapter, RestAdapter };
+
+export const STORAGE_TYPES = {
+  INDEXED_DB: 'indexeddb',
+  LOCAL_STORAGE: 'localStorage',
+  MEMORY: 'memory',
+  REST: 'rest'
+};
+
+// Where device storage keeps guest and account sessions. Guest sessions were
+// kept under the `guestSessions` localStorage key before IndexedDB was used.
+const DEVICE_LOCATIONS = {
+  guest: { dbName: 'pocketllm-guest', storageKey: 'guestSessions', legacyKey: 'guestSessions' },
+  account: { dbName: 'pocketllm-account', storageKey: 'accountSessions', legacyKey: null }
+};
+
+/**
+ * Create a storage adapter
+ * IndexedDB falls back to localStorage in browsers without it.
+ *
+ * @param {string} type - One of STORAGE_TYPES
+ * @param {object} options
+ * @param {string} options.location - 'guest' or 'account' (device storage only)
+ * @param {APIService} options.apiService - Required for the REST adapter
+ * @returns {StorageAdapter}
+ */
+export const createStorageAdapter = (type, { location = 'guest', apiService } = {}) => {
+  const { dbName, storageKey, legacyKey } = DEVICE_LOCATIONS[location];
+
+  switch (type) {
+    case STORAGE_TYPES.INDEXED_DB:
+      if (typeof window !== 'undefined' && window.indexedDB) {
+        return new IndexedDBAdapter({ dbName, legacyKey });
+      }
+      return new LocalStorageAdapter({ storageKey });
+    case STORAGE_TYPES.LOCAL_STORAGE:
+      return new LocalStorageAdapter({ storageKey });
+    case STORAGE_TYPES.MEMORY:
+      return new MemoryAdapter();
+    case STORAGE_TYPES.REST:
+      if (!apiService) {
+        throw new Error('The REST storage adapter needs an APIService');
+      }
+      return new RestAdapter({ apiService });
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+};
+
+/**
+ * Storage for guest sessions, as configured by REACT_APP_GUEST_STORAGE
+ */
+export const createGuestStorage = () => createStorageAdapter(storageConfig.guest, { location: 'guest' });
+
+/**
+ * Storage for signed-in users' sessions, as configured by REACT_APP_ACCOUNT_STORAGE
+ */
+export const createAccountStorage = (apiService) => (
+  createStorageAdapter(storageConfig.account, { location: 'account', apiService })
+);
@@ -0,0 +1,438 @@
+import { IDBFactory, IDBKeyRange, IDBObjectStore } from 'fake-indexeddb';
+import {
+  IndexedDBAdapter,
+  LocalStorageAdapter,
+  MemoryAdapter,
+  RestAdapter,
+  STORAGE_TYPES,
+  createStorageAdapter
+} from './index';
+
+// jsdom does not provide structuredClone, which fake-indexeddb uses
+if (typeof global.structuredClone !== 'function') {
+  global.structuredClone = (value) => JSON.parse(JSON.stringify(value));
+}
+
+const USER_ID = 'user_1';
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * In-memory stand-in for APIService, behaving like the session routes of the backend
+ */
+class FakeAPIService {
+  constructor() {
+    this.sessions = new Map();
+    this.nextId = 1;
+  }
+
+  async createSession(userId) {
+    const session = { sessionId: `server_${this.nextId++}`, userId, messages: [] };
+    this.sessions.set(session.sessionId, session);
+    return copy(session);
+  }
+
+  async getSession(sessionId) {
+    if (!this.sessions.has(sessionId)) throw new Error('Session not found');
+    return copy(this.sessions.get(sessionId));
+  }
+
+  async updateSession(sessionId, updates) {
+    Object.assign(this.sessions.get(sessionId), copy(updates));
+    return { success: true };
+  }
+
+  async getUserSessions(userId) {
+    return Array.from(this.sessions.values()).filter(s => s.userId === userId).map(copy);
+  }
+
+  async getSessionMessages(userId, sessionId) {
+    return copy(this.sessions.get(sessionId).messages);
+  }
+
+  async appendSessionMessages(userId, sessionId, messages) {
+    this.sessions.get(sessionId).messages.push(...copy(messages));
+    return { success: true };
+  }
+
+  async searchSessions(userId, query) {
+    const results = [];
+    this.sessions.forEach(session => session.messages.forEach(message => {
+      if (message.content.toLowerCase().includes(query.toLowerCase())) {
+        results.push({ sessionId: session.sessionId, messageId: message.messageId, snippet: message.content });
+      }
+    }));
+    return results;
+  }
+
+  async deleteSession(userId, sessionId) {
+    this.sessions.delete(sessionId);
+    return true;
+  }
+
+  async clearSessionHistory(sessionId) {
+    this.sessions.get(sessionId).messages = [];
+    return true;
+  }
+
+  async applyRetentionPolicy(userId, policy, { dryRun, sessionIds }) {
+    const cutoff = Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000;
+    const expired = Array.from(this.sessions.values())
+      .filter(session => new Date(session.lastAccessedAt || 0).getTime() < cutoff)
+      .filter(session => !sessionIds || sessionIds.includes(session.sessionId))
+      .map(session => ({ sessionId: session.sessionId, reason: 'expired' }));
+
+    if (!dryRun) {
+      expired.forEach(({ sessionId }) => this.sessions.delete(sessionId));
+    }
+    return expired;
+  }
+
+  // The real backend stores messages while answering inference requests
+  saveInferenceMessage(sessionId, message) {
+    this.sessions.get(sessionId).messages.push(copy(message));
+  }
+}
+
+/**
+ * Each backend: `create` makes a fresh adapter, `reopen` a second adapter
+ * over the same stored data, `serverSave` plays the backend's part when
+ * messages are saved by inference
+ */
+const backends = [
+  {
+    name: 'IndexedDBAdapter',
+    setup() {
+      const indexedDB = new IDBFactory();
+      const create = () => new IndexedDBAdapter({ dbName: 'contract-test', indexedDB, keyRange: IDBKeyRange });
+      return { adapter: create(), reopen: create };
+    }
+  },
+  {
+    name: 'LocalStorageAdapter',
+    setup() {
+      localStorage.clear();
+      const create = () => new LocalStorageAdapter({ storageKey: 'contractTest' });
+      return { adapter: create(), reopen: create };
+    }
+  },
+  {
+    name: 'MemoryAdapter',
+    setup() {
+      const adapter = new MemoryAdapter();
+      return { adapter, reopen: () => adapter };
+    }
+  },
+  {
+    name: 'RestAdapter',
+    setup() {
+      const apiService = new FakeAPIService();
+      const create = () => new RestAdapter({ apiService });
+      return {
+        adapter: create(),
+        reopen: create,
+        serverSave: (sessionId, message) => apiService.saveInferenceMessage(sessionId, message)
+      };
+    }
+  }
+];
+
+const newSession = (id) => ({
+  sessionId: id,
+  userId: USER_ID,
+  messages: [],
+  settings: { temperature: 0.7 },
+  createdAt: '2024-01-01T00:00:00.000Z',
+  lastAccessedAt: '2024-01-01T00:00:00.000Z'
+});
+
+const message = (id, type, content) => ({
+  messageId: id,
+  type,
+  content,
+  timestamp: '2024-01-01T00:00:01.000Z'
+});
+
+describe.each(backends)('$name storage contract', (backend) => {
+  let adapter;
+  let reopen;
+  let serverSave;
+
+  beforeEach(() => {
+    ({ adapter, reopen, serverSave } = backend.setup());
+  });
+
+  // Add a message the way SessionManager does
+  const append = async (session, newMessage) => {
+    session.messages = [...session.messages, newMessage];
+    await adapter.appendMessage(USER_ID, session, newMessage);
+    if (adapter.capabilities.serverSavesMessages) {
+      serverSave(session.sessionId, newMessage);
+    }
+  };
+
+  test('declares its capabilities', () => {
+    expect(adapter.capabilities).toEqual({
+      local: expect.any(Boolean),
+      search: expect.any(Boolean),
+      serverSavesMessages: expect.any(Boolean),
+      retention: expect.any(Boolean)
+    });
+  });
+
+  test('creates sessions that can be loaded again', async () => {
+    const session = await adapter.createSession(USER_ID, newSession('s1'));
+
+    expect(session.sessionId).toEqual(expect.any(String));
+    expect(session.messages).toEqual([]);
+
+    const loaded = await reopen().loadSessions(USER_ID);
+    expect(loaded.map(s => s.sessionId)).toEqual([session.sessionId]);
+    expect(await reopen().loadSession(USER_ID, session.sessionId)).toMatchObject({
+      sessionId: session.sessionId,
+      messages: []
+    });
+  });
+
+  test('saves changed session fields', async () => {
+    const session = await adapter.createSession(USER_ID, newSession('s1'));
+    const changes = { title: 'Renamed', pinned: true, settings: { temperature: 0.2 } };
+
+    await adapter.updateSession(USER_ID, { ...session, ...changes }, changes);
+
+    expect(await reopen().loadSession(USER_ID, session.sessionId)).toMatchObject(changes);
+  });
+
+  test('stores a copy, not the caller\'s object', async () => {
+    const session = await adapter.createSession(USER_ID, newSession('s1'));
+    await adapter.updateSession(USER_ID, { ...session, title: 'Saved' }, { title: 'Saved' });
+
+    session.title = 'Not saved';
+
+    expect((await adapter.loadSession(USER_ID, session.sessionId)).title).toBe('Saved');
+  });
+
+  test('appends messages in order', async () => {
+    const session = await adapter.createSession(USER_ID, newSession('s1'));
+    await append(session, message('m1', 'USER', 'Hello'));
+    await append(session, message('m2', 'ASSISTANT', 'Hi there'));
+
+    const messages = await reopen().loadMessages(USER_ID, session.sessionId);
+    expect(messages.map(m => m.content)).toEqual(['Hello', 'Hi there']);
+  });
+
+  test('keeps every version of a branched message', async () => {
+    const session = await adapter.createSession(USER_ID, newSession('s1'));
+    const question = message('m1', 'USER', 'Question');
+    const first = message('a1', 'ASSISTANT', 'First answer');
+    const second = message('a2', 'ASSISTANT', 'Second answer');
+
+    await append(session, question);
+    await append(session, first);
+
+    session.messageTree = {
+      nodes: {
+        __root__: { parentId: null, children: ['m1'], activeChild: 'm1' },
+        m1: { message: question, parentId: '__root__', children: ['a1', 'a2'], activeChild: 'a2' },
+        a1: { message: first, parentId: 'm1', children: [], activeChild: null },
+        a2: { message: second, parentId: 'm1', children: [], activeChild: null }
+      }
+    };
+    session.messages = [question, second];
+    await adapter.appendMessage(USER_ID, session, second);
+
+    const loaded = await reopen().loadSession(USER_ID, session.sessionId);
+    expect(loaded.messageTree.nodes.m1.activeChild).toBe('a2');
+    expect(loaded.messageTree.nodes.a1.message.content).toBe('First answer');
+    expect(loaded.messageTree.nodes.a2.message.content).toBe('Second answer');
+  });
+
+  test('replaces all messages of a session', async () => {
+    const session = await adapter.createSession(USER_ID, newSession('s1'));
+    await append(session, message('m1', 'USER', 'Old'));
+
+    await adapter.replaceMessages(USER_ID, {
+      ...session,
+      messages: [message('i1', 'USER', 'Imported'), message('i2', 'ASSISTANT', 'Answer')]
+    });
+
+    const messages = await reopen().loadMessages(USER_ID, session.sessionId);
+    expect(messages.map(m => m.messageId)).toEqual(['i1', 'i2']);
+  });
+
+  test('clears messages and the branch tree', async () => {
+    const session = await adapter.createSession(USER_ID, newSession('s1'));
+    const question = message('m1', 'USER', 'Question');
+    session.messageTree = {
+      nodes: {
+        __root__: { parentId: null, children: ['m1'], activeChild: 'm1' },
+        m1: { message: question, parentId: '__root__', children: [], activeChild: null }
+      }
+    };
+    await append(session, question);
+
+    await adapter.clearMessages(USER_ID, session);
+
+    const loaded = await reopen().loadSession(USER_ID, session.sessionId);
+    expect(loaded.messages).toEqual([]);
+    expect(loaded.messageTree || null).toBeNull();
+  });
+
+  test('deletes a session and its messages', async () => {
+    const kept = await adapter.createSession(USER_ID, newSession('s1'));
+    const removed = await adapter.createSession(USER_ID, newSession('s2'));
+    await append(removed, message('m1', 'USER', 'Bye'));
+
+    await adapter.deleteSession(USER_ID, removed.sessionId);
+
+    const loaded = await reopen().loadSessions(USER_ID);
+    expect(loaded.map(s => s.sessionId)).toEqual([kept.sessionId]);
+  });
+
+  test('searches on the backend or leaves search to the caller', async () => {
+    const session = await adapter.createSession(USER_ID, newSession('s1'));
+    await append(session, message('m1', 'USER', 'Tell me about penguins'));
+
+    const results = await adapter.search(USER_ID, 'penguins');
+
+    expect(results).toEqual(adapter.capabilities.search
+      ? [expect.objectContaining({ sessionId: session.sessionId, messageId: 'm1' })]
+      : null);
+  });
+
+  test('applies retention on the backend or leaves it to the caller', async () => {
+    const session = await adapter.createSession(USER_ID, newSession('s1'));
+    await adapter.updateSession(USER_ID, session, { lastAccessedAt: '2024-01-01T00:00:00.000Z' });
+    const policy = { enabled: true, maxAgeDays: 30, maxSessions: null, keepPinned: true };
+
+    const preview = await adapter.applyRetention(USER_ID, policy, { dryRun: true });
+    expect(preview).toEqual(adapter.capabilities.retention
+      ? [expect.objectContaining({ sessionId: session.sessionId })]
+      : null);
+
+    await adapter.applyRetention(USER_ID, policy, { dryRun: false, sessionIds: [session.sessionId] });
+    const remaining = await reopen().loadSessions(USER_ID);
+    expect(remaining).toHaveLength(adapter.capabilities.retention ? 0 : 1);
+  });
+
+  test('clear removes device data and never touches server data', async () => {
+    await adapter.createSession(USER_ID, newSession('s1'));
+
+    await adapter.clear();
+
+    const loaded = await reopen().loadSessions(USER_ID);
+    expect(loaded).toHaveLength(adapter.capabilities.local ? 0 : 1);
+  });
+});
+
+describe('IndexedDBAdapter records', () => {
+  const question = message('m1', 'USER', 'Question');
+  const answer = message('a1', 'ASSISTANT', 'Answer');
+  const branchedSession = () => ({
+    ...newSession('s1'),
+    trashedHistory: [{ trashId: 'history_1', messages: [message('old', 'USER', 'Old')], messageTree: null }],
+    messages: [question, answer],
+    messageTree: {
+      nodes: {
+        __root__: { parentId: null, children: ['m1'], activeChild: 'm1' },
+        m1: { message: question, parentId: '__root__', children: ['a1'], activeChild: 'a1' },
+        a1: { message: answer, parentId: 'm1', children: [], activeChild: null }
+      }
+    }
+  });
+
+  let indexedDB;
+  let create;
+
+  beforeEach(() => {
+    indexedDB = new IDBFactory();
+    create = () => new IndexedDBAdapter({ dbName: 'records-test', indexedDB, keyRange: IDBKeyRange });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('appending writes the message and the tree nodes it changed, not the session', async () => {
+    const adapter = create();
+    const session = await adapter.createSession(USER_ID, branchedSession());
+
+    const second = message('a2', 'ASSISTANT', 'Second answer');
+    session.messageTree.nodes.a2 = { message: second, parentId: 'm1', children: [], activeChild: null };
+    session.messageTree.nodes.m1 = { ...session.messageTree.nodes.m1, children: ['a1', 'a2'], activeChild: 'a2' };
+    session.messages = [question, second];
+    session.lastAccessedAt = '2024-01-02T00:00:00.000Z';
+
+    const put = jest.spyOn(IDBObjectStore.prototype, 'put');
+    await adapter.appendMessage(USER_ID, session, second);
+    const written = put.mock.calls.map(([record]) => record.nodeId || record.messageId || record.sessionId);
+    put.mockRestore();
+
+    expect(written.sort()).toEqual(['a2', 'a2', 'm1']);
+    const loaded = await create().loadSession(USER_ID, 's1');
+    expect(loaded.lastAccessedAt).toBe('2024-01-02T00:00:00.000Z');
+    expect(loaded.trashedHistory).toHaveLength(1);
+    expect(loaded.messageTree.nodes.m1).toMatchObject({ children: ['a1', 'a2'], activeChild: 'a2' });
+    expect(loaded.messageTree.nodes.a2.message.content).toBe('Second answer');
+  });
+});
+
+describe('RestAdapter uploads', () => {
+  let apiService;
+  let adapter;
+  let session;
+
+  beforeEach(async () => {
+    apiService = new FakeAPIService();
+    adapter = new RestAdapter({ apiService });
+    session = await adapter.createSession(USER_ID, newSession('s1'));
+  });
+
+  const append = (newMessage) => {
+    session.messages = [...session.messages, newMessage];
+    return adapter.appendMessage(USER_ID, session, newMessage);
+  };
+
+  test('sends answers from the local cache together with their prompt', async () => {
+    await append(message('m1', 'USER', 'Question'));
+    await append({ ...message('a1', 'ASSISTANT', 'Cached answer'), cachedLocally: true });
+
+    const messages = await adapter.loadMessages(USER_ID, session.sessionId);
+    expect(messages.map(m => m.messageId)).toEqual(['m1', 'a1']);
+  });
+
+  test('sends answers cut short by Stop', async () => {
+    const question = message('m1', 'USER', 'Question');
+    await append(question);
+    apiService.saveInferenceMessage(session.sessionId, question);
+    await append({ ...message('a1', 'ASSISTANT', 'Partial ans'), stopped: true });
+
+    const messages = await adapter.loadMessages(USER_ID, session.sessionId);
+    expect(messages.map(m => m.content)).toEqual(['Question', 'Partial ans']);
+    expect(messages[1].stopped).toBe(true);
+  });
+
+  test('leaves answers the backend saved itself alone', async () => {
+    await append(message('m1', 'USER', 'Question'));
+    await append(message('a1', 'ASSISTANT', 'Answer'));
+
+    expect(await adapter.loadMessages(USER_ID, session.sessionId)).toEqual([]);
+  });
+});
+
+describe('createStorageAdapter', () => {
+  test('creates the configured adapter', () => {
+    expect(createStorageAdapter(STORAGE_TYPES.MEMORY)).toBeInstanceOf(MemoryAdapter);
+    expect(createStorageAdapter(STORAGE_TYPES.LOCAL_STORAGE)).toBeInstanceOf(LocalStorageAdapter);
+    expect(createStorageAdapter(STORAGE_TYPES.REST, { apiService: new FakeAPIService() }))
+      .toBeInstanceOf(RestAdapter);
+  });
+
+  test('falls back to localStorage without IndexedDB', () => {
+    expect(createStorageAdapter(STORAGE_TYPES.INDEXED_DB)).toBeInstanceOf(LocalStorageAdapter);
+  });
+
+  test('rejects unknown types and REST without an API client', () => {
+    expect(() => createStorageAdapter('floppy')).toThrow('Unknown storage type');
+    expect(() => createStorageAdapter(STORAGE_TYPES.REST)).toThrow('needs an APIService');
+  });
+});
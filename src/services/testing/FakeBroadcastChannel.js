@@ -0,0 +1,50 @@
+/**
+ * FakeBroadcastChannel - In-memory BroadcastChannel for tests
+ * Like the browser's, it delivers a copy of each message asynchronously to
+ * every other open channel with the same name, never back to the sender.
+ */
+
+export class FakeBroadcastChannel {
+  static openChannels = new Set();
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.openChannels.add(this);
+  }
+
+  postMessage(data) {
+    const serialized = JSON.stringify(data);
+
+    FakeBroadcastChannel.openChannels.forEach(channel => {
+      if (channel === this || channel.name !== this.name) return;
+      setTimeout(() => {
+        if (FakeBroadcastChannel.openChannels.has(channel) && channel.onmessage) {
+          channel.onmessage({ data: JSON.parse(serialized) });
+        }
+      }, 0);
+    });
+  }
+
+  close() {
+    FakeBroadcastChannel.openChannels.delete(this);
+  }
+}
+
+/**
+ * Replace the global BroadcastChannel with the fake
+ * @returns {function} Restores the original and closes every fake channel
+ */
+export const installFakeBroadcastChannel = () => {
+  const original = global.BroadcastChannel;
+  global.BroadcastChannel = FakeBroadcastChannel;
+
+  return () => {
+    FakeBroadcastChannel.openChannels.clear();
+    if (original) {
+      global.BroadcastChannel = original;
+    } else {
+      delete global.BroadcastChannel;
+    }
+  };
+};
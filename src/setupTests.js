@@ -3,3 +3,12 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// Run the app against the in-memory backend (see config/backend.js)
+process.env.REACT_APP_MOCK_BACKEND = 'true';
+process.env.REACT_APP_MOCK_LATENCY_MS = '0';
+
+// jsdom does not implement scrolling
+if (!Element.prototype.scrollIntoView) {
+  Element.prototype.scrollIntoView = () => {};
+}
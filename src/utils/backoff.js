@@ -0,0 +1,31 @@
+/**
+ * Retry timing helpers
+ * Pure functions so the delays can be tested without waiting for them
+ */
+
+/**
+ * Delay before retry number `attempt` (0-based)
+ * Exponential backoff with jitter: a random value between half and all of
+ * baseDelayMs * 2^attempt, capped at maxDelayMs, so clients that failed
+ * together don't all come back at the same moment.
+ */
+export const getBackoffDelay = (attempt, { baseDelayMs, maxDelayMs }, random = Math.random) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+};
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ * @returns {number|null} null when the header is missing or unreadable
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const trimmed = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(Number(trimmed) * 1000);
+  }
+
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
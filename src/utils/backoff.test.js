@@ -0,0 +1,40 @@
+import { getBackoffDelay, parseRetryAfter } from './backoff';
+
+describe('getBackoffDelay', () => {
+  const config = { baseDelayMs: 500, maxDelayMs: 8000 };
+
+  test('doubles the window with each attempt', () => {
+    expect(getBackoffDelay(0, config, () => 1)).toBe(500);
+    expect(getBackoffDelay(1, config, () => 1)).toBe(1000);
+    expect(getBackoffDelay(3, config, () => 1)).toBe(4000);
+  });
+
+  test('jitters between half and all of the window', () => {
+    expect(getBackoffDelay(2, config, () => 0)).toBe(1000);
+    expect(getBackoffDelay(2, config, () => 0.5)).toBe(1500);
+  });
+
+  test('never exceeds maxDelayMs', () => {
+    expect(getBackoffDelay(10, config, () => 1)).toBe(8000);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  const now = Date.parse('2025-01-01T00:00:00Z');
+
+  test('reads delay-seconds', () => {
+    expect(parseRetryAfter('3', now)).toBe(3000);
+    expect(parseRetryAfter('0', now)).toBe(0);
+  });
+
+  test('reads HTTP dates relative to now', () => {
+    expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter('Tue, 31 Dec 2024 23:59:00 GMT', now)).toBe(0);
+  });
+
+  test('ignores missing or malformed headers', () => {
+    expect(parseRetryAfter(null, now)).toBeNull();
+    expect(parseRetryAfter('', now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+});
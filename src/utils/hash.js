@@ -0,0 +1,23 @@
+/**
+ * Stable, non-cryptographic string hashing
+ * Used for fingerprints and cache keys that must be identical across reloads
+ */
+
+/**
+ * Hash a string to a 16-character hex digest
+ * Combines two 32-bit FNV-1a hashes with different seeds to keep
+ * collisions unlikely for the sizes of data we handle.
+ */
+export const hashString = (text) => {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x01000193 ^ text.length;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 0x01000193);
+    h2 = Math.imul(h2 ^ char, 0x5bd1e995);
+    h2 ^= h2 >>> 15;
+  }
+
+  return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+};